@@ -0,0 +1,202 @@
+/**
+ * BIPRE Audit Log V3.0
+ * Persistência e consulta do log de auditoria das movimentações
+ * Sinks: memória, arquivo JSONL e aba "Audit" via storage adapter
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeCpf } = require('./storage-adapters');
+const { parseSheetDate } = require('./date-parser');
+
+/**
+ * Momento da entrada em ms (NaN se ilegível)
+ * Na aba Audit o timestamp pode voltar formatado pela planilha ('19/10/2026 10:00:00' ou serial)
+ */
+function getEntryTime(entry) {
+  const parsed = parseSheetDate(entry.timestamp);
+  return parsed.valid ? parsed.date.getTime() : NaN;
+}
+
+function parseFilterTime(value, name) {
+  const parsed = parseSheetDate(value);
+  if (!parsed.valid) {
+    throw new Error(`Filtro ${name} inválido: ${value} (${parsed.reason})`);
+  }
+  return parsed.date.getTime();
+}
+
+/**
+ * Audit log em memória - define a API de consulta usada por todos os sinks
+ */
+class AuditLog {
+  constructor() {
+    this.entries = [];
+  }
+  
+  /**
+   * Grava uma entrada
+   */
+  async write(entry) {
+    this.entries.push({ ...entry });
+    return entry;
+  }
+  
+  /**
+   * Lê todas as entradas (ordem de gravação)
+   */
+  async readAll() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+  
+  /**
+   * Consulta entradas por filtros
+   * { cpf, runId, fromTab, toTab, action, since, until }
+   * Com since/until, entradas de timestamp ilegível ficam de fora
+   */
+  async query(filters = {}) {
+    const since = filters.since ? parseFilterTime(filters.since, 'since') : null;
+    const until = filters.until ? parseFilterTime(filters.until, 'until') : null;
+    const cpf = filters.cpf ? normalizeCpf(filters.cpf) : null;
+    
+    const entries = await this.readAll();
+    
+    return entries.filter(entry => {
+      if (since !== null || until !== null) {
+        const time = getEntryTime(entry);
+        
+        if (Number.isNaN(time)) return false;
+        if (since !== null && time < since) return false;
+        if (until !== null && time > until) return false;
+      }
+      
+      if (cpf && normalizeCpf(entry.lead_id) !== cpf) return false;
+      if (filters.runId && entry.run_id !== filters.runId) return false;
+      if (filters.fromTab && entry.from_tab !== filters.fromTab) return false;
+      if (filters.toTab && entry.to_tab !== filters.toTab) return false;
+      if (filters.action && entry.action !== filters.action) return false;
+      
+      return true;
+    });
+  }
+  
+  /**
+   * Onde o lead estava numa data
+   * Retorna nome da aba ou null se não houver registro
+   */
+  async whereWas(cpf, date) {
+    const at = parseFilterTime(date, 'date');
+    const entries = (await this.query({ cpf }))
+      .map(entry => ({ entry, time: getEntryTime(entry) }))
+      .filter(({ time }) => !Number.isNaN(time))
+      .sort((a, b) => a.time - b.time)
+      .map(({ entry }) => entry);
+    
+    if (entries.length === 0) return null;
+    
+    const before = entries.filter(entry => getEntryTime(entry) <= at);
+    if (before.length > 0) return before[before.length - 1].to_tab;
+    
+    // Antes do primeiro movimento o lead estava na aba de origem dele
+    return entries[0].from_tab;
+  }
+  
+  /**
+   * Movimentos executados por uma execução (run)
+   */
+  async movementsByRun(runId) {
+    return this.query({ runId });
+  }
+  
+  /**
+   * Quantos leads distintos entraram numa aba no período
+   */
+  async countEntered(tabName, { since, until } = {}) {
+    const entries = await this.query({ toTab: tabName, since, until });
+    return new Set(entries.map(entry => normalizeCpf(entry.lead_id))).size;
+  }
+}
+
+/**
+ * Audit log em arquivo JSONL (uma entrada por linha)
+ */
+class JsonlAuditLog extends AuditLog {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      filePath: './data/audit-log.jsonl',
+      ...config
+    };
+  }
+  
+  async write(entry) {
+    await fs.promises.mkdir(path.dirname(this.config.filePath), { recursive: true });
+    await fs.promises.appendFile(this.config.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    return entry;
+  }
+  
+  async readAll() {
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.config.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ Linha inválida no audit log ignorada: ${line.slice(0, 80)}`);
+      }
+    }
+    
+    return entries;
+  }
+}
+
+/**
+ * Audit log numa aba da própria planilha (via storage adapter)
+ */
+class SheetAuditLog extends AuditLog {
+  constructor(config = {}) {
+    super();
+    
+    const { storage, ...settings } = config;
+    
+    this.config = {
+      tabName: 'Audit',
+      ...settings
+    };
+    
+    if (!storage) {
+      throw new Error('SheetAuditLog requer config.storage');
+    }
+    
+    this.storage = storage;
+  }
+  
+  async write(entry) {
+    await this.storage.appendRow(this.config.tabName, entry);
+    return entry;
+  }
+  
+  async readAll() {
+    return this.storage.readTab(this.config.tabName);
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AuditLog,
+    JsonlAuditLog,
+    SheetAuditLog,
+    getEntryTime
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * BIPRE Business Calendar V3.0
+ * Contagem de dias corridos e dias úteis no fuso America/Sao_Paulo
+ * Feriados nacionais (fixos e móveis) + feriados da empresa
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DAY_COUNT_MODES = ['calendar', 'business'];
+
+const FIXED_HOLIDAYS = {
+  '01-01': 'Confraternização Universal',
+  '04-21': 'Tiradentes',
+  '05-01': 'Dia do Trabalho',
+  '09-07': 'Independência do Brasil',
+  '10-12': 'Nossa Senhora Aparecida',
+  '11-02': 'Finados',
+  '11-15': 'Proclamação da República',
+  '11-20': 'Dia Nacional de Zumbi e da Consciência Negra',
+  '12-25': 'Natal'
+};
+
+class BusinessCalendar {
+  constructor(config = {}) {
+    this.config = {
+      TIMEZONE: 'America/Sao_Paulo',
+      HOLIDAYS: [],                   // Feriados da empresa: 'YYYY-MM-DD' (data única) ou 'MM-DD' (todo ano)
+      INCLUDE_CARNAVAL: true,         // Segunda e terça de Carnaval (ponto facultativo nacional)
+      INCLUDE_CORPUS_CHRISTI: true,   // Corpus Christi (ponto facultativo nacional)
+      ...config
+    };
+    
+    this.formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.config.TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+    
+    this.holidayCache = new Map();
+  }
+  
+  /**
+   * Converte data em número do dia civil no fuso configurado
+   * Aceita Date, timestamp, 'YYYY-MM-DD' ou { year, month, day }
+   */
+  toDayNumber(value) {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Math.floor(Date.UTC(value.year, value.month - 1, value.day) / DAY_MS);
+    }
+    
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+    }
+    
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) {
+      throw new Error(`Data inválida: ${value}`);
+    }
+    
+    const parts = {};
+    for (const part of this.formatter.formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+    
+    return Math.floor(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / DAY_MS);
+  }
+  
+  /**
+   * 'YYYY-MM-DD' de um número de dia civil
+   */
+  formatDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+  }
+  
+  /**
+   * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+   */
+  getEasterDayNumber(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    
+    return this.toDayNumber({ year, month, day });
+  }
+  
+  /**
+   * Feriados do ano: Map 'YYYY-MM-DD' → nome
+   */
+  getHolidays(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+    
+    const holidays = new Map();
+    
+    for (const [monthDay, name] of Object.entries(FIXED_HOLIDAYS)) {
+      holidays.set(`${year}-${monthDay}`, name);
+    }
+    
+    const easter = this.getEasterDayNumber(year);
+    const movable = [[-2, 'Sexta-feira Santa']];
+    
+    if (this.config.INCLUDE_CARNAVAL) {
+      movable.push([-48, 'Carnaval (segunda-feira)'], [-47, 'Carnaval (terça-feira)']);
+    }
+    
+    if (this.config.INCLUDE_CORPUS_CHRISTI) {
+      movable.push([60, 'Corpus Christi']);
+    }
+    
+    for (const [offset, name] of movable) {
+      holidays.set(this.formatDayNumber(easter + offset), name);
+    }
+    
+    for (const holiday of this.config.HOLIDAYS) {
+      const entry = typeof holiday === 'string' ? { date: holiday } : holiday;
+      const name = entry.name || 'Feriado da empresa';
+      
+      if (/^\d{2}-\d{2}$/.test(entry.date)) {
+        holidays.set(`${year}-${entry.date}`, name);
+      } else if (entry.date.startsWith(`${year}-`)) {
+        holidays.set(entry.date, name);
+      }
+    }
+    
+    this.holidayCache.set(year, holidays);
+    return holidays;
+  }
+  
+  isHoliday(value) {
+    const iso = this.formatDayNumber(this.toDayNumber(value));
+    return this.getHolidays(Number(iso.slice(0, 4))).has(iso);
+  }
+  
+  isBusinessDay(value) {
+    const dayNumber = this.toDayNumber(value);
+    const weekday = new Date(dayNumber * DAY_MS).getUTCDay();
+    
+    if (weekday === 0 || weekday === 6) return false;
+    return !this.isHoliday(this.formatDayNumber(dayNumber));
+  }
+  
+  /**
+   * Dias corridos entre duas datas (negativo se "to" for anterior)
+   */
+  calendarDaysBetween(from, to) {
+    return this.toDayNumber(to) - this.toDayNumber(from);
+  }
+  
+  /**
+   * Dias úteis no intervalo (from, to] - negativo se "to" for anterior
+   */
+  businessDaysBetween(from, to) {
+    const start = this.toDayNumber(from);
+    const end = this.toDayNumber(to);
+    const [low, high, sign] = start <= end ? [start, end, 1] : [end, start, -1];
+    
+    let count = 0;
+    for (let day = low + 1; day <= high; day++) {
+      if (this.isBusinessDay(this.formatDayNumber(day))) count++;
+    }
+    
+    return count * sign;
+  }
+  
+  /**
+   * Dias decorridos desde a data até hoje
+   * Datas futuras contam como 0 (não como antigas)
+   */
+  daysSince(value, mode = 'calendar', now = new Date()) {
+    if (!DAY_COUNT_MODES.includes(mode)) {
+      throw new Error(`Modo de contagem de dias inválido: ${mode}`);
+    }
+    
+    const elapsed = mode === 'business'
+      ? this.businessDaysBetween(value, now)
+      : this.calendarDaysBetween(value, now);
+    
+    return Math.max(0, elapsed);
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BusinessCalendar,
+    DAY_COUNT_MODES,
+    FIXED_HOLIDAYS
+  };
+}
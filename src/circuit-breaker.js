@@ -0,0 +1,283 @@
+/**
+ * BIPRE Circuit Breaker V3.0
+ * Corta as chamadas à API quando ela está falhando e testa a volta com requests de teste
+ * CLOSED → OPEN (falhas seguidas ou taxa de erro na janela) → HALF_OPEN (após RESET_TIMEOUT) → CLOSED ou OPEN
+ */
+
+const { EventEmitter } = require('events');
+
+const CIRCUIT_STATES = ['CLOSED', 'OPEN', 'HALF_OPEN'];
+
+/**
+ * Eventos:
+ * - 'stateChange' { from, to, reason, timestamp, shared }
+ * - 'open', 'halfOpen', 'close' com o mesmo payload
+ * - 'renew' { reason, openedAt, timestamp }: trip() em OPEN recomeçou a contagem de RESET_TIMEOUT
+ * shared: true quando a mudança veio de importState (estado de outra instância)
+ *
+ * Sem timers: OPEN vira HALF_OPEN na primeira consulta após RESET_TIMEOUT
+ * (quem tem trabalho pendente agenda a própria consulta com getRemainingOpenMs)
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      FAILURE_THRESHOLD: 5,             // Falhas seguidas que abrem o circuito
+      ERROR_RATE_THRESHOLD: 0.5,        // Taxa de erro na janela que abre o circuito (null = desativada)
+      ROLLING_WINDOW_MS: 60000,         // Janela da taxa de erro
+      MIN_REQUESTS_IN_WINDOW: 10,       // Mínimo de resultados na janela para avaliar a taxa
+      RESET_TIMEOUT: 60000,             // Tempo em OPEN antes de testar (HALF_OPEN)
+      HALF_OPEN_MAX_TRIALS: 1,          // Requests de teste simultâneos em HALF_OPEN
+      SUCCESS_THRESHOLD: 1,             // Sucessos em HALF_OPEN para fechar
+      HALF_OPEN_FAILURE_THRESHOLD: 1,   // Falhas em HALF_OPEN para reabrir
+      ...config
+    };
+    
+    const { HALF_OPEN_MAX_TRIALS, SUCCESS_THRESHOLD, HALF_OPEN_FAILURE_THRESHOLD } = this.config;
+    if (!(HALF_OPEN_MAX_TRIALS >= 1) || !(SUCCESS_THRESHOLD >= 1) || !(HALF_OPEN_FAILURE_THRESHOLD >= 1)) {
+      throw new Error('CircuitBreaker: HALF_OPEN_MAX_TRIALS, SUCCESS_THRESHOLD e HALF_OPEN_FAILURE_THRESHOLD devem ser >= 1');
+    }
+    
+    this.state = 'CLOSED';
+    this.openedAt = null;
+    this.changedAt = 0;
+    this.reason = null;
+    this.consecutiveFailures = 0;
+    
+    // Resultados recentes em CLOSED: { time, success }
+    this.outcomes = [];
+    
+    // Contagem da fase HALF_OPEN
+    this.trialsInFlight = 0;
+    this.trialSuccesses = 0;
+    this.trialFailures = 0;
+    
+    this.trips = 0;
+  }
+  
+  /**
+   * Estado atual (aplica a passagem OPEN → HALF_OPEN vencida)
+   */
+  getState() {
+    if (this.state === 'OPEN' && this.getRemainingOpenMs() === 0) {
+      this.transition('HALF_OPEN', 'reset_timeout');
+    }
+    return this.state;
+  }
+  
+  /**
+   * Tempo restante em OPEN (0 fora de OPEN)
+   */
+  getRemainingOpenMs(now = Date.now()) {
+    if (this.state !== 'OPEN') return 0;
+    return Math.max(0, this.openedAt + this.config.RESET_TIMEOUT - now);
+  }
+  
+  /**
+   * Pode iniciar um request agora? (não reserva vaga de teste)
+   */
+  canRequest() {
+    const state = this.getState();
+    if (state === 'CLOSED') return true;
+    if (state === 'OPEN') return false;
+    return this.trialsInFlight < this.config.HALF_OPEN_MAX_TRIALS;
+  }
+  
+  /**
+   * Reserva a execução de um request; em HALF_OPEN ocupa uma vaga de teste
+   * Todo acquire bem-sucedido deve terminar em recordSuccess, recordFailure ou release
+   */
+  tryAcquire() {
+    if (!this.canRequest()) return false;
+    
+    if (this.state === 'HALF_OPEN') {
+      this.trialsInFlight++;
+    }
+    return true;
+  }
+  
+  /**
+   * Devolve a vaga sem resultado (request cancelado ou expirado)
+   */
+  release() {
+    if (this.state === 'HALF_OPEN' && this.trialsInFlight > 0) {
+      this.trialsInFlight--;
+    }
+  }
+  
+  recordSuccess() {
+    if (this.state === 'HALF_OPEN') {
+      this.release();
+      this.trialSuccesses++;
+      
+      if (this.trialSuccesses >= this.config.SUCCESS_THRESHOLD) {
+        this.transition('CLOSED', `${this.trialSuccesses} requests de teste com sucesso`);
+      }
+      return;
+    }
+    
+    // Resultado de request iniciado antes de o circuito abrir
+    if (this.state === 'OPEN') return;
+    
+    this.consecutiveFailures = 0;
+    this.recordOutcome(true);
+  }
+  
+  recordFailure() {
+    if (this.state === 'HALF_OPEN') {
+      this.release();
+      this.trialFailures++;
+      
+      if (this.trialFailures >= this.config.HALF_OPEN_FAILURE_THRESHOLD) {
+        this.transition('OPEN', `${this.trialFailures} falhas nos requests de teste`);
+      }
+      return;
+    }
+    
+    // Resultado de request iniciado antes de o circuito abrir
+    if (this.state === 'OPEN') return;
+    
+    this.consecutiveFailures++;
+    this.recordOutcome(false);
+    
+    if (this.consecutiveFailures >= this.config.FAILURE_THRESHOLD) {
+      this.transition('OPEN', `${this.consecutiveFailures} falhas seguidas`);
+      return;
+    }
+    
+    const rate = this.getErrorRate();
+    if (this.config.ERROR_RATE_THRESHOLD !== null && rate !== null && rate >= this.config.ERROR_RATE_THRESHOLD) {
+      this.transition('OPEN', `taxa de erro ${Math.round(rate * 100)}% em ${this.outcomes.length} requests`);
+    }
+  }
+  
+  /**
+   * Abre o circuito na hora (ex.: quota diária esgotada)
+   * Em OPEN, recomeça a contagem de RESET_TIMEOUT
+   */
+  trip(reason = 'manual') {
+    if (this.state === 'OPEN') {
+      // changedAt acompanha openedAt: o novo prazo vence o estado compartilhado anterior
+      this.openedAt = Date.now();
+      this.changedAt = this.openedAt;
+      this.reason = reason;
+      this.emit('renew', { reason, openedAt: this.openedAt, timestamp: new Date().toISOString() });
+      return;
+    }
+    this.transition('OPEN', reason);
+  }
+  
+  /**
+   * Volta para CLOSED e limpa as contagens
+   */
+  reset() {
+    if (this.state !== 'CLOSED') {
+      this.transition('CLOSED', 'reset');
+    }
+    this.consecutiveFailures = 0;
+    this.outcomes = [];
+  }
+  
+  /**
+   * Taxa de erro na janela (null abaixo de MIN_REQUESTS_IN_WINDOW)
+   */
+  getErrorRate(now = Date.now()) {
+    this.pruneOutcomes(now);
+    if (this.outcomes.length < this.config.MIN_REQUESTS_IN_WINDOW) return null;
+    
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+    return failures / this.outcomes.length;
+  }
+  
+  recordOutcome(success, now = Date.now()) {
+    this.outcomes.push({ time: now, success });
+    this.pruneOutcomes(now);
+  }
+  
+  pruneOutcomes(now = Date.now()) {
+    const cutoff = now - this.config.ROLLING_WINDOW_MS;
+    while (this.outcomes.length > 0 && this.outcomes[0].time <= cutoff) {
+      this.outcomes.shift();
+    }
+  }
+  
+  /**
+   * Estado para compartilhar com outras instâncias (ver importState)
+   */
+  exportState() {
+    return {
+      state: this.state,
+      openedAt: this.openedAt,
+      changedAt: this.changedAt,
+      reason: this.reason
+    };
+  }
+  
+  /**
+   * Adota o estado de outra instância se ele for mais recente que o local
+   * Retorna true se adotou
+   */
+  importState(remote) {
+    if (!remote || !CIRCUIT_STATES.includes(remote.state) || !(remote.changedAt > this.changedAt)) {
+      return false;
+    }
+    
+    this.transition(remote.state, `estado compartilhado: ${remote.reason}`, { shared: true });
+    this.openedAt = remote.openedAt;
+    this.changedAt = remote.changedAt;
+    this.reason = remote.reason;
+    return true;
+  }
+  
+  transition(to, reason, { shared = false } = {}) {
+    const from = this.state;
+    if (from === to) return;
+    
+    this.state = to;
+    this.changedAt = Date.now();
+    this.reason = reason;
+    this.trialsInFlight = 0;
+    this.trialSuccesses = 0;
+    this.trialFailures = 0;
+    
+    if (to === 'OPEN') {
+      this.openedAt = Date.now();
+      // Abertura vinda de outra instância já foi contada lá
+      if (!shared) this.trips++;
+    } else {
+      this.openedAt = null;
+    }
+    
+    if (to === 'CLOSED') {
+      this.consecutiveFailures = 0;
+      this.outcomes = [];
+    }
+    
+    const event = { from, to, reason, shared, timestamp: new Date().toISOString() };
+    this.emit('stateChange', event);
+    this.emit(to === 'OPEN' ? 'open' : to === 'HALF_OPEN' ? 'halfOpen' : 'close', event);
+  }
+  
+  getSnapshot() {
+    const state = this.getState();
+    
+    return {
+      state,
+      trips: this.trips,
+      consecutiveFailures: this.consecutiveFailures,
+      errorRate: this.getErrorRate(),
+      requestsInWindow: this.outcomes.length,
+      remainingOpenMs: this.getRemainingOpenMs(),
+      trialsInFlight: this.trialsInFlight
+    };
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CircuitBreaker,
+    CIRCUIT_STATES
+  };
+}
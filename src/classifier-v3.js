@@ -3,15 +3,31 @@
  * Sistema avançado de classificação com IA e scoring preditivo
  */
 
+const { BusinessCalendar } = require('./business-calendar');
+const { parseSheetDate } = require('./date-parser');
+const { LeadSchema, parseMoney } = require('./lead-schema');
+const { TabRegistry } = require('./tab-registry');
+
 class LeadClassifierV3 {
   constructor(config = {}) {
     this.config = {
       TIMING_DIAS: 7,
       SCORE_THRESHOLD: 70,
       USE_AI_PREDICTIONS: true,
+      DAY_COUNT: 'calendar',          // 'calendar' (dias corridos) ou 'business' (dias úteis)
+      HOLIDAYS: [],                   // Feriados da empresa ('YYYY-MM-DD' ou 'MM-DD')
+      LEAD_SCHEMA: null,              // Config do LeadSchema (SCHEMA, DEFAULT_DDD)
+      TABS: null,                     // Definições de abas (padrão: DEFAULT_TAB_DEFINITIONS)
       ...config
     };
     
+    this.calendar = new BusinessCalendar({ HOLIDAYS: this.config.HOLIDAYS });
+    
+    // Normalização/validação das linhas (ver lead-schema.js)
+    this.schema = new LeadSchema(this.config.LEAD_SCHEMA || {});
+    
+    // Abas do funil compartilhadas com o Movement Engine (ver tab-registry.js)
+    this.tabs = new TabRegistry(this.config.TABS || undefined);
     this.weights = this.initializeWeights();
     this.patterns = this.initializePatterns();
   }
@@ -76,6 +92,7 @@ class LeadClassifierV3 {
     
     // Determina classificação
     const classification = this.determineClassification(totalScore, lead);
+    classification.destino_id = this.tabs.toId(classification.destino);
     
     // Predição de conversão
     const conversionProbability = this.predictConversion(lead, totalScore);
@@ -83,6 +100,10 @@ class LeadClassifierV3 {
     // Sugestões de ação
     const actions = this.suggestActions(classification, lead);
     
+    // Pontos que a classificação não conseguiu avaliar
+    const flags = [];
+    if (this.daysSinceLastInteraction(lead) === null) flags.push('DATA_INTERACAO_DESCONHECIDA');
+    
     return {
       lead_id: lead.CPF,
       lead_name: lead.Nome,
@@ -108,6 +129,7 @@ class LeadClassifierV3 {
       
       // Ações recomendadas
       recommended_actions: actions,
+      flags,
       
       // Metadados
       classified_at: new Date().toISOString(),
@@ -155,8 +177,10 @@ class LeadClassifierV3 {
     let score = 0;
     const diasSemResposta = this.daysSinceLastInteraction(lead);
     
-    // Penaliza por dias sem resposta
-    if (diasSemResposta < 3) {
+    // Penaliza por dias sem resposta (data desconhecida fica neutra - o lead sai marcado em flags)
+    if (diasSemResposta === null) {
+      score = 50;
+    } else if (diasSemResposta < 3) {
       score = 90;
     } else if (diasSemResposta < 7) {
       score = 70;
@@ -225,7 +249,7 @@ class LeadClassifierV3 {
         tipo: 'LEAD_MORTO',
         status: 'SEM_INTERESSE',
         prioridade: 'BAIXA',
-        destino: 'Lead Morto',
+        destino: this.tabs.toName('LEAD_MORTO'),
         score: 0
       };
     }
@@ -235,7 +259,7 @@ class LeadClassifierV3 {
         tipo: 'LEAD_ATIVO',
         status: 'COTACAO_SOLICITADA',
         prioridade: 'ALTA',
-        destino: 'Lead Ativo',
+        destino: this.tabs.toName('LEAD_ATIVO'),
         score: Math.max(score, 80)
       };
     }
@@ -246,7 +270,7 @@ class LeadClassifierV3 {
         tipo: 'LEAD_QUENTE',
         status: 'ALTA_PROBABILIDADE',
         prioridade: 'ALTA',
-        destino: 'Lead Ativo',
+        destino: this.tabs.toName('LEAD_ATIVO'),
         score
       };
     } else if (score >= 60) {
@@ -270,24 +294,20 @@ class LeadClassifierV3 {
         tipo: 'LEAD_MORTO',
         status: 'SEM_POTENCIAL',
         prioridade: 'BAIXA',
-        destino: 'Lead Morto',
+        destino: this.tabs.toName('LEAD_MORTO'),
         score
       };
     }
   }
   
   /**
-   * Determina aba de mensagem apropriada
+   * Determina aba de mensagem apropriada (uma etapa por tentativa)
    */
   determineMessageTab(lead) {
-    const dias = this.daysSinceLastInteraction(lead);
-    const tentativas = lead.TENTATIVAS || 1;
+    const stages = this.tabs.messageStages();
+    const tentativas = Math.max(1, parseInt(lead.TENTATIVAS) || 1);
     
-    if (tentativas >= 5) return '5ª Msg';
-    if (tentativas >= 4) return '4ª Msg';
-    if (tentativas >= 3) return '3ª Msg';
-    if (tentativas >= 2) return '2ª Msg';
-    return '1ª Msg';
+    return stages[Math.min(tentativas, stages.length) - 1];
   }
   
   /**
@@ -361,7 +381,7 @@ class LeadClassifierV3 {
           action: 'MENSAGEM_FOLLOWUP',
           priority: 'MEDIA',
           channel: 'WHATSAPP',
-          message: `Mensagem de follow-up #${Math.floor(dias / 7) + 1}`,
+          message: `Mensagem de follow-up #${dias === null ? 1 : Math.floor(dias / 7) + 1}`,
           deadline: '3 dias'
         });
         actions.push({
@@ -399,47 +419,24 @@ class LeadClassifierV3 {
   
   /**
    * Calcula dias desde última interação
+   * Sem data ou com data ilegível retorna null (nem "hoje" nem "muito antigo")
+   * Data sem fuso é lida no fuso do calendário, como no Movement Engine
    */
   daysSinceLastInteraction(lead) {
-    if (!lead.DATA_ENVIO && !lead['ÚLTIMA INTERAÇÃO']) return 999;
-    
-    const lastDate = lead.DATA_ENVIO || lead['ÚLTIMA INTERAÇÃO'];
-    const date = this.parseDate(lastDate);
-    const today = new Date();
+    const lastDate = parseSheetDate(lead.DATA_ENVIO || lead['ÚLTIMA INTERAÇÃO'], { timeZone: this.calendar.config.TIMEZONE });
+    if (!lastDate.valid) return null;
     
-    const diffTime = Math.abs(today - date);
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    return this.calendar.daysSince(lastDate.date, this.config.DAY_COUNT);
   }
   
   /**
-   * Parse de valor monetário
+   * Parse de valor monetário (R$ 1.234.567,89)
+   * Leads de classifyBatch já chegam com valor numérico
    */
   parseValue(value) {
     if (!value || value === 'n/c') return 0;
     
-    const cleanValue = value.toString()
-      .replace(/[^0-9,.-]/g, '')
-      .replace(',', '.');
-    
-    return parseFloat(cleanValue) || 0;
-  }
-  
-  /**
-   * Parse de data brasileira
-   */
-  parseDate(dateStr) {
-    if (!dateStr) return new Date();
-    
-    const parts = dateStr.split('/');
-    if (parts.length === 2) {
-      const [day, month] = parts;
-      return new Date(new Date().getFullYear(), month - 1, day);
-    } else if (parts.length === 3) {
-      const [day, month, year] = parts;
-      return new Date(year, month - 1, day);
-    }
-    
-    return new Date(dateStr);
+    return parseMoney(value).value || 0;
   }
   
   /**
@@ -448,7 +445,16 @@ class LeadClassifierV3 {
   classifyBatch(leads) {
     console.log(`🤖 Classificando ${leads.length} leads com IA...`);
     
-    const results = leads.map(lead => this.classifyLead(lead));
+    // Linhas inválidas ficam em quarentena em vez de receber score 0
+    const { valid, quarantined, flagged } = this.schema.partition(leads);
+    for (const entry of quarantined) {
+      console.warn(`⚠️ Lead em quarentena (${entry.row.Nome || entry.row.CPF}): ${entry.errors.map(error => error.message).join('; ')}`);
+    }
+    for (const entry of flagged) {
+      console.warn(`⚠️ Campo ignorado (${entry.row.Nome || entry.row.CPF}): ${entry.warnings.map(warning => warning.message).join('; ')}`);
+    }
+    
+    const results = valid.map(lead => this.classifyLead(lead));
     
     // Estatísticas do batch
     const stats = {
@@ -457,14 +463,24 @@ class LeadClassifierV3 {
       leads_mornos: results.filter(r => r.classification.tipo === 'LEAD_MORNO').length,
       leads_frios: results.filter(r => r.classification.tipo === 'LEAD_FRIO').length,
       leads_mortos: results.filter(r => r.classification.tipo === 'LEAD_MORTO').length,
-      avg_score: results.reduce((sum, r) => sum + r.scores.total, 0) / results.length,
-      avg_conversion_probability: results.reduce((sum, r) => sum + r.predictions.conversion_probability, 0) / results.length
+      leads_em_quarentena: quarantined.length,
+      leads_com_campo_invalido: flagged.length,
+      leads_sem_data: results.filter(r => r.flags.includes('DATA_INTERACAO_DESCONHECIDA')).length,
+      // Sem leads válidos (todos em quarentena) não há média
+      avg_score: results.length > 0
+        ? results.reduce((sum, r) => sum + r.scores.total, 0) / results.length
+        : null,
+      avg_conversion_probability: results.length > 0
+        ? results.reduce((sum, r) => sum + r.predictions.conversion_probability, 0) / results.length
+        : null
     };
     
     console.log('📊 Estatísticas de Classificação:', stats);
     
     return {
       classifications: results,
+      quarantined,
+      flagged,
       statistics: stats,
       timestamp: new Date().toISOString()
     };
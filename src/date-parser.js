@@ -0,0 +1,226 @@
+/**
+ * BIPRE Date Parser V3.0
+ * Leitura de datas vindas da planilha (texto brasileiro, ISO 8601 e seriais do Google Sheets)
+ * Retorna { valid: true, date, format } ou { valid: false, input, reason } - nunca "agora" falso
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Dia 0 dos seriais do Google Sheets/Excel: 30/12/1899
+const SHEETS_EPOCH_UTC = Date.UTC(1899, 11, 30);
+
+// Seriais em texto só são aceitos nesta faixa (1954-2119) para não confundir com anos, CPFs etc.
+const TEXT_SERIAL_RANGE = [20000, 80000];
+
+const BR_DATE = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  
+  return formatters.get(timeZone);
+}
+
+/**
+ * Data/hora civil de um instante no fuso
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  
+  return parts;
+}
+
+/**
+ * Diferença (ms) entre o horário civil do fuso e UTC no instante
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converte data/hora civil do fuso em instante (Date)
+ * Segunda passada corrige datas que cruzam mudança de horário de verão
+ */
+function zonedTimeToDate({ year, month, day, hour = 12, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+  const adjusted = getTimeZoneOffset(new Date(asUtc - offset), timeZone);
+  
+  return new Date(asUtc - adjusted);
+}
+
+/**
+ * Confere se os campos formam uma data/hora existente (ex.: rejeita 31/02)
+ */
+function isValidCivilDate({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+  if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59 || second > 59) return false;
+  
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day <= daysInMonth;
+}
+
+function compareCivilDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+function invalid(input, reason) {
+  return { valid: false, input, reason };
+}
+
+/**
+ * Serial do Google Sheets: dias desde 30/12/1899, fração = hora do dia no fuso da planilha
+ */
+function parseSerial(serial, input, timeZone) {
+  const whole = Math.floor(serial);
+  const civil = new Date(SHEETS_EPOCH_UTC + whole * DAY_MS);
+  const seconds = Math.round((serial - whole) * 86400);
+  const hasTime = seconds > 0;
+  
+  const date = zonedTimeToDate({
+    year: civil.getUTCFullYear(),
+    month: civil.getUTCMonth() + 1,
+    day: civil.getUTCDate(),
+    hour: hasTime ? Math.floor(seconds / 3600) : 12,
+    minute: hasTime ? Math.floor(seconds / 60) % 60 : 0,
+    second: hasTime ? seconds % 60 : 0
+  }, timeZone);
+  
+  return { valid: true, date, format: 'SHEETS_SERIAL', hasTime };
+}
+
+/**
+ * DD/MM, DD/MM/YY, DD/MM/YYYY com "HH:mm" ou "HH:mm:ss" opcional
+ * DD/MM usa o ano atual, ou o anterior se a data ainda não chegou
+ * DD/MM/YY usa 20YY, ou 19YY se 20YY passar de um ano à frente
+ */
+function parseBrazilian(match, input, timeZone, now) {
+  const [, day, month, year, hour, minute, second] = match;
+  const today = getZonedParts(now, timeZone);
+  
+  const fields = {
+    day: Number(day),
+    month: Number(month),
+    hour: hour === undefined ? undefined : Number(hour),
+    minute: minute === undefined ? undefined : Number(minute),
+    second: second === undefined ? undefined : Number(second)
+  };
+  
+  let format;
+  if (year === undefined) {
+    format = 'DD/MM';
+    fields.year = today.year;
+    if (compareCivilDates(fields, today) > 0) fields.year--;
+  } else if (year.length === 2) {
+    format = 'DD/MM/YY';
+    fields.year = 2000 + Number(year);
+    if (fields.year > today.year + 1) fields.year -= 100;
+  } else {
+    format = 'DD/MM/YYYY';
+    fields.year = Number(year);
+  }
+  
+  if (hour !== undefined) format += ' HH:mm';
+  
+  if (!isValidCivilDate(fields)) {
+    return invalid(input, 'data inexistente');
+  }
+  
+  return { valid: true, date: zonedTimeToDate(fields, timeZone), format, hasTime: hour !== undefined };
+}
+
+/**
+ * ISO 8601: data pura fica ao meio-dia do fuso; hora sem offset é horário do fuso
+ */
+function parseIso(match, input, timeZone) {
+  const [, year, month, day, hour, minute, second, zone] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: hour === undefined ? undefined : Number(hour),
+    minute: minute === undefined ? undefined : Number(minute),
+    second: second === undefined ? undefined : Number(second)
+  };
+  
+  if (!isValidCivilDate(fields)) {
+    return invalid(input, 'data inexistente');
+  }
+  
+  const date = zone
+    ? new Date(input.replace(' ', 'T'))
+    : zonedTimeToDate(fields, timeZone);
+  
+  if (isNaN(date)) {
+    return invalid(input, 'formato desconhecido');
+  }
+  
+  return { valid: true, date, format: 'ISO 8601', hasTime: hour !== undefined };
+}
+
+/**
+ * Lê uma data da planilha
+ * options: { timeZone = 'America/Sao_Paulo', now = new Date() }
+ */
+function parseSheetDate(value, { timeZone = 'America/Sao_Paulo', now = new Date() } = {}) {
+  if (value instanceof Date) {
+    return isNaN(value)
+      ? invalid(value, 'data inválida')
+      : { valid: true, date: new Date(value.getTime()), format: 'DATE', hasTime: true };
+  }
+  
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0
+      ? parseSerial(value, value, timeZone)
+      : invalid(value, 'serial inválido');
+  }
+  
+  if (value === undefined || value === null) {
+    return invalid(value, 'vazio');
+  }
+  
+  const text = String(value).trim();
+  if (!text) {
+    return invalid(value, 'vazio');
+  }
+  
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = Number(text);
+    return serial >= TEXT_SERIAL_RANGE[0] && serial <= TEXT_SERIAL_RANGE[1]
+      ? parseSerial(serial, value, timeZone)
+      : invalid(value, 'formato desconhecido');
+  }
+  
+  const brazilian = text.match(BR_DATE);
+  if (brazilian) return parseBrazilian(brazilian, value, timeZone, now);
+  
+  const iso = text.match(ISO_DATE);
+  if (iso) return parseIso(iso, text, timeZone);
+  
+  return invalid(value, 'formato desconhecido');
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseSheetDate,
+    zonedTimeToDate
+  };
+}
@@ -0,0 +1,346 @@
+/**
+ * BIPRE Dead-Letter Queue V3.0
+ * Requests que o rate limiter desistiu de executar (tentativas esgotadas, erro não recuperável,
+ * quota esgotada, circuito aberto) ficam guardados para inspeção, replay ou descarte
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEAD_LETTER_STATUS = {
+  PENDING: 'PENDING',       // Aguardando replay ou descarte
+  REPLAYED: 'REPLAYED',     // Refeito com sucesso
+  DISCARDED: 'DISCARDED'    // Descartado manualmente
+};
+
+// Por que o request foi parar na fila
+const DEAD_LETTER_REASONS = ['retries_exhausted', 'non_retryable', 'quota_exceeded', 'circuit_open', 'unconfirmed_write'];
+
+/**
+ * Fila em memória - base para as implementações persistentes
+ * Entradas: { id, requestId, status, reason, errorType, metadata, payload, attempts, lastError,
+ *             createdAt, updatedAt, replayAttempts, lastReplayError, note }
+ */
+class DeadLetterQueue {
+  constructor() {
+    this.entries = new Map();
+    this.loaded = false;
+  }
+  
+  /**
+   * Carrega entradas persistidas (no-op em memória)
+   */
+  async load() {
+    this.loaded = true;
+  }
+  
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+  
+  /**
+   * Persiste uma versão da entrada (no-op em memória)
+   */
+  async persist(entry) {}
+  
+  async save(entry) {
+    entry.updatedAt = new Date().toISOString();
+    this.entries.set(entry.id, entry);
+    await this.persist(entry);
+    return entry;
+  }
+  
+  /**
+   * Registra um request que falhou
+   * payload ({ operation, args, replayable }) precisa ser serializável em JSON
+   */
+  async add({ requestId, reason, errorType, metadata = {}, payload = null, attempts = 0, lastError = null }) {
+    await this.ensureLoaded();
+    
+    if (!DEAD_LETTER_REASONS.includes(reason)) {
+      throw new Error(`Motivo de dead-letter inválido: ${reason} (use ${DEAD_LETTER_REASONS.join(', ')})`);
+    }
+    
+    const entry = {
+      id: `dlq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      requestId,
+      status: DEAD_LETTER_STATUS.PENDING,
+      reason,
+      errorType,
+      metadata,
+      payload,
+      attempts,
+      lastError,
+      createdAt: new Date().toISOString(),
+      replayAttempts: 0,
+      lastReplayError: null,
+      note: null
+    };
+    
+    return this.save(entry);
+  }
+  
+  async get(id) {
+    await this.ensureLoaded();
+    return this.entries.get(id) || null;
+  }
+  
+  /**
+   * Entradas que casam com o filtro, da mais antiga para a mais nova
+   * filter: { ids, status, reason, errorType, operation, tab, since, until, limit }
+   */
+  async list(filter = {}) {
+    await this.ensureLoaded();
+    
+    const since = filter.since ? parseFilterDate(filter.since, 'since') : null;
+    const until = filter.until ? parseFilterDate(filter.until, 'until') : null;
+    
+    const entries = [...this.entries.values()]
+      .filter(entry => {
+        if (filter.ids && !filter.ids.includes(entry.id)) return false;
+        if (filter.status && entry.status !== filter.status) return false;
+        if (filter.reason && entry.reason !== filter.reason) return false;
+        if (filter.errorType && entry.errorType !== filter.errorType) return false;
+        if (filter.operation && entry.metadata.operation !== filter.operation) return false;
+        if (filter.tab && entry.metadata.tab !== filter.tab) return false;
+        if (since && new Date(entry.createdAt) < since) return false;
+        if (until && new Date(entry.createdAt) > until) return false;
+        return true;
+      })
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    
+    return filter.limit ? entries.slice(0, filter.limit) : entries;
+  }
+  
+  /**
+   * Refaz as entradas pendentes do filtro, em ordem, com execute(entry)
+   * Sem payload replayable a entrada é pulada (force: true refaz operações por índice mesmo assim)
+   * stopOnFailure: para no primeiro erro - a quota provavelmente ainda não voltou
+   */
+  async replay(filter, execute, { force = false, stopOnFailure = true } = {}) {
+    const entries = await this.list({ ...filter, status: DEAD_LETTER_STATUS.PENDING });
+    const result = { replayed: [], failed: [], skipped: [], remaining: 0 };
+    
+    for (const [index, entry] of entries.entries()) {
+      if (!entry.payload) {
+        result.skipped.push({ id: entry.id, reason: 'sem payload' });
+        continue;
+      }
+      if (!entry.payload.replayable && !force) {
+        result.skipped.push({ id: entry.id, reason: `${entry.payload.operation} não é replayable (use force)` });
+        continue;
+      }
+      
+      entry.replayAttempts++;
+      
+      try {
+        await execute(entry);
+        
+        entry.status = DEAD_LETTER_STATUS.REPLAYED;
+        entry.lastReplayError = null;
+        await this.save(entry);
+        result.replayed.push(entry.id);
+        
+      } catch (error) {
+        entry.lastReplayError = { name: error.name, message: error.message };
+        await this.save(entry);
+        result.failed.push({ id: entry.id, error: error.message });
+        
+        if (stopOnFailure) {
+          result.remaining = entries.length - index - 1;
+          console.log(`⛔ Replay interrompido no primeiro erro (${result.remaining} entradas não tentadas)`);
+          break;
+        }
+      }
+    }
+    
+    console.log(`♻️ Replay: ${result.replayed.length} refeitos, ${result.failed.length} falhas, ${result.skipped.length} pulados`);
+    return result;
+  }
+  
+  /**
+   * Descarta as entradas pendentes do filtro
+   */
+  async discard(filter, { note = null } = {}) {
+    const entries = await this.list({ ...filter, status: DEAD_LETTER_STATUS.PENDING });
+    
+    for (const entry of entries) {
+      entry.status = DEAD_LETTER_STATUS.DISCARDED;
+      entry.note = note;
+      await this.save(entry);
+    }
+    
+    return entries.map(entry => entry.id);
+  }
+  
+  /**
+   * Contagem por status e, entre as pendentes, por motivo
+   */
+  async getSummary() {
+    await this.ensureLoaded();
+    
+    const summary = { total: this.entries.size, byStatus: {}, pendingByReason: {} };
+    for (const entry of this.entries.values()) {
+      summary.byStatus[entry.status] = (summary.byStatus[entry.status] || 0) + 1;
+      
+      if (entry.status === DEAD_LETTER_STATUS.PENDING) {
+        summary.pendingByReason[entry.reason] = (summary.pendingByReason[entry.reason] || 0) + 1;
+      }
+    }
+    
+    return summary;
+  }
+}
+
+function parseFilterDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Filtro ${name} inválido: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Fila em arquivo JSONL (append-only)
+ * Cada mudança gera uma linha; no load a última versão de cada id prevalece
+ */
+class FileDeadLetterQueue extends DeadLetterQueue {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      filePath: './data/dead-letters.jsonl',
+      ...config
+    };
+  }
+  
+  async load() {
+    this.entries.clear();
+    
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.config.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.id, entry);
+      } catch (error) {
+        // Linha truncada por queda durante a escrita - ignora
+        console.warn(`⚠️ Linha inválida na dead-letter queue ignorada: ${line.slice(0, 80)}`);
+      }
+    }
+    
+    this.loaded = true;
+  }
+  
+  async persist(entry) {
+    await fs.promises.mkdir(path.dirname(this.config.filePath), { recursive: true });
+    await fs.promises.appendFile(this.config.filePath, JSON.stringify(entry) + '\n', 'utf8');
+  }
+  
+  /**
+   * Reescreve o arquivo só com a última versão de cada entrada
+   */
+  async compact() {
+    await this.ensureLoaded();
+    
+    const content = [...this.entries.values()]
+      .map(entry => JSON.stringify(entry) + '\n')
+      .join('');
+    
+    const tmpPath = `${this.config.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, content, 'utf8');
+    await fs.promises.rename(tmpPath, this.config.filePath);
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DeadLetterQueue,
+    FileDeadLetterQueue,
+    DEAD_LETTER_STATUS,
+    DEAD_LETTER_REASONS
+  };
+}
+
+// Uso via linha de comando:
+//   node src/dead-letter-queue.js list [--status PENDING] [--reason retries_exhausted] [--operation appendRows]
+//                                      [--tab 'Lead Ativo'] [--since 2025-08-01] [--until 2025-08-02] [--limit 20]
+//   node src/dead-letter-queue.js show <id>
+//   node src/dead-letter-queue.js summary
+//   node src/dead-letter-queue.js replay [filtros] [--id <id>] [--force] [--apply]
+//   node src/dead-letter-queue.js discard [filtros] [--id <id>] [--note 'motivo'] [--apply]
+// --file ./data/dead-letters.jsonl (padrão); replay/discard sem --apply só listam o que seria feito
+// Replay: --data-dir ./data usa FileStorageAdapter; sem ele usa Google Sheets (BIPRE_SPREADSHEET_ID, GOOGLE_SHEETS_ACCESS_TOKEN)
+if (typeof require !== 'undefined' && require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  
+  const command = args[0] || 'list';
+  const queue = new FileDeadLetterQueue({ filePath: option('--file') || './data/dead-letters.jsonl' });
+  const filter = {
+    ids: option('--id') ? [option('--id')] : undefined,
+    status: option('--status') || undefined,
+    reason: option('--reason') || undefined,
+    errorType: option('--error-type') || undefined,
+    operation: option('--operation') || undefined,
+    tab: option('--tab') || undefined,
+    since: option('--since') || undefined,
+    until: option('--until') || undefined,
+    limit: option('--limit') ? Number(option('--limit')) : undefined
+  };
+  const apply = args.includes('--apply');
+  
+  const run = async () => {
+    switch (command) {
+      case 'list':
+        return queue.list(filter);
+      case 'show':
+        return queue.get(args[1]);
+      case 'summary':
+        return queue.getSummary();
+      case 'discard':
+        if (!apply) return queue.list({ ...filter, status: DEAD_LETTER_STATUS.PENDING });
+        return { discarded: await queue.discard(filter, { note: option('--note') }) };
+      case 'replay': {
+        if (!apply) return queue.list({ ...filter, status: DEAD_LETTER_STATUS.PENDING });
+        
+        const { GoogleSheetsRateLimiter } = require('./rate-limiter');
+        const { FileStorageAdapter, GoogleSheetsStorageAdapter } = require('./storage-adapters');
+        
+        const storage = option('--data-dir')
+          ? new FileStorageAdapter({ directory: option('--data-dir'), format: option('--format') || 'json' })
+          : new GoogleSheetsStorageAdapter({
+            spreadsheetId: process.env.BIPRE_SPREADSHEET_ID,
+            accessToken: process.env.GOOGLE_SHEETS_ACCESS_TOKEN
+          });
+        
+        const limiter = new GoogleSheetsRateLimiter({ deadLetterQueue: queue });
+        try {
+          return await limiter.replayDeadLetters(filter, { storage, force: args.includes('--force') });
+        } finally {
+          await limiter.dispose();
+        }
+      }
+      default:
+        throw new Error(`Comando desconhecido: ${command} (use list, show, summary, replay ou discard)`);
+    }
+  };
+  
+  run()
+    .then(result => console.log(JSON.stringify(result, null, 2)))
+    .catch(error => {
+      console.error('❌ Erro na dead-letter queue:', error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,276 @@
+/**
+ * BIPRE Lead Schema V3.0
+ * Normaliza colunas da planilha (aliases → campo canônico) e valida cada linha
+ * CPF com dígitos verificadores, telefone E.164, moeda BRL, inteiros e datas
+ */
+
+const { parseSheetDate } = require('./date-parser');
+
+/**
+ * Campos canônicos (nomes das colunas usados pelo sistema)
+ * Aliases são comparados sem acento, caixa ou pontuação ('ULTIMA_INTERACAO' = 'ÚLTIMA INTERAÇÃO')
+ */
+const LEAD_SCHEMA = {
+  CPF: { type: 'cpf', required: true, aliases: ['CPF_CLIENTE', 'Documento'] },
+  Nome: { type: 'string', required: true, aliases: ['Nome Completo', 'Name', 'Cliente'] },
+  Telefone: { type: 'phone', aliases: ['Celular', 'WHATSAPP', 'Fone'] },
+  ABA_ATUAL: { type: 'string', aliases: ['CURRENT_TAB', 'Aba', 'Etapa'] },
+  DATA_ENVIO: { type: 'date', aliases: ['Data de Envio'] },
+  'ÚLTIMA INTERAÇÃO': { type: 'string', aliases: ['Interação'] },
+  'Valor Principal': { type: 'money', aliases: ['Valor', 'Valor da Causa'] },
+  TENTATIVAS: { type: 'integer', aliases: ['Tentativa'] },
+  Idade: { type: 'integer', aliases: [] },
+  OBS: { type: 'string', aliases: ['Observação', 'Observações'] },
+  Prioridade: { type: 'string', aliases: [] }
+};
+
+/**
+ * Chave de comparação de nomes de coluna
+ */
+function normalizeKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Marcadores usados na planilha para "sem informação"
+const EMPTY_MARKERS = ['', '-', 'n/c', 'n/a'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || EMPTY_MARKERS.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * CPF com dígitos verificadores
+ * Aceita pontuação e zeros à esquerda perdidos por células numéricas (9-10 dígitos)
+ */
+function parseCpf(value) {
+  let digits = String(value).replace(/\D/g, '');
+  if (digits.length >= 9 && digits.length < 11) digits = digits.padStart(11, '0');
+  
+  if (digits.length !== 11) return { error: 'CPF deve ter 11 dígitos' };
+  if (/^(\d)\1{10}$/.test(digits)) return { error: 'CPF inválido (dígitos repetidos)' };
+  
+  for (const position of [9, 10]) {
+    let sum = 0;
+    for (let i = 0; i < position; i++) {
+      sum += Number(digits[i]) * (position + 1 - i);
+    }
+    
+    const check = (sum * 10) % 11 % 10;
+    if (check !== Number(digits[position])) return { error: 'CPF com dígito verificador inválido' };
+  }
+  
+  return { value: digits };
+}
+
+function isValidCpf(value) {
+  return !isEmpty(value) && !parseCpf(value).error;
+}
+
+/**
+ * Telefone brasileiro em E.164 (+55DDNNNNNNNNN)
+ * Sem DDD usa defaultDdd, se configurado
+ */
+function parsePhone(value, { defaultDdd = null } = {}) {
+  let digits = String(value).replace(/\D/g, '').replace(/^0+/, '');
+  
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  }
+  
+  if ((digits.length === 8 || digits.length === 9) && defaultDdd) {
+    digits = `${defaultDdd}${digits}`;
+  }
+  
+  if (digits.length !== 10 && digits.length !== 11) {
+    return { error: 'telefone deve ter DDD + 8 ou 9 dígitos' };
+  }
+  
+  const ddd = digits.slice(0, 2);
+  const number = digits.slice(2);
+  
+  if (/0/.test(ddd)) return { error: `DDD inválido '${ddd}'` };
+  
+  const mobile = number.length === 9 && number.startsWith('9');
+  const landline = number.length === 8 && /^[2-5]/.test(number);
+  if (!mobile && !landline) return { error: 'número de telefone inválido' };
+  
+  return { value: `+55${digits}` };
+}
+
+function normalizePhone(value, options) {
+  if (isEmpty(value)) return null;
+  return parsePhone(value, options).value || null;
+}
+
+/**
+ * Valor em reais: 'R$ 1.234.567,89', '1234,5', '1.234', 1234.56
+ * O último separador seguido de 1-2 dígitos é o decimal; os demais são milhar
+ */
+function parseMoney(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value } : { error: 'valor monetário inválido' };
+  }
+  
+  const text = String(value).replace(/R\$|\s/g, '');
+  if (!/^-?[\d.,]+$/.test(text) || !/\d/.test(text)) {
+    return { error: `valor monetário inválido '${value}'` };
+  }
+  
+  const negative = text.startsWith('-');
+  const body = negative ? text.slice(1) : text;
+  const decimal = body.match(/^(.*)[.,](\d{1,2})$/);
+  
+  const [integerPart, fraction] = decimal ? [decimal[1], decimal[2]] : [body, ''];
+  if (!/^\d{1,3}([.,]?\d{3})*$/.test(integerPart) && !/^\d+$/.test(integerPart)) {
+    return { error: `valor monetário inválido '${value}'` };
+  }
+  
+  const amount = Number(`${integerPart.replace(/[.,]/g, '')}.${fraction || '0'}`);
+  return { value: negative ? -amount : amount };
+}
+
+function parseInteger(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { value } : { error: `inteiro inválido '${value}'` };
+  }
+  
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text)) return { error: `inteiro inválido '${value}'` };
+  
+  return { value: Number(text) };
+}
+
+class LeadSchema {
+  constructor(config = {}) {
+    this.config = {
+      SCHEMA: LEAD_SCHEMA,
+      DEFAULT_DDD: null,              // DDD para telefones sem DDD (ex.: '11')
+      ...config
+    };
+    
+    // Chave normalizada → campo canônico
+    this.fieldByKey = new Map();
+    for (const [field, definition] of Object.entries(this.config.SCHEMA)) {
+      for (const name of [field, ...(definition.aliases || [])]) {
+        this.fieldByKey.set(normalizeKey(name), field);
+      }
+    }
+  }
+  
+  /**
+   * Campo canônico de uma coluna (ou null se fora do schema)
+   */
+  resolveField(column) {
+    return this.fieldByKey.get(normalizeKey(column)) || null;
+  }
+  
+  /**
+   * Valor bruto de um campo canônico, qualquer que seja o alias usado na linha
+   */
+  getRaw(row, field) {
+    if (!isEmpty(row[field])) return row[field];
+    
+    for (const [column, value] of Object.entries(row)) {
+      if (!isEmpty(value) && this.resolveField(column) === field) return value;
+    }
+    
+    return undefined;
+  }
+  
+  /**
+   * Converte valor conforme o tipo do campo
+   * Retorna { value } ou { error }
+   */
+  parseValue(type, value) {
+    switch (type) {
+      case 'cpf': return parseCpf(value);
+      case 'phone': return parsePhone(value, { defaultDdd: this.config.DEFAULT_DDD });
+      case 'money': return parseMoney(value);
+      case 'integer': return parseInteger(value);
+      case 'date': {
+        const parsed = parseSheetDate(value);
+        return parsed.valid ? { value } : { error: `data ilegível '${value}' (${parsed.reason})` };
+      }
+      default: return { value: String(value).trim() };
+    }
+  }
+  
+  /**
+   * Normaliza e valida uma linha
+   * Retorna { valid, lead, errors, warnings } - lead usa nomes canônicos e valores tipados;
+   * colunas fora do schema são mantidas como estão
+   * Só campo obrigatório inválido invalida a linha: opcional inválido (telefone, inteiro...) fica fora de lead
+   * e aparece em warnings
+   */
+  normalize(row) {
+    const lead = {};
+    const errors = [];
+    const warnings = [];
+    
+    for (const [column, value] of Object.entries(row)) {
+      if (!this.resolveField(column)) lead[column] = value;
+    }
+    
+    for (const [field, definition] of Object.entries(this.config.SCHEMA)) {
+      const raw = this.getRaw(row, field);
+      
+      if (isEmpty(raw)) {
+        if (definition.required) errors.push({ field, value: raw, message: `${field} obrigatório` });
+        continue;
+      }
+      
+      const result = this.parseValue(definition.type, raw);
+      if (result.error) {
+        (definition.required ? errors : warnings).push({ field, value: raw, message: result.error });
+        continue;
+      }
+      
+      lead[field] = result.value;
+    }
+    
+    return { valid: errors.length === 0, lead, errors, warnings };
+  }
+  
+  /**
+   * Separa linhas válidas (normalizadas) das que vão para quarentena
+   * flagged: linhas válidas com campo opcional descartado (ver normalize)
+   */
+  partition(rows) {
+    const valid = [];
+    const quarantined = [];
+    const flagged = [];
+    
+    for (const row of rows) {
+      const result = this.normalize(row);
+      
+      if (!result.valid) {
+        quarantined.push({ row, errors: result.errors });
+        continue;
+      }
+      
+      valid.push(result.lead);
+      if (result.warnings.length > 0) flagged.push({ row, warnings: result.warnings });
+    }
+    
+    return { valid, quarantined, flagged };
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LeadSchema,
+    LEAD_SCHEMA,
+    normalizeKey,
+    parseCpf,
+    isValidCpf,
+    parsePhone,
+    normalizePhone,
+    parseMoney,
+    parseInteger
+  };
+}
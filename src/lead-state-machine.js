@@ -0,0 +1,173 @@
+/**
+ * BIPRE Lead State Machine V3.0
+ * Ciclo de vida do lead: estados (abas), transições permitidas e estados terminais
+ * Bloqueia movimentos ilegais e valida o HISTORICO_MOVIMENTACAO
+ */
+
+const { TabRegistry } = require('./tab-registry');
+
+/**
+ * Erro lançado quando um movimento não é permitido
+ */
+class IllegalTransitionError extends Error {
+  constructor(from, to, reason) {
+    super(`Transição não permitida: ${from} → ${to} (${reason})`);
+    this.name = 'IllegalTransitionError';
+    this.from = from;
+    this.to = to;
+    this.reason = reason;
+  }
+}
+
+class LeadStateMachine {
+  /**
+   * definition: { states, transitions, terminal } (padrão: defaultDefinition(tabs))
+   * tabs: registro de abas do engine - os estados são nomes de aba desse registro
+   */
+  constructor(definition = null, tabs = new TabRegistry()) {
+    this.tabs = tabs;
+    definition = definition || LeadStateMachine.defaultDefinition(tabs);
+    
+    this.states = [...definition.states];
+    this.terminal = new Set(definition.terminal || []);
+    this.transitions = new Map();
+    
+    for (const state of this.states) {
+      this.transitions.set(state, new Set((definition.transitions || {})[state] || []));
+    }
+    
+    this.validateDefinition();
+  }
+  
+  /**
+   * Definição padrão
+   * Etapas de mensagem avançam uma a uma e podem ir para Lead Ativo ou Lead Morto
+   * Lead Ativo só pode morrer; Lead Morto é terminal
+   */
+  static defaultDefinition(tabs = new TabRegistry()) {
+    const stages = tabs.messageStages();
+    const active = tabs.toName('LEAD_ATIVO');
+    const dead = tabs.toName('LEAD_MORTO');
+    const transitions = {};
+    
+    stages.forEach((stage, index) => {
+      const next = stages[index + 1];
+      transitions[stage] = [next, active, dead].filter(Boolean);
+    });
+    
+    transitions[active] = [dead];
+    transitions[dead] = [];
+    
+    return {
+      states: [...stages, active, dead],
+      transitions,
+      terminal: [dead]
+    };
+  }
+  
+  /**
+   * Garante consistência da própria definição
+   */
+  validateDefinition() {
+    const errors = [];
+    
+    for (const state of this.states) {
+      if (this.tabs.toName(state) !== state) errors.push(`${state}: estado fora do registro de abas`);
+    }
+    
+    for (const [from, targets] of this.transitions) {
+      for (const to of targets) {
+        if (!this.transitions.has(to)) errors.push(`${from} → ${to}: estado desconhecido`);
+        if (to === from) errors.push(`${from} → ${to}: auto-transição`);
+      }
+      
+      if (this.terminal.has(from) && targets.size > 0) {
+        errors.push(`${from}: estado terminal com transições de saída`);
+      }
+    }
+    
+    for (const state of this.terminal) {
+      if (!this.transitions.has(state)) errors.push(`${state}: estado terminal desconhecido`);
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(`Máquina de estados inválida:\n- ${errors.join('\n- ')}`);
+    }
+  }
+  
+  isTerminal(state) {
+    return this.terminal.has(state);
+  }
+  
+  /**
+   * Verifica se a transição é permitida
+   * Retorna { allowed, reason }
+   */
+  check(from, to) {
+    if (!this.transitions.has(from)) {
+      return { allowed: false, reason: `estado de origem desconhecido '${from}'` };
+    }
+    
+    if (!this.transitions.has(to)) {
+      return { allowed: false, reason: `estado de destino desconhecido '${to}'` };
+    }
+    
+    if (from === to) {
+      return { allowed: false, reason: 'lead já está na aba de destino' };
+    }
+    
+    if (this.isTerminal(from)) {
+      return { allowed: false, reason: `'${from}' é um estado terminal` };
+    }
+    
+    if (!this.transitions.get(from).has(to)) {
+      return { allowed: false, reason: 'transição fora do ciclo de vida' };
+    }
+    
+    return { allowed: true, reason: null };
+  }
+  
+  /**
+   * Lança IllegalTransitionError se a transição não for permitida
+   */
+  assertTransition(from, to) {
+    const result = this.check(from, to);
+    if (!result.allowed) {
+      throw new IllegalTransitionError(from, to, result.reason);
+    }
+  }
+  
+  /**
+   * Valida histórico de movimentações contra a máquina de estados
+   * Cada passo deve ser permitido e começar onde o anterior terminou
+   * (fim do histórico diferente da aba atual é movimento manual, não erro - ver Movement Engine)
+   * Retorna lista de erros (vazia se válido)
+   */
+  validateHistory(history) {
+    const errors = [];
+    
+    history.forEach((step, index) => {
+      const label = `passo ${index + 1} (${step.from} → ${step.to})`;
+      const previous = history[index - 1];
+      
+      if (previous && previous.to !== step.from) {
+        errors.push(`${label}: origem difere do destino anterior '${previous.to}'`);
+      }
+      
+      const result = this.check(step.from, step.to);
+      if (!result.allowed) {
+        errors.push(`${label}: ${result.reason}`);
+      }
+    });
+    
+    return errors;
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LeadStateMachine,
+    IllegalTransitionError
+  };
+}
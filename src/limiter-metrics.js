@@ -0,0 +1,310 @@
+/**
+ * BIPRE Limiter Metrics V3.0
+ * Histogramas do rate limiter (espera na fila, execução, tentativas) e exportação
+ * em OpenMetrics (Prometheus) ou JSON, opcionalmente por um endpoint HTTP local
+ */
+
+const http = require('http');
+
+// Limites padrão dos histogramas (le = "menor ou igual")
+const DEFAULT_HISTOGRAM_BUCKETS = {
+  queueWaitMs: [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000],
+  executionMs: [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000],
+  attempts: [1, 2, 3, 4, 5]
+};
+
+/**
+ * Histograma de buckets fixos, cumulativo na exportação
+ */
+class Histogram {
+  constructor(bounds) {
+    if (!Array.isArray(bounds) || bounds.length === 0 || bounds.some((bound, i) => i > 0 && bound <= bounds[i - 1])) {
+      throw new Error(`Buckets de histograma inválidos: ${JSON.stringify(bounds)} (use números crescentes)`);
+    }
+    
+    this.bounds = [...bounds];
+    this.reset();
+  }
+  
+  reset() {
+    // Última posição: acima do maior limite (+Inf)
+    this.counts = new Array(this.bounds.length + 1).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+  
+  observe(value) {
+    const index = this.bounds.findIndex(bound => value <= bound);
+    this.counts[index === -1 ? this.bounds.length : index]++;
+    this.sum += value;
+    this.count++;
+  }
+  
+  /**
+   * Percentil estimado por interpolação dentro do bucket (null sem observações)
+   * Acima do maior limite retorna o próprio limite
+   */
+  percentile(q) {
+    if (this.count === 0) return null;
+    
+    const rank = q * this.count;
+    let cumulative = 0;
+    
+    for (let i = 0; i < this.bounds.length; i++) {
+      const previous = cumulative;
+      cumulative += this.counts[i];
+      
+      if (cumulative >= rank && this.counts[i] > 0) {
+        const lower = i === 0 ? 0 : this.bounds[i - 1];
+        return lower + ((this.bounds[i] - lower) * (rank - previous)) / this.counts[i];
+      }
+    }
+    
+    return this.bounds[this.bounds.length - 1];
+  }
+  
+  snapshot() {
+    let cumulative = 0;
+    const buckets = this.bounds.map((bound, i) => {
+      cumulative += this.counts[i];
+      return { le: bound, count: cumulative };
+    });
+    buckets.push({ le: '+Inf', count: this.count });
+    
+    return {
+      count: this.count,
+      sum: this.sum,
+      buckets,
+      p50: this.percentile(0.5),
+      p95: this.percentile(0.95),
+      p99: this.percentile(0.99)
+    };
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== null && value !== undefined);
+  if (entries.length === 0) return '';
+  
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Exporta as métricas de um GoogleSheetsRateLimiter
+ * labels: labels fixos em todas as séries (ex.: { spreadsheet: 'abc' })
+ */
+class MetricsExporter {
+  constructor(config = {}) {
+    const { limiter, ...settings } = config;
+    if (!limiter) {
+      throw new Error('MetricsExporter requer config.limiter');
+    }
+    
+    this.limiter = limiter;
+    this.config = {
+      prefix: 'bipre_limiter',
+      labels: {},
+      ...settings
+    };
+    
+    this.server = null;
+  }
+  
+  /**
+   * Snapshot em JSON: contadores, gauges e histogramas (com p50/p95/p99)
+   */
+  toJSON() {
+    const metrics = this.limiter.getMetrics();
+    
+    return {
+      timestamp: new Date().toISOString(),
+      labels: this.config.labels,
+      counters: {
+        requests: { success: metrics.successfulRequests, failure: metrics.failedRequests },
+        errors: metrics.errorsByType,
+        retries: metrics.retryAttempts,
+        expired: metrics.expiredRequests,
+        aborted: metrics.abortedRequests,
+        circuitBreakerTrips: metrics.circuitBreakerTrips,
+        deadLettered: metrics.deadLettered,
+        stateStoreErrors: metrics.stateStoreErrors
+      },
+      gauges: {
+        status: metrics.status,
+        queueSize: metrics.currentQueueSize,
+        circuitBreakerState: metrics.circuitBreakerState,
+        effectiveRatePerMinute: metrics.effectiveRatePerMinute,
+        quotas: metrics.quotas
+      },
+      histograms: metrics.histograms,
+      readCache: metrics.readCache
+    };
+  }
+  
+  /**
+   * Texto OpenMetrics 1.0 (tempos em segundos, como manda a convenção do Prometheus)
+   */
+  toOpenMetrics() {
+    const metrics = this.limiter.getMetrics();
+    const prefix = this.config.prefix;
+    const base = this.config.labels;
+    const lines = [];
+    
+    const family = (name, type, help, unit = null) => {
+      lines.push(`# TYPE ${prefix}_${name} ${type}`);
+      if (unit) lines.push(`# UNIT ${prefix}_${name} ${unit}`);
+      lines.push(`# HELP ${prefix}_${name} ${help}`);
+    };
+    const sample = (name, labels, value) => {
+      lines.push(`${prefix}_${name}${formatLabels({ ...base, ...labels })} ${formatNumber(value)}`);
+    };
+    
+    family('requests', 'counter', 'Requests concluídos por resultado');
+    sample('requests_total', { outcome: 'success' }, metrics.successfulRequests);
+    sample('requests_total', { outcome: 'failure' }, metrics.failedRequests);
+    
+    family('errors', 'counter', 'Tentativas com erro por classe');
+    for (const [type, count] of Object.entries(metrics.errorsByType)) {
+      sample('errors_total', { type }, count);
+    }
+    
+    const counters = [
+      ['retries', 'Novas tentativas', metrics.retryAttempts],
+      ['expired_requests', 'Requests que passaram do prazo', metrics.expiredRequests],
+      ['aborted_requests', 'Requests cancelados', metrics.abortedRequests],
+      ['circuit_breaker_trips', 'Aberturas do circuit breaker', metrics.circuitBreakerTrips],
+      ['dead_lettered', 'Requests enviados para a dead-letter queue', metrics.deadLettered],
+      ['state_store_errors', 'Falhas do state store compartilhado', metrics.stateStoreErrors]
+    ];
+    for (const [name, help, value] of counters) {
+      family(name, 'counter', help);
+      sample(`${name}_total`, {}, value);
+    }
+    
+    if (metrics.readCache) {
+      family('read_cache_lookups', 'counter', 'Leituras com cache por resultado');
+      sample('read_cache_lookups_total', { result: 'hit' }, metrics.readCache.hits);
+      sample('read_cache_lookups_total', { result: 'miss' }, metrics.readCache.misses);
+      sample('read_cache_lookups_total', { result: 'deduplicated' }, metrics.readCache.deduplicated);
+      
+      family('read_cache_invalidations', 'counter', 'Invalidações do cache por escrita');
+      sample('read_cache_invalidations_total', {}, metrics.readCache.invalidations);
+      
+      family('read_cache_entries', 'gauge', 'Leituras guardadas no cache');
+      sample('read_cache_entries', {}, metrics.readCache.size);
+    }
+    
+    family('queue_size', 'gauge', 'Requests aguardando na fila');
+    sample('queue_size', {}, metrics.currentQueueSize);
+    
+    family('effective_rate_per_minute', 'gauge', 'Taxa máxima atual (requests/minuto)');
+    sample('effective_rate_per_minute', {}, metrics.effectiveRatePerMinute);
+    
+    family('available_tokens', 'gauge', 'Tokens disponíveis por janela de quota');
+    for (const quota of metrics.quotas) {
+      sample('available_tokens', { window: quota.name, kind: quota.kind, user: quota.user }, quota.available);
+    }
+    
+    family('circuit_state', 'stateset', 'Estado do circuit breaker');
+    for (const state of ['CLOSED', 'OPEN', 'HALF_OPEN']) {
+      sample('circuit_state', { [`${prefix}_circuit_state`]: state }, metrics.circuitBreakerState === state ? 1 : 0);
+    }
+    
+    const histograms = [
+      ['queue_wait_seconds', 'queueWaitMs', 'Espera na fila até a primeira tentativa', 'seconds', 1000],
+      ['execution_seconds', 'executionMs', 'Duração da execução, incluindo retries', 'seconds', 1000],
+      ['attempts', 'attempts', 'Tentativas por request', null, 1]
+    ];
+    for (const [name, key, help, unit, divisor] of histograms) {
+      family(name, 'histogram', help, unit);
+      
+      for (const [kind, histogram] of Object.entries(metrics.histograms[key])) {
+        for (const bucket of histogram.buckets) {
+          const le = bucket.le === '+Inf' ? '+Inf' : formatNumber(bucket.le / divisor);
+          sample(`${name}_bucket`, { kind, le }, bucket.count);
+        }
+        sample(`${name}_count`, { kind }, histogram.count);
+        sample(`${name}_sum`, { kind }, histogram.sum / divisor);
+      }
+    }
+    
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+  
+  /**
+   * Servidor HTTP local: GET /metrics (OpenMetrics) e GET /metrics.json
+   * Resolve com { host, port } (port 0 escolhe uma porta livre)
+   */
+  listen({ port = 9464, host = '127.0.0.1' } = {}) {
+    if (this.server) {
+      return Promise.reject(new Error('MetricsExporter já está escutando'));
+    }
+    
+    this.server = http.createServer((req, res) => {
+      const pathname = new URL(req.url, 'http://localhost').pathname;
+      
+      if (req.method !== 'GET') {
+        res.writeHead(405, { Allow: 'GET' });
+        res.end();
+        return;
+      }
+      
+      try {
+        if (pathname === '/metrics') {
+          res.writeHead(200, { 'Content-Type': 'application/openmetrics-text; version=1.0.0; charset=utf-8' });
+          res.end(this.toOpenMetrics());
+        } else if (pathname === '/metrics.json') {
+          res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+          res.end(JSON.stringify(this.toJSON()));
+        } else {
+          res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('Use /metrics ou /metrics.json\n');
+        }
+      } catch (error) {
+        console.error('❌ Erro ao exportar métricas:', error);
+        res.writeHead(500);
+        res.end();
+      }
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', error => {
+        this.server = null;
+        reject(error);
+      });
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        console.log(`📈 Métricas do rate limiter em http://${host}:${address.port}/metrics`);
+        resolve({ host, port: address.port });
+      });
+    });
+  }
+  
+  close() {
+    if (!this.server) return Promise.resolve();
+    
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Histogram,
+    MetricsExporter,
+    DEFAULT_HISTOGRAM_BUCKETS
+  };
+}
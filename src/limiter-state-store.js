@@ -0,0 +1,522 @@
+/**
+ * BIPRE Limiter State Store V3.0
+ * Estado do rate limiter compartilhado entre execuções do n8n e workers (queue mode)
+ * Tokens das janelas de quota, último request e estado do circuit breaker sob uma chave (ex.: ID da planilha)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * Lock do estado não obtido dentro de lockTimeoutMs
+ */
+class StateStoreLockError extends Error {
+  constructor(message, { key } = {}) {
+    super(message);
+    this.name = 'StateStoreLockError';
+    this.key = key;
+  }
+}
+
+/**
+ * Store em memória - base para as implementações compartilhadas
+ * Só compartilha entre limiters do mesmo processo
+ */
+class LimiterStateStore {
+  constructor() {
+    this.states = new Map();
+    
+    // Transações da mesma chave no mesmo processo não se sobrepõem
+    this.keyLocks = new Map();
+  }
+  
+  /**
+   * Lê e altera o estado da chave de forma atômica
+   * fn recebe o estado (objeto, {} na primeira vez), altera no lugar e retorna o resultado da transação
+   */
+  update(key, fn) {
+    const previous = this.keyLocks.get(key) || Promise.resolve();
+    const run = previous.then(() => this.transaction(key, fn));
+    
+    const settled = run.catch(() => {});
+    this.keyLocks.set(key, settled);
+    settled.then(() => {
+      if (this.keyLocks.get(key) === settled) this.keyLocks.delete(key);
+    });
+    
+    return run;
+  }
+  
+  /**
+   * Cópia do estado atual (ou null)
+   */
+  async read(key) {
+    const state = this.states.get(key);
+    return state ? JSON.parse(JSON.stringify(state)) : null;
+  }
+  
+  async transaction(key, fn) {
+    const state = (await this.read(key)) || {};
+    const result = fn(state);
+    this.states.set(key, state);
+    return result;
+  }
+  
+  /**
+   * Libera conexões (no-op em memória)
+   */
+  async close() {}
+}
+
+/**
+ * Estado em arquivo JSON, protegido por arquivo de lock (criação exclusiva)
+ * Serve para execuções e workers na mesma máquina / volume
+ */
+class FileLimiterStateStore extends LimiterStateStore {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      directory: './data/limiter-state',
+      lockTimeoutMs: 5000,            // Espera máxima pelo lock
+      staleLockMs: 10000,             // Lock mais velho que isso foi abandonado (processo morto)
+      retryDelayMs: 5,                // Intervalo entre tentativas de lock
+      ...config
+    };
+  }
+  
+  getFilePath(key) {
+    return path.join(this.config.directory, `${encodeURIComponent(key)}.json`);
+  }
+  
+  async read(key) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.getFilePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      // Arquivo truncado - recomeça com o estado vazio
+      console.warn(`⚠️ Estado do limiter ilegível em ${this.getFilePath(key)} - reiniciando`);
+      return null;
+    }
+  }
+  
+  async transaction(key, fn) {
+    const filePath = this.getFilePath(key);
+    await fs.promises.mkdir(this.config.directory, { recursive: true });
+    
+    const lockPath = `${filePath}.lock`;
+    const token = crypto.randomBytes(12).toString('hex');
+    await this.acquireLock(key, lockPath, token);
+    
+    try {
+      const state = (await this.read(key)) || {};
+      const result = fn(state);
+      
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(state), 'utf8');
+      await fs.promises.rename(tmpPath, filePath);
+      
+      return result;
+    } finally {
+      await this.releaseLock(lockPath, token);
+    }
+  }
+  
+  /**
+   * Cria o arquivo de lock com o token do dono (formato: "token pid data")
+   */
+  async acquireLock(key, lockPath, token) {
+    const startedAt = Date.now();
+    
+    while (true) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx');
+        try {
+          await handle.write(`${token} ${process.pid} ${new Date().toISOString()}`);
+        } finally {
+          await handle.close();
+        }
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      
+      // Lock abandonado por processo que morreu no meio da transação
+      // Só remove se ainda for o mesmo lock: outro processo pode ter feito a limpeza e criado o seu
+      const stat = await fs.promises.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.config.staleLockMs) {
+        const staleOwner = await this.readLockOwner(lockPath);
+        if (staleOwner !== null && await this.unlinkIfOwner(lockPath, staleOwner)) {
+          console.warn(`⚠️ Lock abandonado removido: ${lockPath}`);
+        }
+        continue;
+      }
+      
+      if (Date.now() - startedAt > this.config.lockTimeoutMs) {
+        throw new StateStoreLockError(`Lock do estado '${key}' não obtido em ${this.config.lockTimeoutMs}ms`, { key });
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs + Math.random() * this.config.retryDelayMs));
+    }
+  }
+  
+  /**
+   * Remove o lock só se ainda for nosso (pode ter sido tomado como abandonado e recriado por outro processo)
+   */
+  async releaseLock(lockPath, token) {
+    const removed = await this.unlinkIfOwner(lockPath, token).catch(() => false);
+    if (!removed) {
+      console.warn(`⚠️ Lock ${lockPath} não era mais desta transação - mantido`);
+    }
+  }
+  
+  /**
+   * Token gravado no arquivo de lock (null se não existir)
+   */
+  async readLockOwner(lockPath) {
+    try {
+      const content = await fs.promises.readFile(lockPath, 'utf8');
+      return content.split(' ')[0];
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+  
+  /**
+   * Leitura + unlink não é atômico, mas a janela é bem menor que staleLockMs
+   */
+  async unlinkIfOwner(lockPath, token) {
+    if (await this.readLockOwner(lockPath) !== token) return false;
+    
+    await fs.promises.unlink(lockPath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    return true;
+  }
+}
+
+/**
+ * Erro devolvido pelo servidor Redis
+ */
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(`Redis: ${message}`);
+    this.name = 'RedisReplyError';
+  }
+}
+
+function encodeCommand(args) {
+  let payload = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    payload += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return payload;
+}
+
+/**
+ * Lê uma resposta RESP a partir de offset
+ * Retorna { value, offset } ou null se a resposta ainda não chegou inteira
+ */
+function parseReply(buffer, offset = 0) {
+  const end = buffer.indexOf('\r\n', offset);
+  if (end === -1) return null;
+  
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, end);
+  const next = end + 2;
+  
+  switch (type) {
+    case '+': return { value: line, offset: next };
+    case '-': return { value: new RedisReplyError(line), offset: next };
+    case ':': return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Resposta Redis inválida (tipo '${type}')`);
+  }
+}
+
+/**
+ * Cliente mínimo do protocolo Redis (RESP) sobre TCP, sem dependências
+ * Conecta na primeira chamada e reconecta depois de queda; ocioso, não segura o processo
+ */
+class RespClient {
+  constructor(config = {}) {
+    this.config = {
+      host: '127.0.0.1',
+      port: 6379,
+      password: null,
+      db: 0,
+      connectTimeoutMs: 5000,
+      commandTimeoutMs: 2000,         // Sem resposta nesse prazo a conexão é descartada
+      ...config
+    };
+    
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+  
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+    
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.config.host, port: this.config.port });
+      
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis ${this.config.host}:${this.config.port}: conexão excedeu ${this.config.connectTimeoutMs}ms`));
+      }, this.config.connectTimeoutMs);
+      
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.setNoDelay(true);
+        this.socket = socket;
+        resolve();
+      });
+      
+      // Conexão descartada (ex.: timeout de comando) não derruba a que a substituiu
+      const isCurrent = () => !this.socket || this.socket === socket;
+      
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', error => {
+        clearTimeout(timer);
+        if (isCurrent()) this.onClose(error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        if (isCurrent()) this.onClose(new Error('Conexão Redis encerrada'));
+      });
+    }).then(async () => {
+      if (this.config.password) await this.send(['AUTH', this.config.password]);
+      if (this.config.db) await this.send(['SELECT', this.config.db]);
+    }).finally(() => {
+      this.connecting = null;
+    });
+    
+    return this.connecting;
+  }
+  
+  /**
+   * Executa um comando (ex.: ['SET', key, value, 'NX']) e resolve com a resposta
+   */
+  async command(args) {
+    await this.connect();
+    return this.send(args);
+  }
+  
+  /**
+   * Envia o comando e aguarda a resposta até commandTimeoutMs
+   * No timeout a conexão cai inteira: as respostas seguintes chegariam fora de ordem para os comandos na fila
+   */
+  send(args) {
+    if (!this.socket) return Promise.reject(new Error('Conexão Redis encerrada'));
+    
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      const timeoutMs = this.config.commandTimeoutMs;
+      if (timeoutMs) {
+        waiter.timer = setTimeout(() => {
+          this.onClose(new Error(`Redis ${this.config.host}:${this.config.port}: ${args[0]} sem resposta em ${timeoutMs}ms`));
+        }, timeoutMs);
+      }
+      
+      this.pending.push(waiter);
+      this.socket.ref();
+      this.socket.write(encodeCommand(args));
+    });
+  }
+  
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    
+    let reply;
+    while (this.buffer.length > 0 && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      
+      const waiter = this.pending.shift();
+      if (!waiter) continue;
+      clearTimeout(waiter.timer);
+      
+      if (reply.value instanceof RedisReplyError) {
+        waiter.reject(reply.value);
+      } else {
+        waiter.resolve(reply.value);
+      }
+    }
+    
+    if (this.pending.length === 0 && this.socket) {
+      this.socket.unref();
+    }
+  }
+  
+  onClose(error) {
+    if (this.socket) this.socket.destroy();
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    });
+  }
+  
+  async close() {
+    if (!this.socket) return;
+    
+    await this.send(['QUIT']).catch(() => {});
+    if (this.socket) this.socket.end();
+  }
+}
+
+/**
+ * Estado no Redis (ou servidor compatível com o protocolo: KeyDB, Dragonfly, Valkey)
+ * Lock por SET NX PX com token próprio; serve para workers em máquinas diferentes
+ * Usa só GET, SET e DEL - sem scripts Lua
+ */
+class RedisLimiterStateStore extends LimiterStateStore {
+  constructor(config = {}) {
+    super();
+    
+    const { client, ...settings } = config;
+    
+    this.config = {
+      url: null,                      // redis://:senha@host:porta/db (tem precedência sobre host/port)
+      host: '127.0.0.1',
+      port: 6379,
+      password: null,
+      db: 0,
+      keyPrefix: 'bipre:limiter:',
+      lockTtlMs: 5000,                // Lock expira sozinho se o processo morrer no meio da transação
+      lockTimeoutMs: 5000,
+      retryDelayMs: 5,
+      commandTimeoutMs: 2000,         // Comando sem resposta derruba a conexão (store indisponível → quota local)
+      stateTtlMs: 3600000,            // Estado sem uso por 1h é descartado
+      ...settings
+    };
+    
+    if (this.config.url) {
+      const url = new URL(this.config.url);
+      Object.assign(this.config, {
+        host: url.hostname,
+        port: Number(url.port) || 6379,
+        password: url.password ? decodeURIComponent(url.password) : this.config.password,
+        db: url.pathname.length > 1 ? Number(url.pathname.slice(1)) : this.config.db
+      });
+    }
+    
+    // Cliente injetável: qualquer objeto com command(args) → Promise
+    this.client = client || new RespClient({
+      host: this.config.host,
+      port: this.config.port,
+      password: this.config.password,
+      db: this.config.db,
+      commandTimeoutMs: this.config.commandTimeoutMs
+    });
+  }
+  
+  async read(key) {
+    const raw = await this.client.command(['GET', this.config.keyPrefix + key]);
+    if (raw === null) return null;
+    
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`⚠️ Estado do limiter ilegível em ${this.config.keyPrefix + key} - reiniciando`);
+      return null;
+    }
+  }
+  
+  async transaction(key, fn) {
+    const stateKey = this.config.keyPrefix + key;
+    const lockKey = `${stateKey}:lock`;
+    const token = crypto.randomBytes(12).toString('hex');
+    
+    await this.acquireLock(key, lockKey, token);
+    
+    try {
+      const state = (await this.read(key)) || {};
+      const result = fn(state);
+      
+      await this.client.command(['SET', stateKey, JSON.stringify(state), 'PX', this.config.stateTtlMs]);
+      return result;
+    } finally {
+      await this.releaseLock(lockKey, token).catch(error => {
+        console.warn(`⚠️ Lock ${lockKey} não liberado (expira em ${this.config.lockTtlMs}ms): ${error.message}`);
+      });
+    }
+  }
+  
+  async acquireLock(key, lockKey, token) {
+    const startedAt = Date.now();
+    
+    while (true) {
+      const reply = await this.client.command(['SET', lockKey, token, 'NX', 'PX', this.config.lockTtlMs]);
+      if (reply === 'OK') return;
+      
+      if (Date.now() - startedAt > this.config.lockTimeoutMs) {
+        throw new StateStoreLockError(`Lock do estado '${key}' não obtido em ${this.config.lockTimeoutMs}ms`, { key });
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs + Math.random() * this.config.retryDelayMs));
+    }
+  }
+  
+  /**
+   * Remove o lock só se ainda for nosso (pode ter expirado e sido pego por outro processo)
+   * GET + DEL não é atômico, mas a transação dura bem menos que lockTtlMs
+   */
+  async releaseLock(lockKey, token) {
+    const owner = await this.client.command(['GET', lockKey]);
+    if (owner === token) {
+      await this.client.command(['DEL', lockKey]);
+    }
+  }
+  
+  async close() {
+    if (this.client.close) await this.client.close();
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LimiterStateStore,
+    FileLimiterStateStore,
+    RedisLimiterStateStore,
+    RespClient,
+    StateStoreLockError,
+    RedisReplyError,
+    parseReply,
+    encodeCommand
+  };
+}
@@ -4,89 +4,212 @@
  * Resolve o problema de duplicação e implementa transições automáticas
  */
 
+const crypto = require('crypto');
+const {
+  GoogleSheetsStorageAdapter,
+  RateLimitedStorageAdapter,
+  normalizeCpf
+} = require('./storage-adapters');
+const { WriteCoalescer } = require('./write-coalescer');
+const { MovementJournal, FileMovementJournal, JOURNAL_STATES } = require('./movement-journal');
+const {
+  buildDefaultTransitionRules,
+  loadTransitionRules,
+  compileTransitionRules
+} = require('./transition-rules');
+const { LeadStateMachine } = require('./lead-state-machine');
+const { AuditLog, SheetAuditLog } = require('./audit-log');
+const { BusinessCalendar } = require('./business-calendar');
+const { parseSheetDate } = require('./date-parser');
+const { LeadSchema } = require('./lead-schema');
+const { TabRegistry } = require('./tab-registry');
+
+/**
+ * Erro lançado quando um plano não pode ser aplicado com segurança
+ */
+class PlanConflictError extends Error {
+  constructor(message, conflicts = []) {
+    super(message);
+    this.name = 'PlanConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
 class LeadMovementEngine {
-  constructor(config) {
+  constructor(config = {}) {
+    // Dependências injetadas ficam fora do config (que vai para o relatório)
+    const { storage, journal, auditLog, calendar, limiter, ...settings } = config;
+    
     this.config = {
       ...this.getDefaultConfig(),
-      ...config
+      ...settings
     };
     
+    // Rate limiter do Google Sheets (ver rate-limiter.js)
+    this.limiter = limiter || null;
+    
+    // Adapter de armazenamento (ver storage-adapters.js)
+    // Com limiter, toda chamada ao storage passa pela fila dele
+    const limitedStorage = storage && this.limiter &&
+      !(storage instanceof RateLimitedStorageAdapter) && !(storage instanceof WriteCoalescer)
+      ? new RateLimitedStorageAdapter({ storage, limiter: this.limiter })
+      : storage || null;
+    
+    // Escritas agrupadas por aba antes de chegar ao limiter (ver write-coalescer.js)
+    this.coalescer = limitedStorage instanceof WriteCoalescer
+      ? limitedStorage
+      : limitedStorage && this.config.COALESCE_WRITES
+        ? new WriteCoalescer({ storage: limitedStorage, WINDOW_MS: this.config.COALESCE_WINDOW_MS })
+        : null;
+    
+    this.storage = this.coalescer || limitedStorage;
+    
+    // Write-ahead journal (ver movement-journal.js)
+    this.journal = journal || new MovementJournal();
+    
+    // Sink do audit log (ver audit-log.js)
+    this.auditLog = auditLog || new AuditLog();
+    this.runId = this.config.RUN_ID || null;
+    
+    // Calendário de dias corridos/úteis (ver business-calendar.js)
+    this.calendar = calendar || new BusinessCalendar({ HOLIDAYS: this.config.HOLIDAYS });
+    
+    // Abas do funil compartilhadas com o Classifier (ver tab-registry.js)
+    this.tabs = new TabRegistry(this.config.TABS || undefined);
+    
+    this.transitionRules = this.initializeTransitionRules();
+    
+    // Ciclo de vida do lead (ver lead-state-machine.js), sobre as mesmas abas das regras
+    this.stateMachine = new LeadStateMachine(this.config.STATE_MACHINE, this.tabs);
+    
+    // Validação das linhas antes do processamento (ver lead-schema.js)
+    this.schema = new LeadSchema(this.config.LEAD_SCHEMA || {});
+    
+    // Visão normalizada → linha como veio da planilha (o que é gravado mantém os cabeçalhos de origem)
+    this.sourceRows = new WeakMap();
+    
+    // Resultado do Classifier por CPF
+    this.classifications = new Map();
+    
+    this.resetRunState();
+  }
+  
+  /**
+   * Zera contadores e listas do relatório - cada execução (processMovements, applyPlan) reporta só o que fez
+   */
+  resetRunState() {
     this.stats = {
       moved: 0,
       deleted: 0,
+      recovered: 0,
       errors: 0,
       startTime: Date.now()
     };
     
-    this.transitionRules = this.initializeTransitionRules();
+    // Movimentos rejeitados pela máquina de estados e leads em quarentena (ver lead-schema.js)
+    this.rejections = [];
+    this.quarantined = [];
+    
+    // Campos opcionais inválidos ignorados nas decisões (lead segue no processamento)
+    this.fieldWarnings = [];
+    
+    // Divergências entre regras e Classifier
+    this.disagreements = [];
+    
+    // Datas preenchidas que não puderam ser lidas (CPF|coluna → detalhe)
+    this.invalidDates = new Map();
+    
+    // Leads sem data de entrada na etapa (não avançam por dias na etapa)
+    this.unknownStageEntries = [];
   }
   
   getDefaultConfig() {
     return {
       DAYS_THRESHOLD: 7,
       BATCH_SIZE: 25,
+      CONCURRENCY: 5,                 // Movimentos simultâneos dentro de um batch
+      COALESCE_WRITES: false,         // Agrupa inserções/remoções por aba (uma chamada por aba)
+      COALESCE_WINDOW_MS: 50,         // Janela de agrupamento das escritas
       DELETE_AFTER_MOVE: true,
       AUDIT_LOG: true,
-      DRY_RUN: false
+      DRY_RUN: false,
+      RUN_ID: null,                   // Identificador da execução no audit log (padrão: gerado)
+      TRANSITION_RULES: null,         // Documento/arquivo de regras (padrão: escada por DAYS_THRESHOLD)
+      STATE_MACHINE: null,            // Definição de estados/transições (padrão: LeadStateMachine.defaultDefinition)
+      STRICT_HISTORY: true,           // Bloqueia leads com HISTORICO_MOVIMENTACAO inválido
+      RECOVER_PENDING: true,          // Retoma movimentos interrompidos antes de processar
+      RECOVERY_STRATEGY: 'COMPLETE',  // COMPLETE ou COMPENSATE
+      DAY_COUNT: 'calendar',          // 'calendar' (dias corridos) ou 'business' (dias úteis)
+      HOLIDAYS: [],                   // Feriados da empresa ('YYYY-MM-DD' ou 'MM-DD')
+      VALIDATE_LEADS: true,           // Leads com CPF/valores inválidos ficam em quarentena
+      LEAD_SCHEMA: null,              // Config do LeadSchema (SCHEMA, DEFAULT_DDD)
+      TABS: null,                     // Definições de abas (padrão: DEFAULT_TAB_DEFINITIONS)
+      ROUTING_MODE: 'rules'           // 'rules' (regras de transição) ou 'classifier' (destino do Classifier)
     };
   }
   
+  /**
+   * Carrega, valida e compila as regras de transição
+   * TRANSITION_RULES aceita objeto, string JSON/YAML ou caminho de arquivo (.json, .yaml, .yml)
+   */
   initializeTransitionRules() {
-    return [
-      {
-        from: '1ª Mensagem',
-        to: '2ª Mensagem',
-        condition: (lead) => this.daysSinceLastInteraction(lead) >= 7,
-        priority: 1
-      },
-      {
-        from: '2ª Mensagem',
-        to: '3ª Mensagem',
-        condition: (lead) => this.daysSinceLastInteraction(lead) >= 14,
-        priority: 2
-      },
-      {
-        from: '3ª Mensagem',
-        to: '4ª Mensagem',
-        condition: (lead) => this.daysSinceLastInteraction(lead) >= 21,
-        priority: 3
-      },
-      {
-        from: '4ª Mensagem',
-        to: '5ª Mensagem',
-        condition: (lead) => this.daysSinceLastInteraction(lead) >= 28,
-        priority: 4
-      },
-      {
-        from: '5ª Mensagem',
-        to: 'Lead Morto',
-        condition: (lead) => this.daysSinceLastInteraction(lead) >= 35,
-        priority: 5
-      },
-      {
-        from: 'ANY',
-        to: 'Lead Ativo',
-        condition: (lead) => this.hasActiveInteraction(lead),
-        priority: 0
-      },
-      {
-        from: 'ANY',
-        to: 'Lead Morto',
-        condition: (lead) => this.hasNoInterest(lead),
-        priority: 0
-      }
-    ];
+    const document = this.config.TRANSITION_RULES
+      ? loadTransitionRules(this.config.TRANSITION_RULES)
+      : buildDefaultTransitionRules(this.config, this.tabs);
+    
+    return compileTransitionRules(document, { facts: this.getRuleFacts(), tabs: this.tabs });
+  }
+  
+  /**
+   * Campos calculados disponíveis nas condições das regras
+   * Contagens de dias seguem o dayCount da regra (padrão: DAY_COUNT)
+   */
+  getRuleFacts() {
+    const dayCount = (rule) => (rule && rule.dayCount) || this.config.DAY_COUNT;
+    
+    return {
+      dias_sem_resposta: (lead, rule) => this.daysSinceLastInteraction(lead, dayCount(rule)),
+      dias_na_etapa: (lead, rule) => this.daysInCurrentStage(lead, dayCount(rule)),
+      dias_desde_resposta: (lead, rule) => this.daysSinceLastReply(lead, dayCount(rule)),
+      interacao_ativa: (lead) => this.hasActiveInteraction(lead),
+      sem_interesse: (lead) => this.hasNoInterest(lead),
+      aba_atual: (lead) => this.getCurrentTab(lead)
+    };
   }
   
   /**
    * Processa movimentação de leads
+   * options.classifications: resultado do Classifier (classifyBatch) para roteamento/comparação
    */
-  async processMovements(leads) {
-    console.log(`🚀 Iniciando processamento de ${leads.length} leads`);
+  async processMovements(leads, options = {}) {
+    this.resetRunState();
+    this.runId = this.config.RUN_ID || this.generateRunId();
+    console.log(`🚀 Iniciando processamento de ${leads.length} leads (run ${this.runId})`);
+    
+    leads = this.quarantineInvalidLeads(leads);
+    this.setClassifications(options.classifications);
+    
+    // DRY_RUN gera um plano revisável em vez de executar
+    if (this.config.DRY_RUN) {
+      const plan = await this.planMovements(leads);
+      const planText = this.formatPlan(plan);
+      console.log(planText);
+      
+      return {
+        ...this.generateReport(plan.items.map(({ fingerprint, ...item }) => item)),
+        plan,
+        plan_text: planText
+      };
+    }
     
     const movements = [];
     const batches = this.createBatches(leads);
     
+    // Recupera movimentos interrompidos em execuções anteriores
+    if (this.config.RECOVER_PENDING && !this.config.DRY_RUN) {
+      await this.recoverPendingMovements();
+    }
+    
     for (const [index, batch] of batches.entries()) {
       console.log(`📦 Processando batch ${index + 1}/${batches.length}`);
       
@@ -94,8 +217,8 @@ class LeadMovementEngine {
         const batchMovements = await this.processBatch(batch);
         movements.push(...batchMovements);
         
-        // Rate limiting entre batches
-        if (index < batches.length - 1) {
+        // Sem limiter, pausa fixa entre batches
+        if (!this.limiter && index < batches.length - 1) {
           await this.sleep(1000);
         }
       } catch (error) {
@@ -107,36 +230,154 @@ class LeadMovementEngine {
     return this.generateReport(movements);
   }
   
+  /**
+   * Retira leads inválidos do processamento
+   * Continuam na aba de origem e aparecem em "quarantined" no relatório
+   * Retorna os válidos como visão normalizada (ver createLeadView); campo opcional inválido vai para "field_warnings"
+   */
+  quarantineInvalidLeads(leads) {
+    if (!this.config.VALIDATE_LEADS) return leads;
+    
+    const accepted = [];
+    
+    for (const lead of leads) {
+      const { valid, lead: normalized, errors, warnings } = this.schema.normalize(lead);
+      if (valid) {
+        this.sourceRows.set(normalized, lead);
+        accepted.push(normalized);
+        
+        if (warnings.length > 0) {
+          console.warn(`⚠️ Campo ignorado (${normalized.Nome}): ${warnings.map(warning => warning.message).join('; ')}`);
+          this.fieldWarnings.push({
+            lead: normalized.Nome,
+            cpf: normalized.CPF,
+            warnings,
+            timestamp: new Date().toISOString()
+          });
+        }
+        continue;
+      }
+      
+      console.warn(`⚠️ Lead em quarentena (${lead.Nome || lead.CPF}): ${errors.map(error => error.message).join('; ')}`);
+      this.quarantined.push({
+        lead: lead.Nome,
+        cpf: lead.CPF,
+        errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return accepted;
+  }
+  
+  /**
+   * Visão normalizada de uma linha (aliases → campo canônico, valores tipados) para as decisões do engine
+   * A linha original fica associada: o que vai para a planilha é montado por toSourceRow
+   * Sem VALIDATE_LEADS a própria linha é usada
+   */
+  createLeadView(row) {
+    if (!this.config.VALIDATE_LEADS) return row;
+    
+    const { lead } = this.schema.normalize(row);
+    this.sourceRows.set(lead, row);
+    return lead;
+  }
+  
+  /**
+   * Linha como veio da planilha (a própria visão, se não houver)
+   */
+  getSourceRow(lead) {
+    return this.sourceRows.get(lead) || lead;
+  }
+  
+  /**
+   * Linha de origem com os campos do engine aplicados
+   * Campo que a origem já tem sob um alias é gravado nessa coluna (ex.: ABA_ATUAL em 'Etapa'):
+   * a aba de destino não ganha colunas novas por causa da normalização
+   */
+  toSourceRow(lead, fields) {
+    const row = { ...this.getSourceRow(lead) };
+    const columns = Object.keys(row);
+    
+    for (const [field, value] of Object.entries(fields)) {
+      const column = field in row
+        ? field
+        : columns.find(name => this.schema.resolveField(name) === field) || field;
+      row[column] = value;
+    }
+    
+    return row;
+  }
+  
+  /**
+   * Indexa classificações por CPF
+   * Aceita o retorno de classifyBatch ou a lista "classifications"
+   */
+  setClassifications(classifications) {
+    this.classifications = new Map();
+    if (!classifications) return;
+    
+    const entries = Array.isArray(classifications)
+      ? classifications
+      : classifications.classifications || [];
+    
+    for (const entry of entries) {
+      this.classifications.set(normalizeCpf(entry.lead_id), entry);
+    }
+  }
+  
   /**
    * Processa um batch de leads
+   * Até CONCURRENCY movimentos em paralelo; a vazão real é controlada pelo limiter
+   * Erro num lead não interrompe os demais
    */
   async processBatch(batch) {
-    const movements = [];
-    
-    for (const lead of batch) {
-      const movement = this.determineMovement(lead);
+    const results = await this.mapWithConcurrency(batch, this.config.CONCURRENCY, async (lead) => {
+      let movement;
       
-      if (movement) {
-        if (this.config.DRY_RUN) {
-          console.log(`🔄 [DRY RUN] Moveria: ${lead.Nome} de ${movement.from} para ${movement.to}`);
-        } else {
-          await this.executeMovement(lead, movement);
-        }
-        
-        movements.push({
-          lead: lead.Nome,
-          cpf: lead.CPF,
-          from: movement.from,
-          to: movement.to,
-          reason: movement.reason,
-          timestamp: new Date().toISOString()
-        });
+      try {
+        movement = this.determineMovement(lead);
+        if (!movement) return null;
         
-        this.stats.moved++;
+        await this.executeMovement(lead, movement);
+      } catch (error) {
+        console.error(`❌ Erro ao mover ${lead.Nome}:`, error);
+        this.stats.errors++;
+        return null;
       }
-    }
+      
+      this.stats.moved++;
+      
+      return {
+        lead: lead.Nome,
+        cpf: lead.CPF,
+        from: movement.from,
+        to: movement.to,
+        reason: movement.reason,
+        timestamp: new Date().toISOString()
+      };
+    });
     
-    return movements;
+    return results.filter(Boolean);
+  }
+  
+  /**
+   * Executa worker para cada item com no máximo "limit" em andamento
+   * Resultados na ordem dos itens
+   */
+  async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+    
+    await Promise.all(runners);
+    return results;
   }
   
   /**
@@ -145,34 +386,402 @@ class LeadMovementEngine {
   determineMovement(lead) {
     const currentTab = this.getCurrentTab(lead);
     
+    // Histórico inconsistente com o ciclo de vida
+    const history = this.getHistory(lead);
+    const historyErrors = history
+      ? this.stateMachine.validateHistory(history)
+      : ['HISTORICO_MOVIMENTACAO ilegível'];
+    if (historyErrors.length > 0) {
+      this.reportRejection(lead, {
+        from: currentTab,
+        to: null,
+        reason: `histórico inválido: ${historyErrors.join('; ')}`
+      });
+      
+      if (this.config.STRICT_HISTORY) return null;
+    }
+    
+    // Histórico termina em outra aba: lead movido à mão (entrada na etapa vem de MOVIDO_EM, ver getStageEntryDate)
+    const lastStep = history && history[history.length - 1];
+    if (lastStep && lastStep.to !== currentTab) {
+      console.warn(`✋ Lead ${lead.Nome} está em '${currentTab}', mas o histórico termina em '${lastStep.to}' - movimento manual`);
+    }
+    
+    // Sem entrada na etapa, condições de dias na etapa não disparam: o lead aparece no relatório
+    if (!this.getStageEntryDate(lead)) {
+      this.unknownStageEntries.push({
+        lead: lead.Nome,
+        cpf: lead.CPF,
+        tab: currentTab,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { match, blocked } = this.findMatchingRule(lead, currentTab);
+    const classification = this.classifications.get(normalizeCpf(lead.CPF));
+    
+    if (classification) {
+      this.compareWithClassifier(lead, currentTab, match || (blocked && blocked.rule), classification);
+    }
+    
+    if (this.config.ROUTING_MODE === 'classifier') {
+      return this.determineRoutedMovement(lead, currentTab, classification);
+    }
+    
+    if (!match) {
+      // Nenhuma regra permitida: registra a de maior prioridade que a máquina de estados bloqueou
+      if (blocked) {
+        this.reportRejection(lead, {
+          from: currentTab,
+          to: blocked.rule.to,
+          rule: blocked.rule.id,
+          reason: blocked.reason
+        });
+      }
+      return null;
+    }
+    
+    return this.guardMovement(lead, {
+      from: currentTab,
+      to: match.to,
+      reason: this.getMovementReason(match, lead),
+      priority: match.priority,
+      rule: match.id
+    });
+  }
+  
+  /**
+   * Primeira regra (por prioridade) cuja condição o lead satisfaz e que a máquina de estados permite
+   * Regra bloqueada não impede as de prioridade menor; retorna { match, blocked } (blocked: primeira bloqueada)
+   */
+  findMatchingRule(lead, currentTab) {
+    let blocked = null;
+    
     for (const rule of this.transitionRules) {
-      if (rule.from === currentTab || rule.from === 'ANY') {
-        if (rule.condition(lead)) {
-          return {
-            from: currentTab,
-            to: rule.to,
-            reason: this.getMovementReason(rule, lead),
-            priority: rule.priority
-          };
+      if (rule.from !== currentTab && rule.from !== 'ANY') continue;
+      // Lead já está no destino desta regra
+      if (rule.to === currentTab) continue;
+      if (!rule.condition(lead)) continue;
+      
+      const guard = this.stateMachine.check(currentTab, rule.to);
+      if (guard.allowed) return { match: rule, blocked: null };
+      
+      if (!blocked) blocked = { rule, reason: guard.reason };
+    }
+    
+    return { match: null, blocked };
+  }
+  
+  /**
+   * Modo classifier: move para o destino classificado
+   */
+  determineRoutedMovement(lead, currentTab, classification) {
+    if (!classification) {
+      this.reportRejection(lead, { from: currentTab, to: null, reason: 'lead sem classificação' });
+      return null;
+    }
+    
+    const destination = classification.classification.destino;
+    const to = this.tabs.toName(destination);
+    if (!to) {
+      this.reportRejection(lead, {
+        from: currentTab,
+        to: destination,
+        reason: `destino classificado desconhecido '${destination}'`
+      });
+      return null;
+    }
+    
+    if (to === currentTab) return null;
+    
+    return this.guardMovement(lead, {
+      from: currentTab,
+      to,
+      reason: `Classifier: ${classification.classification.tipo} (score ${Math.round(classification.classification.score)})`,
+      priority: 0,
+      rule: 'classifier'
+    });
+  }
+  
+  /**
+   * Aplica a máquina de estados a um movimento candidato
+   */
+  guardMovement(lead, movement) {
+    const guard = this.stateMachine.check(movement.from, movement.to);
+    if (!guard.allowed) {
+      this.reportRejection(lead, {
+        from: movement.from,
+        to: movement.to,
+        rule: movement.rule,
+        reason: guard.reason
+      });
+      return null;
+    }
+    
+    return movement;
+  }
+  
+  /**
+   * Registra quando regras e Classifier apontam destinos diferentes
+   * Sem regra aplicável, o destino das regras é a aba atual
+   */
+  compareWithClassifier(lead, currentTab, match, classification) {
+    const ruleTarget = match ? match.to : currentTab;
+    const classifierTarget = this.tabs.toName(classification.classification.destino)
+      || classification.classification.destino;
+    
+    if (ruleTarget === classifierTarget) return;
+    
+    this.disagreements.push({
+      lead: lead.Nome,
+      cpf: lead.CPF,
+      current_tab: currentTab,
+      rule_target: ruleTarget,
+      rule: match ? match.id : null,
+      classifier_target: classifierTarget,
+      classifier_type: classification.classification.tipo,
+      followed: this.config.ROUTING_MODE
+    });
+  }
+  
+  /**
+   * Gera plano de movimentação sem alterar a planilha
+   * Cada item guarda o fingerprint da linha de origem para o apply detectar mudanças
+   */
+  async planMovements(leads) {
+    const items = [];
+    const tabRows = new Map();
+    
+    for (const lead of leads) {
+      const movement = this.determineMovement(lead);
+      if (!movement) continue;
+      
+      // Sem storage o fingerprint vem da entrada e o apply vai recusar o plano
+      let source = this.getSourceRow(lead);
+      if (this.storage) {
+        if (!tabRows.has(movement.from)) {
+          tabRows.set(movement.from, await this.storage.readTab(movement.from));
+        }
+        source = this.findByCpf(tabRows.get(movement.from), lead.CPF);
+        
+        if (!source) {
+          this.reportRejection(lead, {
+            ...movement,
+            reason: `lead não encontrado na aba ${movement.from}`
+          });
+          continue;
         }
       }
+      
+      items.push({
+        lead: lead.Nome,
+        cpf: lead.CPF,
+        from: movement.from,
+        to: movement.to,
+        reason: movement.reason,
+        rule: movement.rule,
+        fingerprint: this.fingerprintRow(source)
+      });
     }
     
-    return null;
+    const groups = new Map();
+    for (const item of items) {
+      const key = `${item.from} → ${item.to}`;
+      if (!groups.has(key)) {
+        groups.set(key, { from: item.from, to: item.to, count: 0, rules: {} });
+      }
+      const group = groups.get(key);
+      group.count++;
+      group.rules[item.rule] = (group.rules[item.rule] || 0) + 1;
+    }
+    
+    const plan = {
+      plan_id: `plan_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      created_at: new Date().toISOString(),
+      items,
+      groups: [...groups.values()],
+      rejections: [...this.rejections]
+    };
+    
+    plan.digest = this.digestPlan(plan);
+    return plan;
+  }
+  
+  /**
+   * Versão legível do plano, agrupada por origem/destino
+   */
+  formatPlan(plan) {
+    const lines = [
+      `📋 Plano ${plan.plan_id} - ${plan.items.length} movimentos (gerado em ${plan.created_at})`
+    ];
+    
+    for (const group of plan.groups) {
+      lines.push('');
+      lines.push(`${group.from} → ${group.to} (${group.count})`);
+      
+      for (const [rule, count] of Object.entries(group.rules)) {
+        lines.push(`  regra ${rule}: ${count}`);
+      }
+      
+      for (const item of plan.items) {
+        if (item.from !== group.from || item.to !== group.to) continue;
+        lines.push(`  - ${item.lead} (${item.cpf}): ${item.reason}`);
+      }
+    }
+    
+    if (plan.rejections.length > 0) {
+      lines.push('');
+      lines.push(`⛔ Rejeitados (${plan.rejections.length})`);
+      for (const rejection of plan.rejections) {
+        lines.push(`  - ${rejection.lead} (${rejection.cpf}): ${rejection.reason}`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Executa exatamente um plano aprovado
+   * Recusa o plano inteiro se ele foi editado ou se alguma linha de origem mudou
+   */
+  async applyPlan(plan) {
+    if (!plan || !Array.isArray(plan.items) || plan.digest !== this.digestPlan(plan)) {
+      throw new PlanConflictError('Plano inválido ou alterado após a geração');
+    }
+    
+    const storage = this.getStorage();
+    const tabRows = new Map();
+    const conflicts = [];
+    const currentRows = [];
+    
+    for (const item of plan.items) {
+      if (!tabRows.has(item.from)) {
+        tabRows.set(item.from, await storage.readTab(item.from, { fresh: true }));
+      }
+      
+      const current = this.findByCpf(tabRows.get(item.from), item.cpf);
+      if (!current) {
+        conflicts.push({ ...item, conflict: `lead não está mais na aba ${item.from}` });
+      } else if (this.fingerprintRow(current) !== item.fingerprint) {
+        conflicts.push({ ...item, conflict: 'linha alterada desde a geração do plano' });
+      }
+      
+      currentRows.push(current);
+    }
+    
+    if (conflicts.length > 0) {
+      throw new PlanConflictError(
+        `Plano ${plan.plan_id} recusado: ${conflicts.length} linhas mudaram desde a geração`,
+        conflicts
+      );
+    }
+    
+    this.resetRunState();
+    this.runId = plan.plan_id;
+    console.log(`🚀 Aplicando plano ${plan.plan_id} (${plan.items.length} movimentos)`);
+    
+    const movements = [];
+    for (const [index, item] of plan.items.entries()) {
+      const lead = this.createLeadView({ ...currentRows[index] });
+      lead.ABA_ATUAL = item.from;
+      
+      try {
+        await this.executeMovement(lead, { from: item.from, to: item.to, reason: item.reason });
+        this.stats.moved++;
+        
+        movements.push({
+          lead: item.lead,
+          cpf: item.cpf,
+          from: item.from,
+          to: item.to,
+          reason: item.reason,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error(`❌ Erro ao aplicar movimento de ${item.lead}:`, error);
+        this.stats.errors++;
+      }
+    }
+    
+    return this.generateReport(movements);
+  }
+  
+  /**
+   * Fingerprint estável de uma linha (independe da ordem das colunas)
+   */
+  fingerprintRow(row) {
+    const normalized = Object.keys(row)
+      .sort()
+      .map(key => [key, row[key] === undefined || row[key] === null ? '' : String(
+        typeof row[key] === 'object' ? JSON.stringify(row[key]) : row[key]
+      )]);
+    
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+  
+  /**
+   * Digest do conteúdo do plano (detecta edição após aprovação)
+   */
+  digestPlan(plan) {
+    const content = JSON.stringify({ plan_id: plan.plan_id, items: plan.items });
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+  
+  /**
+   * Localiza linha pelo CPF (somente dígitos)
+   */
+  findByCpf(rows, cpf) {
+    const target = normalizeCpf(cpf);
+    return rows.find(row => normalizeCpf(row.CPF) === target) || null;
   }
   
   /**
    * Executa a movimentação do lead
+   * Cada etapa é registrada no journal: PENDING → ADDED → REMOVED → COMMITTED
    */
   async executeMovement(lead, movement) {
+    this.stateMachine.assertTransition(movement.from, movement.to);
+    
+    const { entry, resumed, previous } = await this.journal.begin(lead, movement, this.getSourceRow(lead));
+    
+    // Campos de movimentação gravados junto com a linha na nova aba
+    const now = new Date().toISOString();
+    const movementFields = {
+      ULTIMA_MOVIMENTACAO: now,
+      HISTORICO_MOVIMENTACAO: [
+        ...(this.getHistory(lead) || []),
+        {
+          from: movement.from,
+          to: movement.to,
+          date: now,
+          reason: movement.reason
+        }
+      ]
+    };
+    
     try {
-      // 1. Adiciona à nova aba
-      await this.addToNewTab(lead, movement.to);
+      // 1. Adiciona à nova aba (sem duplicar se uma execução anterior já adicionou; leitura fora do cache)
+      if (entry.state === JOURNAL_STATES.PENDING) {
+        const alreadyAdded = (resumed || previous) &&
+          await this.getStorage().findRowByCpf(movement.to, lead.CPF, { fresh: true });
+        
+        if (alreadyAdded) {
+          console.log(`⏭️ Lead ${lead.Nome} já está na aba ${movement.to} - append ignorado`);
+        } else {
+          await this.addToNewTab(lead, movement.to, movementFields);
+        }
+        
+        await this.journal.transition(entry, JOURNAL_STATES.ADDED);
+      }
       
       // 2. Remove da aba antiga (se configurado)
-      if (this.config.DELETE_AFTER_MOVE) {
-        await this.removeFromOldTab(lead, movement.from);
-        this.stats.deleted++;
+      if (entry.state === JOURNAL_STATES.ADDED) {
+        if (this.config.DELETE_AFTER_MOVE) {
+          const removed = await this.removeFromOldTab(lead, movement.from);
+          if (removed) this.stats.deleted++;
+        }
+        
+        await this.journal.transition(entry, JOURNAL_STATES.REMOVED);
       }
       
       // 3. Registra no audit log
@@ -180,17 +789,11 @@ class LeadMovementEngine {
         await this.logMovement(lead, movement);
       }
       
-      // 4. Atualiza campos do lead
-      lead.ULTIMA_MOVIMENTACAO = new Date().toISOString();
-      lead.HISTORICO_MOVIMENTACAO = [
-        ...(lead.HISTORICO_MOVIMENTACAO || []),
-        {
-          from: movement.from,
-          to: movement.to,
-          date: new Date().toISOString(),
-          reason: movement.reason
-        }
-      ];
+      // 4. Atualiza campos do lead (visão e linha de origem)
+      Object.assign(lead, movementFields);
+      if (this.getSourceRow(lead) !== lead) Object.assign(this.getSourceRow(lead), movementFields);
+      
+      await this.journal.transition(entry, JOURNAL_STATES.COMMITTED);
       
     } catch (error) {
       console.error(`❌ Erro ao mover lead ${lead.Nome}:`, error);
@@ -198,21 +801,76 @@ class LeadMovementEngine {
     }
   }
   
+  /**
+   * Recupera movimentos que ficaram pela metade (queda, timeout do n8n)
+   * COMPLETE conclui o movimento; COMPENSATE devolve o lead à aba de origem
+   */
+  async recoverPendingMovements(strategy = this.config.RECOVERY_STRATEGY) {
+    const openEntries = await this.journal.listOpen();
+    if (openEntries.length === 0) return 0;
+    
+    console.log(`🩹 Recuperando ${openEntries.length} movimentos interrompidos (${strategy})`);
+    
+    let recovered = 0;
+    for (const entry of openEntries) {
+      try {
+        if (strategy === 'COMPENSATE') {
+          await this.compensateMovement(entry);
+        } else {
+          await this.executeMovement(this.createLeadView({ ...entry.lead }), {
+            from: entry.from,
+            to: entry.to,
+            reason: entry.reason
+          });
+        }
+        recovered++;
+      } catch (error) {
+        console.error(`❌ Erro ao recuperar movimento ${entry.id}:`, error);
+        this.stats.errors++;
+      }
+    }
+    
+    this.stats.recovered += recovered;
+    return recovered;
+  }
+  
+  /**
+   * Desfaz um movimento interrompido
+   * Reinsere na origem antes de remover do destino para nunca perder o lead
+   */
+  async compensateMovement(entry) {
+    const storage = this.getStorage();
+    
+    if (entry.state === JOURNAL_STATES.REMOVED) {
+      const inSource = await storage.findRowByCpf(entry.from, entry.cpf, { fresh: true });
+      if (!inSource) {
+        await storage.appendRow(entry.from, entry.lead);
+      }
+    }
+    
+    await storage.deleteRowByCpf(entry.to, entry.cpf);
+    
+    await this.journal.transition(entry, JOURNAL_STATES.COMPENSATED);
+    console.log(`↩️ Movimento de ${entry.cpf} (${entry.from} → ${entry.to}) compensado`);
+  }
+  
   /**
    * Adiciona lead à nova aba
+   * Grava a linha de origem (cabeçalhos da planilha) com os campos de movimentação
    */
-  async addToNewTab(lead, tabName) {
+  async addToNewTab(lead, tabName, fields = {}) {
     // Prepara dados para inserção
-    const data = {
-      ...lead,
+    const data = this.toSourceRow(lead, {
+      ...fields,
+      ABA_ATUAL: tabName,
       MOVIDO_EM: new Date().toISOString(),
       ORIGEM_TAB: this.getCurrentTab(lead),
       STATUS_MOVIMENTO: 'MOVIDO',
       DIAS_SEM_RESPOSTA: this.daysSinceLastInteraction(lead)
-    };
+    });
+    
+    await this.getStorage().appendRow(tabName, data);
     
-    // Aqui seria feita a chamada à API do Google Sheets
-    // Por enquanto, retorna simulação
     console.log(`✅ Lead ${lead.Nome} adicionado à aba ${tabName}`);
     return data;
   }
@@ -221,46 +879,165 @@ class LeadMovementEngine {
    * Remove lead da aba antiga
    */
   async removeFromOldTab(lead, tabName) {
-    // Aqui seria feita a chamada para deletar da planilha
-    // Usando Google Sheets API com batchUpdate para deletar linha
+    const removed = await this.getStorage().deleteRowByCpf(tabName, lead.CPF);
+    
+    if (!removed) {
+      console.warn(`⚠️ Lead ${lead.Nome} não encontrado na aba ${tabName}`);
+      return false;
+    }
+    
     console.log(`🗑️ Lead ${lead.Nome} removido da aba ${tabName}`);
     return true;
   }
   
+  /**
+   * Obtém adapter de armazenamento configurado
+   */
+  getStorage() {
+    if (!this.storage) {
+      throw new Error('Nenhum storage adapter configurado - informe config.storage');
+    }
+    return this.storage;
+  }
+  
   /**
    * Registra movimentação no log de auditoria
    */
   async logMovement(lead, movement) {
     const logEntry = {
       timestamp: new Date().toISOString(),
+      run_id: this.getRunId(),
       lead_id: lead.CPF,
       lead_name: lead.Nome,
       from_tab: movement.from,
       to_tab: movement.to,
       reason: movement.reason,
       days_without_response: this.daysSinceLastInteraction(lead),
+      days_in_stage: this.daysInCurrentStage(lead),
       value: lead['Valor Principal'],
       user: 'SYSTEM',
-      action: 'AUTOMATIC_MOVEMENT'
+      action: 'AUTOMATIC_MOVEMENT',
+      lead_snapshot: { ...this.getSourceRow(lead) } // Linha original (usada pelo rollback)
     };
     
-    // Salvaria no banco de dados ou planilha de log
-    console.log(`📝 Movimento registrado:`, logEntry);
+    await this.auditLog.write(logEntry);
+    
+    const { lead_snapshot, ...summary } = logEntry;
+    console.log(`📝 Movimento registrado:`, summary);
     return logEntry;
   }
   
+  /**
+   * Obtém ID da execução atual (gera se ainda não houver)
+   */
+  getRunId() {
+    if (!this.runId) {
+      this.runId = this.generateRunId();
+    }
+    return this.runId;
+  }
+  
+  generateRunId() {
+    return `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+  
   /**
    * Calcula dias desde última interação
    */
-  daysSinceLastInteraction(lead) {
-    if (!lead.DATA_ENVIO && !lead['ÚLTIMA INTERAÇÃO']) return 999;
+  daysSinceLastInteraction(lead, mode = this.config.DAY_COUNT) {
+    // Sem data ou com data ilegível não conta como antiga: null não satisfaz condições de dias
+    if (!lead.DATA_ENVIO && !lead['ÚLTIMA INTERAÇÃO']) return null;
+    
+    const lastDate = this.readDate(lead, lead.DATA_ENVIO ? 'DATA_ENVIO' : 'ÚLTIMA INTERAÇÃO');
+    return lastDate ? this.daysSince(lastDate, mode) : null;
+  }
+  
+  /**
+   * Calcula dias na etapa (aba) atual
+   * Entrada na etapa desconhecida retorna null (não satisfaz condições de dias)
+   */
+  daysInCurrentStage(lead, mode = this.config.DAY_COUNT) {
+    const enteredAt = this.getStageEntryDate(lead);
+    return enteredAt ? this.daysSince(enteredAt, mode) : null;
+  }
+  
+  /**
+   * Obtém data de entrada na etapa atual
+   * 1. Histórico termina na aba atual: MOVIDO_EM (gravado pelo engine a cada movimento) ou a data do último passo
+   * 2. Histórico termina em outra aba (movimento manual): MOVIDO_EM, se posterior ao último passo
+   * 3. Sem histórico: MOVIDO_EM
+   * 4. Linhas legadas e movimentos manuais sem data: ULTIMA_MOVIMENTACAO, depois DATA_ENVIO
+   * Sem nenhuma dessas datas retorna null (o lead vai para stage_entry_unknown no relatório)
+   */
+  getStageEntryDate(lead) {
+    const currentTab = this.getCurrentTab(lead);
+    const history = this.getHistory(lead) || [];
+    const lastStep = history[history.length - 1];
+    const lastStepDate = lastStep ? parseSheetDate(lastStep.date, this.getDateOptions()) : null;
+    const movedAt = this.readDate(lead, 'MOVIDO_EM');
     
-    const lastDate = lead.DATA_ENVIO || lead['ÚLTIMA INTERAÇÃO'];
-    const date = this.parseDate(lastDate);
-    const today = new Date();
+    if (lastStep && lastStep.to === currentTab) {
+      if (movedAt) return movedAt;
+      if (lastStepDate.valid) return lastStepDate.date;
+    } else if (lastStep) {
+      const recordedAfterLastStep = movedAt &&
+        (!lastStepDate.valid || movedAt.getTime() > lastStepDate.date.getTime());
+      if (recordedAfterLastStep) return movedAt;
+    } else if (movedAt) {
+      return movedAt;
+    }
     
-    const diffTime = Math.abs(today - date);
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    return this.readDate(lead, 'ULTIMA_MOVIMENTACAO') || this.readDate(lead, 'DATA_ENVIO');
+  }
+  
+  /**
+   * Calcula dias desde a última resposta do lead
+   * Usa DATA_ULTIMA_RESPOSTA ou ÚLTIMA INTERAÇÃO quando contém uma data;
+   * sem resposta registrada, conta desde o envio
+   */
+  daysSinceLastReply(lead, mode = this.config.DAY_COUNT) {
+    const replyField = ['DATA_ULTIMA_RESPOSTA', 'ÚLTIMA INTERAÇÃO'].find(field =>
+      parseSheetDate(lead[field], this.getDateOptions()).valid
+    );
+    
+    if (!replyField) return this.daysSinceLastInteraction(lead, mode);
+    
+    return this.daysSince(this.readDate(lead, replyField), mode);
+  }
+  
+  /**
+   * Lê data de uma coluna do lead (ver date-parser.js)
+   * Retorna Date ou null; valores preenchidos e ilegíveis vão para o relatório
+   */
+  readDate(lead, field) {
+    const result = parseSheetDate(lead[field], this.getDateOptions());
+    if (result.valid) return result.date;
+    
+    const key = `${normalizeCpf(lead.CPF)}|${field}`;
+    if (result.reason !== 'vazio' && !this.invalidDates.has(key)) {
+      console.warn(`⚠️ Data ilegível em ${field} do lead ${lead.Nome || lead.CPF}: '${result.input}' (${result.reason})`);
+      this.invalidDates.set(key, {
+        lead: lead.Nome,
+        cpf: lead.CPF,
+        field,
+        value: result.input,
+        reason: result.reason
+      });
+    }
+    
+    return null;
+  }
+  
+  getDateOptions() {
+    return { timeZone: this.calendar.config.TIMEZONE };
+  }
+  
+  /**
+   * Dias corridos ou úteis desde uma data (fuso America/Sao_Paulo)
+   * Datas futuras contam como 0
+   */
+  daysSince(date, mode = this.config.DAY_COUNT) {
+    return this.calendar.daysSince(date, mode);
   }
   
   /**
@@ -287,28 +1064,70 @@ class LeadMovementEngine {
            obs.includes('bloqueou');
   }
   
+  /**
+   * Obtém histórico de movimentação (array ou JSON vindo da planilha)
+   * Retorna null se o conteúdo não for um histórico legível
+   */
+  getHistory(lead) {
+    const history = lead.HISTORICO_MOVIMENTACAO;
+    if (!history) return [];
+    if (Array.isArray(history)) return history;
+    
+    try {
+      const parsed = JSON.parse(history);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Registra movimento rejeitado pela máquina de estados
+   */
+  reportRejection(lead, rejection) {
+    console.warn(`⛔ Movimento rejeitado para ${lead.Nome}: ${rejection.reason}`);
+    
+    this.rejections.push({
+      lead: lead.Nome,
+      cpf: lead.CPF,
+      ...rejection,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   /**
    * Obtém aba atual do lead
    */
   getCurrentTab(lead) {
-    return lead.ABA_ATUAL || lead.CURRENT_TAB || '1ª Mensagem';
+    const tab = this.schema.getRaw(lead, 'ABA_ATUAL');
+    if (!tab) return this.tabs.names()[0];
+    
+    // Aliases ('1ª Msg') viram o nome da aba na planilha
+    return this.tabs.toName(tab) || tab;
   }
   
   /**
    * Obtém razão da movimentação
    */
   getMovementReason(rule, lead) {
-    const days = this.daysSinceLastInteraction(lead);
+    if (rule.reason) {
+      return rule.reason;
+    }
     
-    if (this.hasNoInterest(lead)) {
+    const formatDays = (days) => (days === null ? 'n/d' : days);
+    const days = formatDays(this.daysSinceLastInteraction(lead));
+    
+    // Só descreve o interesse quando a regra leva à aba correspondente (regra de prioridade
+    // maior pode ter sido bloqueada pela máquina de estados)
+    if (this.hasNoInterest(lead) && rule.to === this.tabs.toName('LEAD_MORTO')) {
       return 'Lead marcou sem interesse';
     }
     
-    if (this.hasActiveInteraction(lead)) {
+    if (this.hasActiveInteraction(lead) && rule.to === this.tabs.toName('LEAD_ATIVO')) {
       return 'Lead demonstrou interesse - cotação solicitada';
     }
     
-    return `${days} dias sem resposta - movendo para próxima etapa`;
+    return `${days} dias sem resposta (${formatDays(this.daysInCurrentStage(lead))} na etapa) - movendo para próxima etapa`;
   }
   
   /**
@@ -323,29 +1142,49 @@ class LeadMovementEngine {
   }
   
   /**
-   * Parse de data brasileira
+   * Sleep utility
    */
-  parseDate(dateStr) {
-    if (!dateStr) return new Date();
-    
-    // Formato DD/MM/YYYY ou DD/MM
-    const parts = dateStr.split('/');
-    if (parts.length === 2) {
-      const [day, month] = parts;
-      return new Date(new Date().getFullYear(), month - 1, day);
-    } else if (parts.length === 3) {
-      const [day, month, year] = parts;
-      return new Date(year, month - 1, day);
-    }
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  /**
+   * Resumo das métricas do rate limiter (null sem limiter)
+   */
+  getLimiterMetrics() {
+    if (!this.limiter) return null;
     
-    return new Date(dateStr);
+    const metrics = this.limiter.getMetrics();
+    return {
+      status: metrics.status,
+      queue_size: metrics.currentQueueSize,
+      total_requests: metrics.totalRequests,
+      successful_requests: metrics.successfulRequests,
+      failed_requests: metrics.failedRequests,
+      retry_attempts: metrics.retryAttempts,
+      circuit_breaker_trips: metrics.circuitBreakerTrips,
+      circuit_breaker_state: metrics.circuitBreakerState,
+      available_tokens: metrics.availableTokens,
+      quotas: metrics.quotas,
+      average_latency_ms: Math.round(metrics.averageLatency),
+      read_cache: metrics.readCache
+    };
   }
   
   /**
-   * Sleep utility
+   * Resumo do agrupamento de escritas (null sem coalescer)
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  getCoalescerMetrics() {
+    if (!this.coalescer) return null;
+    
+    const metrics = this.coalescer.getMetrics();
+    return {
+      coalesced_operations: metrics.coalescedOperations,
+      append_calls: metrics.appendCalls,
+      rows_appended: metrics.rowsAppended,
+      delete_calls: metrics.deleteCalls,
+      rows_deleted: metrics.rowsDeleted
+    };
   }
   
   /**
@@ -355,33 +1194,92 @@ class LeadMovementEngine {
     const duration = (Date.now() - this.stats.startTime) / 1000;
     
     return {
+      run_id: this.runId,
       summary: {
         total_processed: this.stats.moved + this.stats.errors,
         successfully_moved: this.stats.moved,
         deleted_from_old_tabs: this.stats.deleted,
+        recovered_movements: this.stats.recovered,
+        rejected_movements: this.rejections.length,
+        invalid_dates: this.invalidDates.size,
+        quarantined_leads: this.quarantined.length,
+        field_warnings: this.fieldWarnings.length,
+        classifier_disagreements: this.disagreements.length,
+        stage_entry_unknown: this.unknownStageEntries.length,
         errors: this.stats.errors,
         duration_seconds: duration,
         throughput: Math.round(this.stats.moved / (duration / 60))
       },
+      rate_limiter: this.getLimiterMetrics(),
+      write_coalescer: this.getCoalescerMetrics(),
       movements: movements,
+      rejections: this.rejections,
+      invalid_dates: [...this.invalidDates.values()],
+      quarantined: this.quarantined,
+      field_warnings: this.fieldWarnings,
+      disagreements: this.disagreements,
+      stage_entry_unknown: this.unknownStageEntries,
       timestamp: new Date().toISOString(),
       config: this.config
     };
   }
 }
 
+LeadMovementEngine.PlanConflictError = PlanConflictError;
+
 // Export para uso no n8n
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LeadMovementEngine;
 }
 
 // Uso no n8n Code Node
+const { GoogleSheetsRateLimiter } = require('./rate-limiter');
+const { FileLimiterStateStore, RedisLimiterStateStore } = require('./limiter-state-store');
+const { FileDeadLetterQueue } = require('./dead-letter-queue');
+const { ReadCache } = require('./read-cache');
+
+// Quota dividida entre execuções e workers: Redis em queue mode com várias máquinas, arquivo numa máquina só
+// Limiter criado aqui (não getRateLimiter): store, dead-letter queue e cache são os desta execução
+const limiter = new GoogleSheetsRateLimiter({
+  MAX_REQUESTS_PER_MINUTE: 180,
+  LOG_LEVEL: 'info',
+  stateStore: $env.BIPRE_REDIS_URL
+    ? new RedisLimiterStateStore({ url: $env.BIPRE_REDIS_URL })
+    : new FileLimiterStateStore({ directory: $env.BIPRE_LIMITER_STATE_DIR || './data/limiter-state' }),
+  SHARED_STATE_KEY: $env.BIPRE_SPREADSHEET_ID,
+  // Escritas que falharem de vez ficam para replay (node src/dead-letter-queue.js replay --apply)
+  deadLetterQueue: new FileDeadLetterQueue({
+    filePath: $env.BIPRE_DEAD_LETTER_PATH || './data/dead-letters.jsonl'
+  }),
+  // Leituras repetidas da mesma aba saem do cache; escritas desta execução invalidam a aba
+  readCache: new ReadCache({ TTL_MS: 60000 })
+});
+
+// Audit log e engine compartilham o mesmo limiter
+const storage = new RateLimitedStorageAdapter({
+  storage: new GoogleSheetsStorageAdapter({
+    spreadsheetId: $env.BIPRE_SPREADSHEET_ID,
+    accessToken: $env.GOOGLE_SHEETS_ACCESS_TOKEN
+  }),
+  limiter
+});
+
 const engine = new LeadMovementEngine({
+  storage,
+  limiter,
+  auditLog: new SheetAuditLog({ storage, tabName: 'Audit' }),
+  journal: new FileMovementJournal({
+    filePath: $env.BIPRE_JOURNAL_PATH || './data/movement-journal.jsonl'
+  }),
+  RUN_ID: `n8n_${$execution.id}`,
   DAYS_THRESHOLD: 7,
   BATCH_SIZE: 25,
+  CONCURRENCY: 5,
+  COALESCE_WRITES: true, // inserções/remoções do batch agrupadas por aba
   DELETE_AFTER_MOVE: true,
   AUDIT_LOG: true,
-  DRY_RUN: false // Mude para true para testar sem executar
+  DRY_RUN: false, // true gera um plano revisável (report.plan / report.plan_text) sem executar
+  ROUTING_MODE: 'rules' // 'classifier' move para o destino de processMovements(leads, { classifications })
 });
 
 // Processa os leads
@@ -0,0 +1,215 @@
+/**
+ * BIPRE Movement Journal V3.0
+ * Write-ahead journal das movimentações de leads
+ * Permite retomar ou compensar movimentos interrompidos entre append e delete
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_STATES = {
+  PENDING: 'PENDING',         // Intenção registrada, append não confirmado
+  ADDED: 'ADDED',             // Lead adicionado à aba de destino
+  REMOVED: 'REMOVED',         // Lead removido da aba de origem
+  COMMITTED: 'COMMITTED',     // Movimento concluído (audit + campos)
+  COMPENSATED: 'COMPENSATED'  // Movimento desfeito durante recuperação
+};
+
+const TERMINAL_STATES = [JOURNAL_STATES.COMMITTED, JOURNAL_STATES.COMPENSATED];
+
+/**
+ * Journal em memória - base para as implementações persistentes
+ */
+class MovementJournal {
+  constructor() {
+    this.entries = new Map();
+    this.loaded = false;
+  }
+  
+  /**
+   * Chave de idempotência de um movimento
+   */
+  static movementKey(cpf, from, to) {
+    return `${String(cpf || '').replace(/\D/g, '')}|${from}|${to}`;
+  }
+  
+  static isTerminal(entry) {
+    return TERMINAL_STATES.includes(entry.state);
+  }
+  
+  /**
+   * Carrega entradas persistidas (no-op em memória)
+   */
+  async load() {
+    this.loaded = true;
+  }
+  
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+  
+  /**
+   * Persiste uma versão da entrada (no-op em memória)
+   */
+  async persist(entry) {}
+  
+  /**
+   * Inicia (ou retoma) um movimento
+   * Se já existe entrada aberta para a mesma chave, ela é retornada
+   * row: linha gravada na entrada (para recuperação/compensação); padrão: o próprio lead
+   */
+  async begin(lead, movement, row = lead) {
+    await this.ensureLoaded();
+    
+    const key = MovementJournal.movementKey(lead.CPF, movement.from, movement.to);
+    const open = await this.findOpen(key);
+    if (open) {
+      return { entry: open, resumed: true, previous: open };
+    }
+    
+    const previous = await this.findLatest(key);
+    const now = new Date().toISOString();
+    const entry = {
+      id: `mov_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      key,
+      cpf: lead.CPF,
+      from: movement.from,
+      to: movement.to,
+      reason: movement.reason,
+      state: JOURNAL_STATES.PENDING,
+      lead: { ...row },
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.entries.set(entry.id, entry);
+    await this.persist(entry);
+    
+    return { entry, resumed: false, previous };
+  }
+  
+  /**
+   * Avança o estado de uma entrada
+   */
+  async transition(entry, state, extra = {}) {
+    if (!Object.values(JOURNAL_STATES).includes(state)) {
+      throw new Error(`Estado de journal inválido: ${state}`);
+    }
+    
+    Object.assign(entry, extra, {
+      state,
+      updatedAt: new Date().toISOString()
+    });
+    
+    this.entries.set(entry.id, entry);
+    await this.persist(entry);
+    return entry;
+  }
+  
+  async findOpen(key) {
+    await this.ensureLoaded();
+    return this.findAll(key).find(entry => !MovementJournal.isTerminal(entry)) || null;
+  }
+  
+  async findLatest(key) {
+    await this.ensureLoaded();
+    const matches = this.findAll(key);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+  
+  findAll(key) {
+    return [...this.entries.values()].filter(entry => entry.key === key);
+  }
+  
+  /**
+   * Lista movimentos não finalizados (candidatos à recuperação)
+   */
+  async listOpen() {
+    await this.ensureLoaded();
+    return [...this.entries.values()].filter(entry => !MovementJournal.isTerminal(entry));
+  }
+  
+  /**
+   * Remove entradas finalizadas
+   */
+  async compact() {
+    await this.ensureLoaded();
+    
+    for (const [id, entry] of this.entries) {
+      if (MovementJournal.isTerminal(entry)) this.entries.delete(id);
+    }
+  }
+}
+
+/**
+ * Journal em arquivo JSONL (append-only)
+ * Cada transição gera uma linha; no load a última versão de cada id prevalece
+ */
+class FileMovementJournal extends MovementJournal {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      filePath: './data/movement-journal.jsonl',
+      ...config
+    };
+  }
+  
+  async load() {
+    this.entries.clear();
+    
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.config.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.id, entry);
+      } catch (error) {
+        // Linha truncada por queda durante a escrita - ignora
+        console.warn(`⚠️ Linha inválida no journal ignorada: ${line.slice(0, 80)}`);
+      }
+    }
+    
+    this.loaded = true;
+  }
+  
+  async persist(entry) {
+    await fs.promises.mkdir(path.dirname(this.config.filePath), { recursive: true });
+    
+    const handle = await fs.promises.open(this.config.filePath, 'a');
+    try {
+      await handle.write(JSON.stringify(entry) + '\n');
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+  }
+  
+  async compact() {
+    await super.compact();
+    
+    const content = [...this.entries.values()]
+      .map(entry => JSON.stringify(entry) + '\n')
+      .join('');
+    
+    const tmpPath = `${this.config.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, content, 'utf8');
+    await fs.promises.rename(tmpPath, this.config.filePath);
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MovementJournal,
+    FileMovementJournal,
+    JOURNAL_STATES
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * BIPRE Movement Rollback V3.0
+ * Desfaz as movimentações de uma execução (run ID) ou janela de tempo
+ * usando o audit log: devolve o lead à aba de origem com os campos originais
+ */
+
+const { normalizeCpf } = require('./storage-adapters');
+const { getEntryTime } = require('./audit-log');
+
+class MovementRollback {
+  constructor(config = {}) {
+    const { storage, auditLog, ...settings } = config;
+    
+    this.config = {
+      ACTION: 'AUTOMATIC_MOVEMENT',   // Ação do audit log que pode ser desfeita
+      ...settings
+    };
+    
+    if (!storage || !auditLog) {
+      throw new Error('MovementRollback requer config.storage e config.auditLog');
+    }
+    
+    this.storage = storage;
+    this.auditLog = auditLog;
+  }
+  
+  /**
+   * Executa rollback
+   * { runId } ou { since, until }; mode: 'dry-run' (padrão) ou 'apply'
+   */
+  async run({ runId, since, until, mode = 'dry-run' } = {}) {
+    if (!['dry-run', 'apply'].includes(mode)) {
+      throw new Error(`Modo de rollback inválido: ${mode}`);
+    }
+    
+    if (!runId && !since && !until) {
+      throw new Error('Informe runId ou uma janela de tempo (since/until)');
+    }
+    
+    const rollbackRunId = `rollback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    console.log(`⏪ Rollback ${runId ? `da execução ${runId}` : 'por janela de tempo'} (${mode})`);
+    
+    const entries = await this.auditLog.query({ runId, since, until, action: this.config.ACTION });
+    const plan = await this.buildPlan(entries);
+    
+    const result = {
+      mode,
+      rollback_run_id: rollbackRunId,
+      target: { runId: runId || null, since: since || null, until: until || null },
+      summary: {
+        movements_found: entries.length,
+        leads_to_restore: plan.actions.length,
+        conflicts: plan.conflicts.length,
+        restored: 0,
+        failed: 0
+      },
+      actions: plan.actions,
+      conflicts: plan.conflicts,
+      timestamp: new Date().toISOString()
+    };
+    
+    if (mode === 'apply') {
+      await this.applyPlan(plan.actions, rollbackRunId, result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Monta plano: um item por lead (primeira origem → último destino)
+   * Leads movidos de novo depois da janela ficam como conflito
+   */
+  async buildPlan(entries) {
+    const byCpf = new Map();
+    
+    const sorted = [...entries].sort((a, b) => getEntryTime(a) - getEntryTime(b));
+    for (const entry of sorted) {
+      const cpf = normalizeCpf(entry.lead_id);
+      if (!byCpf.has(cpf)) byCpf.set(cpf, []);
+      byCpf.get(cpf).push(entry);
+    }
+    
+    const actions = [];
+    const conflicts = [];
+    
+    for (const [cpf, movements] of byCpf) {
+      const first = movements[0];
+      const last = movements[movements.length - 1];
+      const snapshot = this.parseSnapshot(first.lead_snapshot);
+      
+      const base = {
+        cpf: first.lead_id,
+        lead: first.lead_name,
+        restore_to: first.from_tab,
+        remove_from: last.to_tab,
+        movements: movements.length
+      };
+      
+      if (!snapshot) {
+        conflicts.push({ ...base, conflict: 'audit log sem lead_snapshot - campos originais indisponíveis' });
+        continue;
+      }
+      
+      if (Number.isNaN(getEntryTime(last))) {
+        conflicts.push({ ...base, conflict: `timestamp ilegível no audit log: '${last.timestamp}'` });
+        continue;
+      }
+      
+      const later = (await this.auditLog.query({ cpf, since: last.timestamp }))
+        .filter(entry => getEntryTime(entry) > getEntryTime(last));
+      
+      if (later.length > 0) {
+        const latest = later[later.length - 1];
+        conflicts.push({
+          ...base,
+          conflict: `lead movido novamente em ${latest.timestamp} (${latest.from_tab} → ${latest.to_tab})`
+        });
+        continue;
+      }
+      
+      const current = await this.storage.findRowByCpf(last.to_tab, cpf);
+      if (!current) {
+        conflicts.push({ ...base, conflict: `lead não encontrado na aba ${last.to_tab}` });
+        continue;
+      }
+      
+      actions.push({ ...base, snapshot });
+    }
+    
+    return { actions, conflicts };
+  }
+  
+  /**
+   * Snapshot pode vir como objeto (JSONL) ou texto JSON (aba Audit)
+   */
+  parseSnapshot(snapshot) {
+    if (!snapshot) return null;
+    if (typeof snapshot === 'object') return snapshot;
+    
+    try {
+      return JSON.parse(snapshot);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Aplica plano - reinsere na origem antes de remover do destino
+   */
+  async applyPlan(actions, rollbackRunId, result) {
+    for (const action of actions) {
+      try {
+        const inOrigin = await this.storage.findRowByCpf(action.restore_to, action.cpf, { fresh: true });
+        if (!inOrigin) {
+          await this.storage.appendRow(action.restore_to, action.snapshot);
+        }
+        
+        const inDestination = await this.storage.findRowByCpf(action.remove_from, action.cpf, { fresh: true });
+        if (inDestination) {
+          await this.storage.deleteRow(action.remove_from, inDestination.rowIndex);
+        }
+        
+        await this.auditLog.write({
+          timestamp: new Date().toISOString(),
+          run_id: rollbackRunId,
+          lead_id: action.cpf,
+          lead_name: action.lead,
+          from_tab: action.remove_from,
+          to_tab: action.restore_to,
+          reason: `Rollback de ${result.target.runId || 'janela de tempo'}`,
+          user: 'SYSTEM',
+          action: 'ROLLBACK'
+        });
+        
+        result.summary.restored++;
+        console.log(`↩️ Lead ${action.lead} devolvido para ${action.restore_to}`);
+        
+      } catch (error) {
+        console.error(`❌ Erro ao desfazer movimento de ${action.lead}:`, error);
+        result.summary.failed++;
+      }
+    }
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MovementRollback;
+}
+
+// Uso via linha de comando:
+//   node src/movement-rollback.js --run <runId> [--apply]
+//   node src/movement-rollback.js --since 2025-08-01T00:00 --until 2025-08-02T00:00 [--apply]
+// --audit ./data/audit-log.jsonl lê o audit log em arquivo; sem ele usa a aba Audit
+// --data-dir ./data usa FileStorageAdapter; sem ele usa Google Sheets
+if (typeof require !== 'undefined' && require.main === module) {
+  const { FileStorageAdapter, GoogleSheetsStorageAdapter } = require('./storage-adapters');
+  const { JsonlAuditLog, SheetAuditLog } = require('./audit-log');
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  
+  const storage = option('--data-dir')
+    ? new FileStorageAdapter({ directory: option('--data-dir'), format: option('--format') || 'json' })
+    : new GoogleSheetsStorageAdapter({
+      spreadsheetId: process.env.BIPRE_SPREADSHEET_ID,
+      accessToken: process.env.GOOGLE_SHEETS_ACCESS_TOKEN
+    });
+  
+  const auditLog = option('--audit')
+    ? new JsonlAuditLog({ filePath: option('--audit') })
+    : new SheetAuditLog({ storage });
+  
+  new MovementRollback({ storage, auditLog })
+    .run({
+      runId: option('--run'),
+      since: option('--since'),
+      until: option('--until'),
+      mode: args.includes('--apply') ? 'apply' : 'dry-run'
+    })
+    .then(result => console.log(JSON.stringify(result, null, 2)))
+    .catch(error => {
+      console.error('❌ Erro no rollback:', error);
+      process.exitCode = 1;
+    });
+}
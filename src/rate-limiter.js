@@ -2,48 +2,440 @@
  * BIPRE Rate Limiter V3.0
  * Sistema avançado de controle de rate limit para Google Sheets API
  * Implementa Token Bucket Algorithm com Circuit Breaker
+ * Várias janelas de quota simultâneas (por minuto, por 100 segundos, por usuário, por projeto)
+ * e buckets separados para leitura e escrita
+ * Fila por prioridade, com timeout, deadline e cancelamento (AbortSignal) por request
+ * Erros classificados por status HTTP, reason da API do Google e código de rede; respeita Retry-After
+ * Estado opcional compartilhado entre instâncias (tokens e circuito) via stateStore (ver limiter-state-store.js)
+ * Modo adaptativo (AIMD): taxa sobe aos poucos com sucessos e cai pela metade a cada rate limit
+ * Requests que falham de vez vão para a dead-letter queue (ver dead-letter-queue.js) e podem ser refeitos
+ * Histogramas de espera, execução e tentativas por kind; exportação em limiter-metrics.js
+ * Cache read-through opcional das leituras (ver read-cache.js), invalidado pelas escritas na mesma aba
  */
 
+const { CircuitBreaker } = require('./circuit-breaker');
+const { Histogram, DEFAULT_HISTOGRAM_BUCKETS } = require('./limiter-metrics');
+const { TabRegistry } = require('./tab-registry');
+const { normalizeCpf } = require('./storage-adapters');
+
+const REQUEST_KINDS = ['read', 'write'];
+
+const QUOTA_SCOPES = ['project', 'user'];
+
+// Prioridades nomeadas (número maior sai antes; aceita número direto)
+const PRIORITIES = {
+  high: 10,
+  normal: 0,
+  low: -10
+};
+
+// RATE_LIMIT: backoff e retry; QUOTA_EXCEEDED: abre o circuito; RETRYABLE: retry curto; NON_RETRYABLE: falha
+const ERROR_TYPES = ['RATE_LIMIT', 'QUOTA_EXCEEDED', 'RETRYABLE', 'NON_RETRYABLE'];
+
+// reason da API do Google (error.errors[].reason, error.details[].reason, error.status)
+const ERROR_REASONS = {
+  rateLimitExceeded: 'RATE_LIMIT',
+  userRateLimitExceeded: 'RATE_LIMIT',
+  RATE_LIMIT_EXCEEDED: 'RATE_LIMIT',
+  RESOURCE_EXHAUSTED: 'RATE_LIMIT',
+  dailyLimitExceeded: 'QUOTA_EXCEEDED',
+  quotaExceeded: 'QUOTA_EXCEEDED',
+  backendError: 'RETRYABLE',
+  internalError: 'RETRYABLE',
+  UNAVAILABLE: 'RETRYABLE',
+  DEADLINE_EXCEEDED: 'RETRYABLE'
+};
+
+// Falhas de rede transitórias (error.code ou error.cause.code, como no fetch do Node)
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+];
+
+/**
+ * Dados estruturados de um erro: status HTTP, reasons do Google, código de rede e headers
+ * Aceita SheetsApiError, erros do googleapis/gaxios (response.status, errors[]) e erros de rede
+ */
+function getErrorInfo(error) {
+  const response = error.response || {};
+  const numericCode = typeof error.code === 'number' ? error.code : null;
+  const status = error.status || response.status || numericCode || null;
+  
+  const body = error.body || response.data || {};
+  const apiError = (body && body.error) || {};
+  const reasons = [
+    ...(error.errors || []).map(entry => entry.reason),
+    ...(apiError.errors || []).map(entry => entry.reason),
+    ...(apiError.details || []).map(entry => entry.reason),
+    apiError.status
+  ].filter(Boolean);
+  
+  const networkCode = typeof error.code === 'string'
+    ? error.code
+    : (error.cause && typeof error.cause.code === 'string' ? error.cause.code : null);
+  
+  return {
+    status: status ? Number(status) : null,
+    reasons,
+    networkCode,
+    headers: error.headers || response.headers || {},
+    details: apiError.details || []
+  };
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) || undefined;
+  
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Espera pedida pela API: header Retry-After (segundos ou data HTTP) ou RetryInfo.retryDelay ('30s')
+ * Retorna ms ou null
+ */
+function getRetryAfterMs(info, now = Date.now()) {
+  const header = getHeader(info.headers, 'retry-after');
+  
+  if (header !== undefined && header !== null && String(header).trim() !== '') {
+    const text = String(header).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+    
+    const date = Date.parse(text);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+  
+  const retryInfo = info.details.find(detail => detail && detail.retryDelay);
+  if (retryInfo) {
+    const match = String(retryInfo.retryDelay).match(/^(\d+(?:\.\d+)?)s$/);
+    if (match) return Math.round(Number(match[1]) * 1000);
+  }
+  
+  return null;
+}
+
+/**
+ * Regra customizada (ERROR_RULES): todos os critérios informados precisam bater
+ * { status, reason, code, message (RegExp ou texto), test(error, info), type, retryAfterMs }
+ */
+function matchesErrorRule(rule, error, info) {
+  const list = value => (Array.isArray(value) ? value : [value]);
+  
+  if (rule.status !== undefined && !list(rule.status).includes(info.status)) return false;
+  if (rule.reason !== undefined && !list(rule.reason).some(reason => info.reasons.includes(reason))) return false;
+  if (rule.code !== undefined && !list(rule.code).includes(info.networkCode)) return false;
+  
+  if (rule.message !== undefined) {
+    const message = error.message || String(error);
+    const matched = rule.message instanceof RegExp ? rule.message.test(message) : message.includes(rule.message);
+    if (!matched) return false;
+  }
+  
+  if (rule.test !== undefined && !rule.test(error, info)) return false;
+  
+  return true;
+}
+
+/**
+ * Request recusado ou descartado porque o limiter foi encerrado (dispose)
+ */
+class RateLimiterDisposedError extends Error {
+  constructor(message = 'Rate limiter encerrado (dispose)') {
+    super(message);
+    this.name = 'RateLimiterDisposedError';
+  }
+}
+
+/**
+ * Nova tentativa barrada porque o circuit breaker abriu durante os retries
+ */
+class CircuitOpenError extends Error {
+  constructor(message, { requestId, cause } = {}) {
+    super(message, { cause });
+    this.name = 'CircuitOpenError';
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * Request passou do prazo
+ * stage: 'queue' (esperando token), 'execution' (em andamento) ou 'attempt' (uma tentativa passou de REQUEST_TIMEOUT)
+ */
+class RequestTimeoutError extends Error {
+  constructor(message, { requestId, timeoutMs, stage } = {}) {
+    super(message);
+    this.name = 'RequestTimeoutError';
+    this.requestId = requestId;
+    this.timeoutMs = timeoutMs;
+    this.stage = stage;
+  }
+}
+
+/**
+ * Request cancelado pelo AbortSignal informado em executeRequest
+ */
+class RequestAbortedError extends Error {
+  constructor(message, { requestId, reason } = {}) {
+    super(message);
+    this.name = 'RequestAbortedError';
+    this.requestId = requestId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Bucket de uma janela de quota: até "limit" requests a cada "intervalMs"
+ * Reposição contínua, calculada no momento da consulta
+ */
+class TokenBucket {
+  constructor({ limit, intervalMs }) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.tokens = limit;
+    this.lastRefill = Date.now();
+  }
+  
+  refill(now = Date.now()) {
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(this.limit, this.tokens + (elapsed * this.limit) / this.intervalMs);
+    this.lastRefill = now;
+  }
+  
+  available() {
+    this.refill();
+    return this.tokens;
+  }
+  
+  consume() {
+    this.refill();
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+  
+  /**
+   * Devolve um token consumido e não usado
+   */
+  refund() {
+    this.refill();
+    this.tokens = Math.min(this.limit, this.tokens + 1);
+  }
+  
+  /**
+   * Tempo até haver um token inteiro (0 se já há)
+   */
+  msUntilAvailable() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * this.intervalMs) / this.limit);
+  }
+  
+  getState() {
+    return { tokens: this.tokens, lastRefill: this.lastRefill };
+  }
+  
+  setState({ tokens, lastRefill }) {
+    this.tokens = Math.min(this.limit, tokens);
+    this.lastRefill = lastRefill;
+  }
+}
+
+/**
+ * Taxa adaptativa (requests/minuto) por AIMD
+ * Cada sucesso soma "increase"; rate limit multiplica por "decreaseFactor" (no máximo uma vez por cooldownMs,
+ * para uma rajada de 429 não derrubar a taxa várias vezes); sempre entre minRate e maxRate
+ */
+class AdaptiveRate {
+  constructor({ initialRate, minRate, maxRate, increase, decreaseFactor, cooldownMs }) {
+    if (!(minRate > 0) || !(maxRate >= minRate)) {
+      throw new Error(`Taxa adaptativa inválida: mínimo ${minRate}, máximo ${maxRate}`);
+    }
+    if (!(decreaseFactor > 0 && decreaseFactor < 1)) {
+      throw new Error(`ADAPTIVE_DECREASE_FACTOR deve estar entre 0 e 1 (recebido ${decreaseFactor})`);
+    }
+    
+    this.minRate = minRate;
+    this.maxRate = maxRate;
+    this.increase = increase;
+    this.decreaseFactor = decreaseFactor;
+    this.cooldownMs = cooldownMs;
+    
+    this.rate = Math.min(maxRate, Math.max(minRate, initialRate || maxRate));
+    this.lastDecreaseAt = 0;
+    this.increases = 0;
+    this.decreases = 0;
+  }
+  
+  recordSuccess() {
+    if (this.rate >= this.maxRate) return;
+    
+    this.rate = Math.min(this.maxRate, this.rate + this.increase);
+    this.increases++;
+  }
+  
+  /**
+   * Reduz a taxa; retorna false se ainda está no cooldown da última redução
+   */
+  recordRateLimit(now = Date.now()) {
+    if (now - this.lastDecreaseAt < this.cooldownMs) return false;
+    
+    this.rate = Math.max(this.minRate, this.rate * this.decreaseFactor);
+    this.lastDecreaseAt = now;
+    this.decreases++;
+    return true;
+  }
+  
+  /**
+   * Intervalo entre requests que mantém a taxa atual
+   */
+  getIntervalMs() {
+    return 60000 / this.rate;
+  }
+  
+  getSnapshot() {
+    return {
+      ratePerMinute: Math.round(this.rate * 100) / 100,
+      minRate: this.minRate,
+      maxRate: this.maxRate,
+      increases: this.increases,
+      decreases: this.decreases
+    };
+  }
+}
+
 class GoogleSheetsRateLimiter {
   constructor(config = {}) {
+    // Circuit breaker, state store, dead-letter queue e read cache injetados ficam fora do config (podem ser compartilhados)
+    const { circuitBreaker, stateStore, deadLetterQueue, readCache, ...settings } = config;
+    
     // Configurações principais
     this.config = {
       // Limites da API
-      MAX_REQUESTS_PER_MINUTE: 180,     // Google Sheets limit com margem
-      MAX_REQUESTS_PER_100_SECONDS: 300, // Limite secundário
+      MAX_REQUESTS_PER_MINUTE: 180,     // Google Sheets limit com margem (padrão de leitura e de escrita)
+      MAX_REQUESTS_PER_100_SECONDS: 300, // Limite secundário (leitura + escrita)
+      READ_REQUESTS_PER_MINUTE: null,    // Bucket de leitura (padrão: MAX_REQUESTS_PER_MINUTE)
+      WRITE_REQUESTS_PER_MINUTE: null,   // Bucket de escrita (padrão: MAX_REQUESTS_PER_MINUTE)
+      READ_REQUESTS_PER_MINUTE_PER_USER: null,  // Quota por usuário (null = desativada)
+      WRITE_REQUESTS_PER_MINUTE_PER_USER: null,
+      QUOTA_WINDOWS: [],                 // Janelas extras: { name, limit, intervalMs, kind?, scope? }
+      DEFAULT_KIND: 'write',             // Requests sem metadata.kind
+      DEFAULT_USER: 'default',           // Requests sem metadata.user (janelas por usuário)
       
       // Controle de batch
       BATCH_SIZE: 25,
-      MIN_INTERVAL_MS: 350,              // Mínimo entre requests
+      MIN_INTERVAL_MS: 350,              // Mínimo entre requests (com stateStore, entre todas as instâncias)
+      MAX_CONCURRENT_REQUESTS: 5,        // Tentativas em execução ao mesmo tempo
       
-      // Circuit Breaker
-      ERROR_THRESHOLD: 5,                // Erros para abrir circuito
-      CIRCUIT_RESET_TIMEOUT: 60000,      // 1 minuto
+      // Taxa adaptativa (AIMD) - espaça os requests conforme os 429 recebidos
+      ADAPTIVE_RATE: false,
+      ADAPTIVE_MIN_RATE: 30,             // Piso (requests/minuto)
+      ADAPTIVE_MAX_RATE: null,           // Teto (padrão: MAX_REQUESTS_PER_MINUTE)
+      ADAPTIVE_INITIAL_RATE: null,       // Taxa inicial (padrão: teto)
+      ADAPTIVE_INCREASE: 1,              // Requests/minuto somados a cada sucesso
+      ADAPTIVE_DECREASE_FACTOR: 0.5,     // Multiplicador a cada rate limit
+      ADAPTIVE_DECREASE_COOLDOWN_MS: 2000, // Rate limits dentro desse intervalo reduzem uma vez só
+      
+      // Estado compartilhado (stateStore)
+      SHARED_STATE_KEY: 'default',       // Instâncias com a mesma chave (ex.: ID da planilha) dividem a quota
+      
+      // Circuit Breaker (ver circuit-breaker.js)
+      ERROR_THRESHOLD: 5,                // Falhas seguidas para abrir circuito
+      CIRCUIT_RESET_TIMEOUT: 60000,      // 1 minuto em OPEN antes dos requests de teste
+      CIRCUIT_ERROR_RATE_THRESHOLD: 0.5, // Taxa de erro que abre o circuito (null = desativada)
+      CIRCUIT_ROLLING_WINDOW_MS: 60000,  // Janela da taxa de erro
+      CIRCUIT_MIN_REQUESTS: 10,          // Mínimo de requests na janela para avaliar a taxa
+      CIRCUIT_HALF_OPEN_TRIALS: 1,       // Requests de teste simultâneos em HALF_OPEN
+      CIRCUIT_SUCCESS_THRESHOLD: 1,      // Sucessos de teste para fechar
+      CIRCUIT_HALF_OPEN_FAILURE_THRESHOLD: 1, // Falhas de teste para reabrir
       
       // Retry Policy
       MAX_RETRIES: 3,
       INITIAL_RETRY_DELAY: 1000,
       BACKOFF_MULTIPLIER: 2,
       MAX_RETRY_DELAY: 32000,
+      MAX_RETRY_AFTER: 120000,           // Teto para o Retry-After pedido pela API
+      ERROR_RULES: [],                   // Regras de classificação extras, avaliadas antes das padrão
+      DEAD_LETTER_KINDS: ['write'],      // Requests que vão para a dead-letter queue ao falhar de vez
+      
+      // Timeouts
+      REQUEST_TIMEOUT: 30000,            // Limite de cada tentativa (timeout conta como erro temporário)
+      TOTAL_TIMEOUT: null,               // Prazo padrão do request, da entrada na fila ao fim (null = sem prazo)
       
       // Monitoring
       ENABLE_METRICS: true,
       LOG_LEVEL: 'info',
+      HISTOGRAM_BUCKETS: {},             // Substitui limites padrão: { queueWaitMs, executionMs, attempts }
+      
+      // Ciclo de vida
+      AUTO_START: true,                  // false: fila só anda depois de start()
       
-      ...config
+      ...settings
     };
     
+    for (const rule of this.config.ERROR_RULES) {
+      if (!ERROR_TYPES.includes(rule.type)) {
+        throw new Error(`Regra de erro ${rule.name || JSON.stringify(rule)}: type inválido '${rule.type}'`);
+      }
+    }
+    
+    // Circuit breaker: só API com defeito conta como falha (rate limit, erro temporário, timeout)
+    this.circuitBreaker = circuitBreaker || new CircuitBreaker({
+      FAILURE_THRESHOLD: this.config.ERROR_THRESHOLD,
+      ERROR_RATE_THRESHOLD: this.config.CIRCUIT_ERROR_RATE_THRESHOLD,
+      ROLLING_WINDOW_MS: this.config.CIRCUIT_ROLLING_WINDOW_MS,
+      MIN_REQUESTS_IN_WINDOW: this.config.CIRCUIT_MIN_REQUESTS,
+      RESET_TIMEOUT: this.config.CIRCUIT_RESET_TIMEOUT,
+      HALF_OPEN_MAX_TRIALS: this.config.CIRCUIT_HALF_OPEN_TRIALS,
+      SUCCESS_THRESHOLD: this.config.CIRCUIT_SUCCESS_THRESHOLD,
+      HALF_OPEN_FAILURE_THRESHOLD: this.config.CIRCUIT_HALF_OPEN_FAILURE_THRESHOLD
+    });
+    this.circuitListener = event => this.onCircuitStateChange(event);
+    this.circuitBreaker.on('stateChange', this.circuitListener);
+    
+    // Prazo de OPEN renovado (ex.: quota excedida de novo) também vai para o estado compartilhado
+    this.circuitRenewListener = () => {
+      if (this.stateStore) this.publishCircuitState();
+    };
+    this.circuitBreaker.on('renew', this.circuitRenewListener);
+    
+    this.adaptiveRate = this.config.ADAPTIVE_RATE
+      ? new AdaptiveRate({
+        initialRate: this.config.ADAPTIVE_INITIAL_RATE,
+        minRate: this.config.ADAPTIVE_MIN_RATE,
+        maxRate: this.config.ADAPTIVE_MAX_RATE || this.config.MAX_REQUESTS_PER_MINUTE,
+        increase: this.config.ADAPTIVE_INCREASE,
+        decreaseFactor: this.config.ADAPTIVE_DECREASE_FACTOR,
+        cooldownMs: this.config.ADAPTIVE_DECREASE_COOLDOWN_MS
+      })
+      : null;
+    
+    // Histogramas por kind (read/write)
+    this.histograms = this.createHistograms();
+    
+    // Janelas de quota e buckets (um por janela; por usuário nas janelas de escopo 'user')
+    this.quotaWindows = this.buildQuotaWindows();
+    this.buckets = new Map();
+    
+    // Com stateStore, os buckets locais espelham o último estado compartilhado lido
+    this.stateStore = stateStore || null;
+    this.circuitSync = Promise.resolve();
+    
+    this.deadLetterQueue = deadLetterQueue || null;
+    
+    this.readCache = readCache || null;
+    
     // Estado do rate limiter
     this.state = {
-      tokens: this.config.MAX_REQUESTS_PER_MINUTE,
-      lastRefill: Date.now(),
+      status: 'stopped',      // stopped, running, paused, disposed
       requestQueue: [],
       processing: false,
-      
-      // Circuit breaker state
-      circuitState: 'CLOSED', // CLOSED, OPEN, HALF_OPEN
-      consecutiveErrors: 0,
-      lastErrorTime: null,
+      activeRequests: new Set(),  // Tentativas em execução (fora da fila)
+      lastRequestAt: 0,
       
       // Métricas
       metrics: {
@@ -51,324 +443,1167 @@ class GoogleSheetsRateLimiter {
         successfulRequests: 0,
         failedRequests: 0,
         retriedRequests: 0,
+        retryAttempts: 0,
+        expiredRequests: 0,
+        abortedRequests: 0,
         circuitBreakerTrips: 0,
+        stateStoreErrors: 0,
+        deadLettered: 0,
+        errorsByType: Object.fromEntries(ERROR_TYPES.map(type => [type, 0])),
         averageLatency: 0,
         requestsPerMinute: []
       }
     };
     
-    // Inicia refill automático de tokens
-    this.startTokenRefill();
+    // Processamento por eventos: timer só existe enquanto há request esperando
+    this.wakeTimer = null;
+    this.wakeAt = null;
+    this.drainWaiters = [];
+    
+    if (this.config.AUTO_START) {
+      this.start();
+    }
+  }
+  
+  /**
+   * Inicia o processamento da fila
+   */
+  start() {
+    if (this.state.status === 'disposed') {
+      throw new RateLimiterDisposedError('Rate limiter encerrado (dispose) - crie outra instância');
+    }
+    if (this.state.status === 'running') return;
     
-    // Inicia processamento da fila
-    this.startQueueProcessor();
+    this.state.status = 'running';
+    this.scheduleProcessing();
+  }
+  
+  /**
+   * Suspende a saída de novos requests (o que está em execução termina)
+   * Requests continuam sendo aceitos na fila
+   */
+  pause() {
+    if (this.state.status !== 'running') return;
+    
+    this.state.status = 'paused';
+    this.clearWakeTimer();
+    console.log('⏸️ Rate limiter pausado');
+  }
+  
+  resume() {
+    if (this.state.status !== 'paused') return;
+    
+    console.log('▶️ Rate limiter retomado');
+    this.start();
+  }
+  
+  /**
+   * Aguarda a fila esvaziar e o request em execução terminar
+   * Com o limiter pausado, espera até resume()
+   */
+  drain() {
+    if (this.isIdle()) return Promise.resolve();
+    
+    return new Promise(resolve => this.drainWaiters.push(resolve));
+  }
+  
+  /**
+   * Encerra o limiter: limpa timers e esvazia a fila
+   * pending: 'reject' rejeita os requests da fila com RateLimiterDisposedError;
+   * 'return' devolve [{ fn, metadata, resolve, reject }] para serem reexecutados em outro lugar
+   * Aguarda o request em execução terminar
+   */
+  async dispose({ pending = 'reject' } = {}) {
+    if (!['reject', 'return'].includes(pending)) {
+      throw new Error(`dispose: pending inválido '${pending}' (use reject ou return)`);
+    }
+    
+    this.state.status = 'disposed';
+    this.clearWakeTimer();
+    this.circuitBreaker.removeListener('stateChange', this.circuitListener);
+    this.circuitBreaker.removeListener('renew', this.circuitRenewListener);
+    
+    const queued = this.state.requestQueue.splice(0);
+    for (const request of queued) {
+      if (pending === 'reject') {
+        request.reject(new RateLimiterDisposedError());
+      } else {
+        // Quem recebe assume o request: prazo e signal (em metadata) voltam a valer no próximo executeRequest
+        this.detachRequest(request);
+      }
+    }
+    
+    if (queued.length > 0) {
+      console.log(`🛑 Rate limiter encerrado com ${queued.length} requests na fila (${pending})`);
+    }
+    
+    await this.drain();
+    await this.circuitSync;
+    
+    return pending === 'return'
+      ? queued.map(({ fn, metadata, resolve, reject }) => ({ fn, metadata, resolve, reject }))
+      : [];
+  }
+  
+  isIdle() {
+    return this.state.requestQueue.length === 0 && !this.state.processing && this.state.activeRequests.size === 0;
+  }
+  
+  /**
+   * Janelas de quota ativas
+   * Padrão: leitura e escrita por minuto (buckets separados) + 100 segundos somando as duas
+   */
+  buildQuotaWindows() {
+    const config = this.config;
+    const windows = [
+      {
+        name: 'read_per_minute',
+        kind: 'read',
+        limit: config.READ_REQUESTS_PER_MINUTE || config.MAX_REQUESTS_PER_MINUTE,
+        intervalMs: 60000
+      },
+      {
+        name: 'write_per_minute',
+        kind: 'write',
+        limit: config.WRITE_REQUESTS_PER_MINUTE || config.MAX_REQUESTS_PER_MINUTE,
+        intervalMs: 60000
+      },
+      {
+        name: 'per_100_seconds',
+        limit: config.MAX_REQUESTS_PER_100_SECONDS,
+        intervalMs: 100000
+      }
+    ];
+    
+    if (config.READ_REQUESTS_PER_MINUTE_PER_USER) {
+      windows.push({
+        name: 'read_per_minute_per_user',
+        kind: 'read',
+        scope: 'user',
+        limit: config.READ_REQUESTS_PER_MINUTE_PER_USER,
+        intervalMs: 60000
+      });
+    }
+    
+    if (config.WRITE_REQUESTS_PER_MINUTE_PER_USER) {
+      windows.push({
+        name: 'write_per_minute_per_user',
+        kind: 'write',
+        scope: 'user',
+        limit: config.WRITE_REQUESTS_PER_MINUTE_PER_USER,
+        intervalMs: 60000
+      });
+    }
+    
+    return [...windows, ...(config.QUOTA_WINDOWS || [])].map(window => {
+      const normalized = { kind: null, scope: 'project', ...window };
+      
+      if (!normalized.name || !(normalized.limit > 0) || !(normalized.intervalMs > 0)) {
+        throw new Error(`Janela de quota inválida: ${JSON.stringify(window)}`);
+      }
+      if (normalized.kind !== null && !REQUEST_KINDS.includes(normalized.kind)) {
+        throw new Error(`Janela de quota ${normalized.name}: kind inválido '${normalized.kind}'`);
+      }
+      if (!QUOTA_SCOPES.includes(normalized.scope)) {
+        throw new Error(`Janela de quota ${normalized.name}: scope inválido '${normalized.scope}'`);
+      }
+      
+      return normalized;
+    });
+  }
+  
+  /**
+   * Buckets que o request consome: janelas sem kind + janelas do kind dele
+   * Retorna [{ key, window, bucket }]
+   */
+  getBucketEntries(request) {
+    const kind = request.metadata.kind || this.config.DEFAULT_KIND;
+    const user = request.metadata.user || this.config.DEFAULT_USER;
+    
+    return this.quotaWindows
+      .filter(window => window.kind === null || window.kind === kind)
+      .map(window => {
+        const key = window.scope === 'user' ? `${window.name}:${user}` : window.name;
+        
+        if (!this.buckets.has(key)) {
+          this.buckets.set(key, new TokenBucket(window));
+        }
+        return { key, window, bucket: this.buckets.get(key) };
+      });
+  }
+  
+  getBuckets(request) {
+    return this.getBucketEntries(request).map(entry => entry.bucket);
+  }
+  
+  /**
+   * Requests com a mesma assinatura consomem os mesmos buckets
+   */
+  getBucketSignature(request) {
+    return this.getBucketEntries(request).map(entry => entry.key).join('|');
   }
   
   /**
    * Executa request com rate limiting
+   * metadata:
+   * - kind: 'read' ou 'write' (padrão DEFAULT_KIND); user: para quotas por usuário
+   * - priority: 'high', 'normal', 'low' ou número (maior sai antes; padrão 'normal')
+   * - timeout: prazo em ms desde a entrada na fila (padrão TOTAL_TIMEOUT); deadline: Date ou timestamp
+   * - signal: AbortSignal - cancelado, o request sai da fila e é rejeitado
+   * - cacheKey: leitura servida pelo readCache (mesma chave em andamento = um request só); cacheTtlMs
+   * - cacheTags: leituras guardadas com essas tags; escritas com elas invalidam o cache ao entrar e ao terminar
+   * - idempotent: repetir não muda o resultado (padrão: só leituras); escrita com erro temporário (timeout,
+   *   5xx, conexão perdida) pode ter sido aplicada, então só é tentada de novo se idempotent
+   * requestFn recebe { signal }, abortado quando a tentativa passa de REQUEST_TIMEOUT ou o request expira ou é cancelado
    */
   async executeRequest(requestFn, metadata = {}) {
+    const kind = metadata.kind || this.config.DEFAULT_KIND;
+    const cache = this.readCache;
+    
+    if (cache && kind === 'read' && metadata.cacheKey && this.state.status !== 'disposed') {
+      // Leituras iguais simultâneas compartilham o request (e o prazo/cancelamento) da primeira
+      return cache.wrap(
+        metadata.cacheKey,
+        { tags: metadata.cacheTags, ttlMs: metadata.cacheTtlMs },
+        () => this.enqueueRequest(requestFn, metadata)
+      );
+    }
+    
+    if (cache && kind === 'write' && metadata.cacheTags) {
+      // Invalida antes (ninguém lê o valor antigo durante a escrita) e depois (leitura feita no meio)
+      cache.invalidate(metadata.cacheTags);
+      return this.enqueueRequest(requestFn, metadata)
+        .finally(() => cache.invalidate(metadata.cacheTags));
+    }
+    
+    return this.enqueueRequest(requestFn, metadata);
+  }
+  
+  /**
+   * Cria o request e coloca na fila (executeRequest sem o cache)
+   */
+  enqueueRequest(requestFn, metadata) {
     return new Promise((resolve, reject) => {
+      if (this.state.status === 'disposed') {
+        reject(new RateLimiterDisposedError());
+        return;
+      }
+      
+      if (metadata.kind !== undefined && !REQUEST_KINDS.includes(metadata.kind)) {
+        reject(new Error(`Tipo de request inválido: ${metadata.kind} (use ${REQUEST_KINDS.join(' ou ')})`));
+        return;
+      }
+      
+      const priority = this.resolvePriority(metadata.priority);
+      if (priority === null) {
+        reject(new Error(`Prioridade inválida: ${metadata.priority} (use ${Object.keys(PRIORITIES).join(', ')} ou número)`));
+        return;
+      }
+      
+      const now = Date.now();
+      const deadline = this.resolveDeadline(metadata, now);
+      if (Number.isNaN(deadline)) {
+        reject(new Error(`Prazo inválido: timeout=${metadata.timeout}, deadline=${metadata.deadline}`));
+        return;
+      }
+      
       const request = {
         id: this.generateRequestId(),
         fn: requestFn,
         metadata,
-        resolve,
-        reject,
+        priority,
+        deadline,
         attempts: 0,
-        createdAt: Date.now()
+        createdAt: now,
+        settled: false,
+        controller: new AbortController(),
+        callerResolve: resolve,
+        callerReject: reject
       };
+      request.resolve = value => this.settleRequest(request, null, value);
+      request.reject = error => this.settleRequest(request, error);
+      
+      const { signal } = metadata;
+      if (signal && signal.aborted) {
+        this.state.metrics.abortedRequests++;
+        request.reject(new RequestAbortedError(`Request ${request.id} cancelado antes de entrar na fila`, {
+          requestId: request.id,
+          reason: signal.reason
+        }));
+        return;
+      }
+      
+      if (deadline !== null && deadline <= now) {
+        this.state.metrics.expiredRequests++;
+        request.reject(new RequestTimeoutError(`Request ${request.id} com prazo já vencido`, {
+          requestId: request.id,
+          timeoutMs: 0,
+          stage: 'queue'
+        }));
+        return;
+      }
+      
+      if (deadline !== null) {
+        request.deadlineTimer = setTimeout(() => {
+          const queued = this.state.requestQueue.includes(request);
+          this.state.metrics.expiredRequests++;
+          this.cancelRequest(request, new RequestTimeoutError(
+            `Request ${request.id} excedeu o prazo de ${deadline - now}ms (${queued ? 'na fila' : 'em execução'})`,
+            { requestId: request.id, timeoutMs: deadline - now, stage: queued ? 'queue' : 'execution' }
+          ));
+        }, deadline - now);
+      }
+      
+      if (signal) {
+        request.abortListener = () => {
+          this.state.metrics.abortedRequests++;
+          this.cancelRequest(request, new RequestAbortedError(`Request ${request.id} cancelado`, {
+            requestId: request.id,
+            reason: signal.reason
+          }));
+        };
+        signal.addEventListener('abort', request.abortListener, { once: true });
+      }
       
-      // Adiciona à fila
-      this.state.requestQueue.push(request);
+      // Adiciona à fila, depois dos requests de prioridade igual ou maior
+      this.enqueue(request);
       
       if (this.config.LOG_LEVEL === 'debug') {
         console.log(`📥 Request ${request.id} adicionado à fila. Posição: ${this.state.requestQueue.length}`);
       }
+      
+      this.scheduleProcessing();
     });
   }
   
+  enqueue(request) {
+    const queue = this.state.requestQueue;
+    let index = queue.length;
+    
+    while (index > 0 && queue[index - 1].priority < request.priority) {
+      index--;
+    }
+    
+    queue.splice(index, 0, request);
+  }
+  
+  resolvePriority(priority) {
+    if (priority === undefined || priority === null) return PRIORITIES.normal;
+    if (typeof priority === 'number' && Number.isFinite(priority)) return priority;
+    return Object.prototype.hasOwnProperty.call(PRIORITIES, priority) ? PRIORITIES[priority] : null;
+  }
+  
+  /**
+   * Prazo absoluto (ms): o menor entre timeout (ou TOTAL_TIMEOUT) e deadline; null sem prazo
+   */
+  resolveDeadline(metadata, now) {
+    const candidates = [];
+    const timeout = metadata.timeout !== undefined ? metadata.timeout : this.config.TOTAL_TIMEOUT;
+    
+    if (timeout !== null && timeout !== undefined) {
+      candidates.push(now + Number(timeout));
+    }
+    if (metadata.deadline !== null && metadata.deadline !== undefined) {
+      candidates.push(new Date(metadata.deadline).getTime());
+    }
+    
+    if (candidates.some(Number.isNaN)) return NaN;
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+  
+  /**
+   * Entrega o resultado ao chamador uma única vez e limpa timer/listener do request
+   */
+  settleRequest(request, error, value) {
+    if (request.settled) return;
+    request.settled = true;
+    
+    this.detachRequest(request);
+    
+    if (error) {
+      request.callerReject(error);
+    } else {
+      request.callerResolve(value);
+    }
+  }
+  
+  /**
+   * Desliga o timer de prazo e o listener de abort do request
+   */
+  detachRequest(request) {
+    clearTimeout(request.deadlineTimer);
+    request.deadlineTimer = null;
+    if (request.abortListener) {
+      request.metadata.signal.removeEventListener('abort', request.abortListener);
+      request.abortListener = null;
+    }
+  }
+  
+  /**
+   * Tira o request da fila (se ainda estiver nela), aborta a execução e rejeita
+   */
+  cancelRequest(request, error) {
+    if (request.settled) return;
+    
+    const index = this.state.requestQueue.indexOf(request);
+    if (index !== -1) {
+      this.state.requestQueue.splice(index, 1);
+    }
+    
+    request.controller.abort(error);
+    request.reject(error);
+    
+    this.resolveDrainWaiters();
+  }
+  
+  /**
+   * Promise que rejeita assim que o request expira ou é cancelado
+   */
+  raceRequest(request, promise) {
+    const signal = request.controller.signal;
+    if (signal.aborted) return Promise.reject(signal.reason);
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      
+      promise.then(
+        value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+  
+  /**
+   * Uma tentativa, limitada por REQUEST_TIMEOUT
+   * O signal da tentativa também é abortado no timeout: o fetch em andamento não segue ocupando conexão
+   */
+  async runAttempt(request) {
+    const timeoutMs = this.config.REQUEST_TIMEOUT;
+    const requestSignal = request.controller.signal;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(requestSignal.reason);
+    requestSignal.addEventListener('abort', onAbort, { once: true });
+    let timer = null;
+    
+    const attempt = Promise.resolve().then(() => request.fn({ signal: controller.signal }));
+    const limited = timeoutMs
+      ? Promise.race([
+        attempt,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            const error = new RequestTimeoutError(
+              `Tentativa ${request.attempts} do request ${request.id} excedeu ${timeoutMs}ms`,
+              { requestId: request.id, timeoutMs, stage: 'attempt' }
+            );
+            reject(error);
+            controller.abort(error);
+          }, timeoutMs);
+        })
+      ])
+      : attempt;
+    
+    try {
+      return await this.raceRequest(request, limited);
+    } finally {
+      clearTimeout(timer);
+      requestSignal.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  /**
+   * Agenda o processador da fila para daqui a "delay" ms
+   * Mantém só o despertar mais próximo
+   */
+  scheduleProcessing(delay = 0) {
+    if (this.state.status !== 'running' || this.state.processing) return;
+    if (this.state.requestQueue.length === 0) return;
+    
+    const wakeAt = Date.now() + delay;
+    if (this.wakeTimer && this.wakeAt <= wakeAt) return;
+    
+    this.clearWakeTimer();
+    this.wakeAt = wakeAt;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.wakeAt = null;
+      this.processQueue();
+    }, delay);
+  }
+  
+  clearWakeTimer() {
+    clearTimeout(this.wakeTimer);
+    this.wakeTimer = null;
+    this.wakeAt = null;
+  }
+  
   /**
-   * Processa fila de requests
+   * Processa a fila até esvaziar ou precisar esperar (token, intervalo mínimo, circuito aberto, vagas de execução)
+   * Cada tentativa roda fora do loop; retry volta para a fila com notBefore em vez de segurar o processador
    */
-  async startQueueProcessor() {
-    if (this.state.processing) return;
+  async processQueue() {
+    if (this.state.status !== 'running' || this.state.processing) return;
     
     this.state.processing = true;
+    let nextDelay = null;
     
-    while (true) {
-      try {
-        // Verifica se há requests na fila
-        if (this.state.requestQueue.length === 0) {
-          await this.sleep(100);
-          continue;
-        }
+    try {
+      while (this.state.status === 'running' && this.state.requestQueue.length > 0) {
+        // Sem vaga: o fim de uma tentativa chama o processador de novo
+        if (this.state.activeRequests.size >= this.config.MAX_CONCURRENT_REQUESTS) break;
         
-        // Verifica circuit breaker
-        if (!this.canProcess()) {
-          await this.handleCircuitBreaker();
-          continue;
+        // Circuito aberto (ou vagas de teste ocupadas): volta quando o circuito permitir
+        if (!this.circuitBreaker.canRequest()) {
+          nextDelay = Math.max(this.circuitBreaker.getRemainingOpenMs(), 100);
+          break;
         }
         
-        // Aguarda token disponível
-        await this.waitForToken();
+        // Intervalo mínimo entre requests (ou o da taxa adaptativa, se maior)
+        const interval = this.state.lastRequestAt + this.getRequestInterval() - Date.now();
+        if (interval > 0) {
+          nextDelay = interval;
+          break;
+        }
         
-        // Processa próximo request
-        const request = this.state.requestQueue.shift();
-        await this.processRequest(request);
+        // Próximo request (em ordem) com token em todos os seus buckets
+        // Escrita sem quota não segura as leituras que vêm atrás, e vice-versa
+        const { request, delay } = await this.takeReadyRequest();
+        if (!request) {
+          nextDelay = delay;
+          break;
+        }
         
-        // Intervalo mínimo entre requests
-        await this.sleep(this.config.MIN_INTERVAL_MS);
+        // Estado compartilhado pode ter aberto o circuito durante a reserva do token
+        // Em HALF_OPEN cada tentativa ocupa uma vaga de teste
+        if (!this.circuitBreaker.tryAcquire()) {
+          await this.releaseTokens(request);
+          this.enqueue(request);
+          continue;
+        }
         
-      } catch (error) {
-        console.error('❌ Erro no processador de fila:', error);
-        await this.sleep(1000);
+        this.state.metrics.totalRequests++;
+        this.state.lastRequestAt = Date.now();
+        this.startAttempt(request);
       }
+    } catch (error) {
+      console.error('❌ Erro no processador de fila:', error);
+      nextDelay = 1000;
+    } finally {
+      this.state.processing = false;
+    }
+    
+    if (nextDelay !== null) {
+      this.scheduleProcessing(nextDelay);
+    }
+    
+    this.resolveDrainWaiters();
+  }
+  
+  resolveDrainWaiters() {
+    if (this.isIdle()) {
+      this.drainWaiters.splice(0).forEach(resolve => resolve());
     }
   }
   
   /**
-   * Processa um request individual
+   * Roda uma tentativa fora do loop da fila (token e vaga do circuito já reservados)
+   * Ao terminar libera a vaga e chama o processador de novo
+   */
+  startAttempt(request) {
+    this.state.activeRequests.add(request);
+    
+    this.processRequest(request)
+      .catch(error => console.error(`❌ Erro inesperado no request ${request.id}:`, error))
+      .finally(() => {
+        this.state.activeRequests.delete(request);
+        this.scheduleProcessing();
+        this.resolveDrainWaiters();
+      });
+  }
+  
+  /**
+   * Executa uma tentativa do request
+   * Sucesso ou falha definitiva entregam o resultado; retry volta para a fila (ver handleAttemptError)
    */
   async processRequest(request) {
-    const startTime = Date.now();
+    if (request.startedAt === undefined) request.startedAt = Date.now();
+    request.attempts++;
     
     try {
-      // Consome token
-      this.consumeToken();
-      
-      // Executa request
-      const result = await this.executeWithRetry(request);
+      const result = await this.runAttempt(request);
       
-      // Atualiza métricas de sucesso
-      this.updateMetrics({
-        success: true,
-        latency: Date.now() - startTime
-      });
+      // Sucesso - informa o circuit breaker e a taxa adaptativa
+      this.circuitBreaker.recordSuccess();
+      if (this.adaptiveRate) this.adaptiveRate.recordSuccess();
       
-      // Resolve promise
-      request.resolve(result);
+      this.finishRequest(request, null, result);
       
     } catch (error) {
-      // Atualiza métricas de erro
-      this.updateMetrics({
-        success: false,
-        latency: Date.now() - startTime,
-        error: error
-      });
+      let retryDelay;
+      try {
+        retryDelay = this.handleAttemptError(request, error);
+      } catch (finalError) {
+        await this.finishRequest(request, finalError);
+        return;
+      }
       
-      // Reject promise
-      request.reject(error);
+      this.state.metrics.retryAttempts++;
+      this.requeue(request, retryDelay);
     }
   }
   
   /**
-   * Executa request com retry logic
+   * Entrega o resultado final (métricas, dead-letter queue e promise do chamador)
    */
-  async executeWithRetry(request) {
-    let lastError;
+  async finishRequest(request, error, result) {
+    this.updateMetrics({
+      success: !error,
+      latency: Date.now() - request.startedAt,
+      error,
+      request,
+      queueWait: request.startedAt - request.createdAt
+    });
     
-    for (let attempt = 0; attempt <= this.config.MAX_RETRIES; attempt++) {
-      try {
-        request.attempts = attempt + 1;
-        
-        // Tenta executar
-        const result = await request.fn();
-        
-        // Sucesso - reset erro counter
-        this.state.consecutiveErrors = 0;
-        
-        return result;
-        
-      } catch (error) {
-        lastError = error;
-        
-        // Analisa tipo de erro
-        const errorType = this.analyzeError(error);
-        
-        if (errorType === 'RATE_LIMIT') {
-          console.log(`⚠️ Rate limit detectado. Tentativa ${attempt + 1}/${this.config.MAX_RETRIES + 1}`);
-          
-          // Incrementa contador de erros
-          this.state.consecutiveErrors++;
-          
-          // Calcula delay com exponential backoff
-          const delay = Math.min(
-            this.config.INITIAL_RETRY_DELAY * Math.pow(this.config.BACKOFF_MULTIPLIER, attempt),
-            this.config.MAX_RETRY_DELAY
-          );
-          
-          await this.sleep(delay);
-          
-          // Adiciona jitter para evitar thundering herd
-          await this.sleep(Math.random() * 1000);
-          
-        } else if (errorType === 'QUOTA_EXCEEDED') {
-          // Quota excedida - abre circuit breaker imediatamente
-          this.openCircuitBreaker();
-          throw error;
-          
-        } else if (errorType === 'RETRYABLE') {
-          // Erro temporário - retry com delay menor
-          await this.sleep(1000 * (attempt + 1));
-          
-        } else {
-          // Erro não recuperável
-          throw error;
-        }
-      }
+    if (!error) {
+      request.resolve(result);
+      return;
     }
     
-    // Esgotou tentativas
-    throw new Error(`Falha após ${this.config.MAX_RETRIES + 1} tentativas: ${lastError.message}`);
+    await this.sendToDeadLetter(request, error);
+    request.reject(error);
   }
   
   /**
-   * Analisa tipo de erro
+   * Devolve à fila um request que vai tentar de novo, liberado a partir de agora + delay (notBefore)
+   * Request cancelado ou expirado nesse meio tempo não volta; limiter encerrado rejeita
    */
-  analyzeError(error) {
-    const message = error.message || error.toString();
+  requeue(request, delay) {
+    if (request.settled) return;
+    
+    if (this.state.status === 'disposed') {
+      request.reject(new RateLimiterDisposedError());
+      return;
+    }
+    
+    request.notBefore = Date.now() + delay;
+    this.enqueue(request);
+  }
+  
+  /**
+   * Decide o que fazer com a tentativa que falhou
+   * Retorna o delay (ms) até a próxima tentativa ou lança o erro final (request.failure = motivo da dead-letter)
+   */
+  handleAttemptError(request, error) {
+    request.lastError = error;
+    const attempt = request.attempts - 1;
+    
+    // Motivo da falha definitiva (dead-letter queue); cancelado ou expirado fica sem
+    const fail = (reason, finalError) => {
+      request.failure = { reason, errorType: request.lastErrorType || null, lastError: error };
+      return finalError;
+    };
+    
+    // Expirado ou cancelado: sem novas tentativas
+    if (request.controller.signal.aborted) {
+      this.circuitBreaker.release();
+      throw error;
+    }
+    
+    // Analisa tipo de erro
+    const { type: errorType, retryAfterMs } = this.classifyError(error);
+    request.lastErrorType = errorType;
+    this.state.metrics.errorsByType[errorType]++;
+    
+    // Erro não recuperável é resposta normal da API (ex.: 404) e não conta contra o circuito
+    if (errorType === 'QUOTA_EXCEEDED') {
+      this.circuitBreaker.trip('quota excedida');
+    } else if (errorType === 'NON_RETRYABLE') {
+      this.circuitBreaker.recordSuccess();
+    } else {
+      this.circuitBreaker.recordFailure();
+    }
     
-    // Rate limit errors
-    if (message.includes('Rate Limit') || 
-        message.includes('rate limit') ||
-        message.includes('429') ||
-        message.includes('RATE_LIMIT_EXCEEDED')) {
-      return 'RATE_LIMIT';
+    // Timeout, 5xx ou conexão perdida no meio: a escrita pode ter sido aplicada e repetir duplicaria
+    // um append ou removeria outra linha por índice (429/4xx não foram aplicados e seguem a regra normal)
+    if (errorType === 'RETRYABLE' && !this.isIdempotent(request) && !this.isUnsent(error)) {
+      throw fail('unconfirmed_write', error);
     }
     
-    // Quota errors
-    if (message.includes('Quota') ||
-        message.includes('quota') ||
-        message.includes('QUOTA_EXCEEDED')) {
-      return 'QUOTA_EXCEEDED';
+    if (errorType === 'QUOTA_EXCEEDED') {
+      // Quota excedida - circuit breaker já aberto acima
+      throw fail('quota_exceeded', error);
     }
     
-    // Temporary errors
-    if (message.includes('503') ||
-        message.includes('UNAVAILABLE') ||
-        message.includes('TIMEOUT')) {
-      return 'RETRYABLE';
+    if (errorType === 'NON_RETRYABLE') {
+      throw fail('non_retryable', error);
     }
     
-    return 'NON_RETRYABLE';
+    // Esgotou tentativas
+    if (attempt >= this.config.MAX_RETRIES) {
+      throw fail('retries_exhausted', new Error(
+        `Falha após ${this.config.MAX_RETRIES + 1} tentativas: ${error.message}`,
+        { cause: error }
+      ));
+    }
+    
+    // Circuito aberto por esta (ou outra) falha: retry barrado
+    if (this.circuitBreaker.getState() === 'OPEN') {
+      throw fail('circuit_open', new CircuitOpenError(
+        `Circuit breaker OPEN - tentativa ${attempt + 2} do request ${request.id} cancelada`,
+        { requestId: request.id, cause: error }
+      ));
+    }
+    
+    if (errorType === 'RATE_LIMIT') {
+      console.log(`⚠️ Rate limit detectado. Tentativa ${attempt + 1}/${this.config.MAX_RETRIES + 1}`);
+      
+      if (this.adaptiveRate && this.adaptiveRate.recordRateLimit()) {
+        console.log(`📉 Taxa adaptativa reduzida para ${this.adaptiveRate.getSnapshot().ratePerMinute} req/min`);
+      }
+      
+      // Espera pedida pela API (Retry-After)
+      if (retryAfterMs !== null) return retryAfterMs;
+      
+      // Exponential backoff + jitter para evitar thundering herd
+      const delay = Math.min(
+        this.config.INITIAL_RETRY_DELAY * Math.pow(this.config.BACKOFF_MULTIPLIER, attempt),
+        this.config.MAX_RETRY_DELAY
+      );
+      return delay + Math.random() * 1000;
+    }
+    
+    // Erro temporário - retry com delay menor (ou o Retry-After da API)
+    return retryAfterMs !== null ? retryAfterMs : 1000 * (attempt + 1);
   }
   
   /**
-   * Token bucket - refill automático
+   * Erro em que o request certamente não chegou à API (conexão recusada)
    */
-  startTokenRefill() {
-    setInterval(() => {
-      const now = Date.now();
-      const timePassed = (now - this.state.lastRefill) / 1000;
-      const tokensToAdd = (this.config.MAX_REQUESTS_PER_MINUTE / 60) * timePassed;
+  isUnsent(error) {
+    return getErrorInfo(error).networkCode === 'ECONNREFUSED';
+  }
+  
+  /**
+   * Request pode ser repetido sem efeito extra (metadata.idempotent; padrão: leituras)
+   */
+  isIdempotent(request) {
+    const { idempotent, kind } = request.metadata;
+    if (idempotent !== undefined) return Boolean(idempotent);
+    
+    return (kind || this.config.DEFAULT_KIND) === 'read';
+  }
+  
+  /**
+   * Guarda na dead-letter queue o request que falhou de vez (cancelados e expirados ficam de fora)
+   * O erro entregue ao chamador ganha deadLetterId; falha ao gravar não esconde o erro original
+   */
+  async sendToDeadLetter(request, error) {
+    const { metadata, failure } = request;
+    if (!this.deadLetterQueue || !failure || metadata.deadLetter === false) return;
+    
+    const kind = metadata.kind || this.config.DEFAULT_KIND;
+    if (!this.config.DEAD_LETTER_KINDS.includes(kind)) return;
+    
+    const lastError = failure.lastError || error;
+    const info = getErrorInfo(lastError);
+    
+    try {
+      const entry = await this.deadLetterQueue.add({
+        requestId: request.id,
+        reason: failure.reason,
+        errorType: failure.errorType,
+        metadata: {
+          kind,
+          user: metadata.user || null,
+          priority: request.priority,
+          operation: metadata.operation || null,
+          tab: metadata.tab || null
+        },
+        payload: metadata.payload || null,
+        attempts: request.attempts,
+        lastError: {
+          name: lastError.name,
+          message: lastError.message,
+          status: info.status,
+          reasons: info.reasons,
+          code: info.networkCode
+        }
+      });
       
-      this.state.tokens = Math.min(
-        this.config.MAX_REQUESTS_PER_MINUTE,
-        this.state.tokens + tokensToAdd
-      );
+      this.state.metrics.deadLettered++;
+      error.deadLetterId = entry.id;
+      console.log(`📮 Request ${request.id} (${metadata.operation || kind}) enviado para a dead-letter queue: ${failure.reason}`);
       
-      this.state.lastRefill = now;
+    } catch (dlqError) {
+      console.error(`❌ Falha ao gravar request ${request.id} na dead-letter queue:`, dlqError);
+    }
+  }
+  
+  /**
+   * Refaz entradas da dead-letter queue passando de novo por este limiter
+   * storage: adapter sem rate limit (um RateLimitedStorageAdapter deste limiter é desembrulhado)
+   * tabs: registro das abas de leads, onde o append refeito pula os CPFs que já estão na aba
+   * Falha no replay fica registrada na própria entrada, sem gerar outra
+   */
+  async replayDeadLetters(filter = {}, { storage, tabs = new TabRegistry(), force = false, stopOnFailure = true } = {}) {
+    if (!this.deadLetterQueue) {
+      throw new Error('replayDeadLetters requer config.deadLetterQueue');
+    }
+    if (!storage) {
+      throw new Error('replayDeadLetters requer storage para refazer as operações');
+    }
+    
+    const target = storage.limiter === this ? storage.storage : storage;
+    
+    return this.deadLetterQueue.replay(filter, async entry => {
+      const { operation } = entry.payload;
+      if (typeof target[operation] !== 'function') {
+        throw new Error(`Operação ${operation} não existe no storage`);
+      }
       
-      if (this.config.LOG_LEVEL === 'debug') {
-        console.log(`🪙 Tokens disponíveis: ${Math.floor(this.state.tokens)}`);
+      const args = await this.withoutExistingLeads(target, entry.payload, tabs);
+      if (!args) {
+        console.log(`⏭️ Dead-letter ${entry.id}: linhas já estão em ${entry.payload.args[0]}, append não refeito`);
+        return null;
       }
-    }, 1000); // Refill a cada segundo
+      
+      return this.executeRequest(
+        ({ signal }) => target[operation](...args, { signal }),
+        { ...entry.metadata, deadLetter: false }
+      );
+    }, { force, stopOnFailure });
   }
   
   /**
-   * Aguarda token disponível
+   * Argumentos do append a refazer numa aba de leads, sem as linhas cujo CPF já está na aba
+   * (a escrita original pode ter sido aplicada antes do erro, ex.: unconfirmed_write); null se não sobrou nenhuma
+   * Outras operações e abas fora do registro (ex.: Audit) voltam sem mudança
    */
-  async waitForToken() {
-    while (this.state.tokens < 1) {
-      if (this.config.LOG_LEVEL === 'debug') {
-        console.log('⏳ Aguardando token disponível...');
+  async withoutExistingLeads(target, { operation, args }, tabs) {
+    if (operation !== 'appendRow' && operation !== 'appendRows') return args;
+    
+    const [tabName, payload, ...rest] = args;
+    if (!tabs.resolve(tabName)) return args;
+    
+    const existing = await this.executeRequest(
+      ({ signal }) => target.readTab(tabName, { signal }),
+      { kind: 'read', operation: 'readTab', tab: tabName, deadLetter: false }
+    );
+    const cpfs = new Set(existing.map(row => normalizeCpf(row.CPF)).filter(Boolean));
+    const isMissing = row => !cpfs.has(normalizeCpf(row.CPF));
+    
+    if (operation === 'appendRow') return isMissing(payload) ? args : null;
+    
+    const missing = payload.filter(isMissing);
+    return missing.length > 0 ? [tabName, missing, ...rest] : null;
+  }
+  
+  /**
+   * Analisa tipo de erro
+   */
+  analyzeError(error) {
+    return this.classifyError(error).type;
+  }
+  
+  /**
+   * Classifica o erro
+   * Retorna { type, retryAfterMs, rule } - rule identifica o critério que decidiu
+   * Ordem: ERROR_RULES, timeout de tentativa, reason do Google, status HTTP, código de rede, status gRPC no texto
+   */
+  classifyError(error) {
+    if (!error || typeof error !== 'object') {
+      return { type: 'NON_RETRYABLE', retryAfterMs: null, rule: 'not_an_error' };
+    }
+    
+    const info = getErrorInfo(error);
+    const retryAfter = getRetryAfterMs(info);
+    const retryAfterMs = retryAfter === null ? null : Math.min(retryAfter, this.config.MAX_RETRY_AFTER);
+    const result = (type, rule) => ({ type, retryAfterMs, rule });
+    
+    for (const [index, rule] of this.config.ERROR_RULES.entries()) {
+      if (matchesErrorRule(rule, error, info)) {
+        return {
+          type: rule.type,
+          retryAfterMs: rule.retryAfterMs !== undefined ? rule.retryAfterMs : retryAfterMs,
+          rule: rule.name || `ERROR_RULES[${index}]`
+        };
+      }
+    }
+    
+    // Tentativa que passou de REQUEST_TIMEOUT
+    if (error instanceof RequestTimeoutError) {
+      return result('RETRYABLE', 'request_timeout');
+    }
+    
+    // reason específico do Google vale mais que o status (403 pode ser rate limit ou permissão)
+    for (const reason of info.reasons) {
+      if (ERROR_REASONS[reason]) {
+        return result(ERROR_REASONS[reason], `reason:${reason}`);
       }
-      await this.sleep(500);
     }
+    
+    if (info.status) {
+      if (info.status === 429) return result('RATE_LIMIT', 'status:429');
+      if (info.status === 408 || info.status >= 500) return result('RETRYABLE', `status:${info.status}`);
+      if (info.status >= 400) return result('NON_RETRYABLE', `status:${info.status}`);
+    }
+    
+    if (info.networkCode && RETRYABLE_NETWORK_CODES.includes(info.networkCode)) {
+      return result('RETRYABLE', `code:${info.networkCode}`);
+    }
+    
+    // Sem dados estruturados: só status gRPC como palavra inteira (ex.: '503 UNAVAILABLE')
+    const message = error.message || String(error);
+    const grpcStatus = message.match(/\b(RESOURCE_EXHAUSTED|RATE_LIMIT_EXCEEDED|UNAVAILABLE|DEADLINE_EXCEEDED)\b/);
+    if (grpcStatus) {
+      return result(ERROR_REASONS[grpcStatus[1]], `message:${grpcStatus[1]}`);
+    }
+    
+    return result('NON_RETRYABLE', 'default');
+  }
+  
+  /**
+   * Intervalo mínimo entre requests: MIN_INTERVAL_MS ou o da taxa adaptativa, o maior
+   */
+  getRequestInterval() {
+    return this.adaptiveRate
+      ? Math.max(this.config.MIN_INTERVAL_MS, this.adaptiveRate.getIntervalMs())
+      : this.config.MIN_INTERVAL_MS;
   }
   
   /**
-   * Consome um token
+   * Tempo até o request ter token em todos os seus buckets
    */
-  consumeToken() {
-    this.state.tokens = Math.max(0, this.state.tokens - 1);
-    this.state.metrics.totalRequests++;
+  getTokenDelay(request) {
+    return Math.max(0, ...this.getBuckets(request).map(bucket => bucket.msUntilAvailable()));
   }
   
   /**
-   * Circuit Breaker - verifica se pode processar
+   * Tira da fila o primeiro request (em ordem) que conseguiu token em todos os seus buckets
+   * Cada assinatura de buckets é consultada uma vez; retorna { request } ou { delay } até o próximo token
    */
-  canProcess() {
-    return this.state.circuitState !== 'OPEN';
+  async takeReadyRequest() {
+    const checked = new Set();
+    const now = Date.now();
+    const isReady = request => !(request.notBefore > Date.now());
+    let delay = Infinity;
+    
+    for (const candidate of [...this.state.requestQueue]) {
+      // Retry esperando o backoff não segura os que vêm atrás
+      if (candidate.notBefore > now) {
+        delay = Math.min(delay, candidate.notBefore - now);
+        continue;
+      }
+      
+      const signature = this.getBucketSignature(candidate);
+      if (checked.has(signature)) continue;
+      checked.add(signature);
+      
+      const wait = await this.tryConsumeTokens(candidate);
+      if (wait > 0) {
+        delay = Math.min(delay, wait);
+        continue;
+      }
+      
+      // A fila pode ter mudado durante a consulta: token vai para o primeiro com a mesma assinatura
+      const index = this.state.requestQueue.findIndex(request =>
+        isReady(request) && this.getBucketSignature(request) === signature
+      );
+      if (index !== -1) {
+        const [request] = this.state.requestQueue.splice(index, 1);
+        request.tokenSource = candidate.tokenSource;
+        return { request };
+      }
+      
+      // Todos com essa assinatura saíram da fila (cancelados ou expirados) durante a consulta
+      await this.releaseTokens(candidate);
+    }
+    
+    delay = Math.max(1, delay === Infinity ? 1 : delay);
+    if (this.config.LOG_LEVEL === 'debug') {
+      console.log(`⏳ Aguardando token disponível (${delay}ms)...`);
+    }
+    return { request: null, delay };
   }
   
   /**
-   * Circuit Breaker - abre circuito
+   * Consome um token de cada bucket do request se todos tiverem
+   * Retorna 0 se consumiu, senão o tempo (ms) até haver token
+   * Com stateStore a conta é feita no estado compartilhado; se ele falhar, vale a quota local
+   * request.tokenSource guarda onde o token saiu (releaseTokens devolve no mesmo lugar)
    */
-  openCircuitBreaker() {
-    if (this.state.circuitState === 'OPEN') return;
+  async tryConsumeTokens(request) {
+    let delay = null;
+    
+    if (this.stateStore) {
+      try {
+        delay = await this.tryConsumeSharedTokens(request);
+        request.tokenSource = 'shared';
+      } catch (error) {
+        this.state.metrics.stateStoreErrors++;
+        console.warn(`⚠️ State store indisponível (${error.message}) - usando quota local`);
+      }
+    }
     
-    console.log('🔴 Circuit Breaker ABERTO - pausando processamento');
+    if (delay === null) {
+      delay = this.getTokenDelay(request);
+      if (delay === 0) {
+        this.getBuckets(request).forEach(bucket => bucket.consume());
+      }
+      request.tokenSource = 'local';
+    }
     
-    this.state.circuitState = 'OPEN';
-    this.state.metrics.circuitBreakerTrips++;
+    return delay;
+  }
+  
+  /**
+   * Devolve o token reservado para um request que não vai ser executado agora
+   * (saiu da fila durante a reserva ou o circuito abriu antes da execução)
+   */
+  async releaseTokens(request) {
+    if (request.tokenSource === 'shared') {
+      const entries = this.getBucketEntries(request);
+      
+      try {
+        await this.stateStore.update(this.config.SHARED_STATE_KEY, state => {
+          state.buckets = state.buckets || {};
+          
+          for (const { key, bucket } of entries) {
+            if (!state.buckets[key]) continue;
+            bucket.setState(state.buckets[key]);
+            bucket.refund();
+            state.buckets[key] = bucket.getState();
+          }
+        });
+      } catch (error) {
+        this.state.metrics.stateStoreErrors++;
+        console.warn(`⚠️ Token não devolvido ao estado compartilhado: ${error.message}`);
+      }
+    } else if (request.tokenSource === 'local') {
+      this.getBuckets(request).forEach(bucket => bucket.refund());
+    }
     
-    // Agenda reset do circuito
-    setTimeout(() => {
-      this.halfOpenCircuitBreaker();
-    }, this.config.CIRCUIT_RESET_TIMEOUT);
+    request.tokenSource = null;
   }
   
   /**
-   * Circuit Breaker - meio aberto (teste)
+   * Reserva de token numa transação do stateStore
+   * Buckets locais recebem o estado compartilhado; o circuito compartilhado mais recente é adotado
    */
-  halfOpenCircuitBreaker() {
-    console.log('🟡 Circuit Breaker MEIO-ABERTO - testando...');
-    this.state.circuitState = 'HALF_OPEN';
-    this.state.consecutiveErrors = 0;
+  async tryConsumeSharedTokens(request) {
+    const entries = this.getBucketEntries(request);
+    
+    const { delay, circuit } = await this.stateStore.update(this.config.SHARED_STATE_KEY, state => {
+      const now = Date.now();
+      state.buckets = state.buckets || {};
+      
+      for (const { key, window, bucket } of entries) {
+        bucket.setState(state.buckets[key] || { tokens: window.limit, lastRefill: now });
+      }
+      
+      const interval = (state.lastRequestAt || 0) + this.getRequestInterval() - now;
+      const wait = Math.max(0, interval, ...entries.map(({ bucket }) => bucket.msUntilAvailable()));
+      
+      if (wait === 0) {
+        for (const { key, bucket } of entries) {
+          bucket.consume();
+          state.buckets[key] = bucket.getState();
+        }
+        state.lastRequestAt = now;
+      }
+      
+      return { delay: wait, circuit: state.circuit || null };
+    });
+    
+    this.circuitBreaker.importState(circuit);
+    return delay;
   }
   
   /**
-   * Circuit Breaker - fecha circuito
+   * Publica o estado local do circuito se for mais recente que o compartilhado
    */
-  closeCircuitBreaker() {
-    if (this.state.circuitState === 'CLOSED') return;
+  publishCircuitState() {
+    const local = this.circuitBreaker.exportState();
     
-    console.log('🟢 Circuit Breaker FECHADO - operação normal');
-    this.state.circuitState = 'CLOSED';
-    this.state.consecutiveErrors = 0;
+    this.circuitSync = this.circuitSync
+      .then(() => this.stateStore.update(this.config.SHARED_STATE_KEY, state => {
+        if (!state.circuit || state.circuit.changedAt < local.changedAt) {
+          state.circuit = local;
+        }
+      }))
+      .catch(error => {
+        this.state.metrics.stateStoreErrors++;
+        console.warn(`⚠️ Estado do circuito não compartilhado: ${error.message}`);
+      });
   }
   
   /**
-   * Gerencia circuit breaker
+   * Tokens disponíveis por janela (por usuário nas janelas de escopo 'user')
    */
-  async handleCircuitBreaker() {
-    if (this.state.circuitState === 'OPEN') {
-      // Aguarda reset timeout
-      await this.sleep(1000);
+  getQuotaStatus() {
+    const status = [];
+    
+    for (const window of this.quotaWindows) {
+      const prefix = `${window.name}:`;
       
-    } else if (this.state.circuitState === 'HALF_OPEN') {
-      // Testa com um request
-      if (this.state.consecutiveErrors >= 1) {
-        this.openCircuitBreaker();
-      } else {
-        this.closeCircuitBreaker();
+      for (const [key, bucket] of this.buckets) {
+        if (key !== window.name && !key.startsWith(prefix)) continue;
+        
+        status.push({
+          name: window.name,
+          kind: window.kind,
+          scope: window.scope,
+          user: window.scope === 'user' ? key.slice(prefix.length) : null,
+          limit: window.limit,
+          intervalMs: window.intervalMs,
+          available: Math.floor(bucket.available())
+        });
       }
     }
     
-    // Verifica threshold de erros
-    if (this.state.consecutiveErrors >= this.config.ERROR_THRESHOLD) {
-      this.openCircuitBreaker();
+    return status;
+  }
+  
+  /**
+   * Reage às mudanças de estado do circuit breaker
+   */
+  onCircuitStateChange({ to, reason, shared }) {
+    if (this.stateStore && !shared) {
+      this.publishCircuitState();
+    }
+    
+    if (to === 'OPEN') {
+      console.log(`🔴 Circuit Breaker ABERTO (${reason}) - pausando processamento`);
+      // Abertura vinda do estado compartilhado já foi contada pela instância que abriu
+      if (!shared) this.state.metrics.circuitBreakerTrips++;
+    } else if (to === 'HALF_OPEN') {
+      console.log('🟡 Circuit Breaker MEIO-ABERTO - testando...');
+      this.scheduleProcessing();
+    } else {
+      console.log(`🟢 Circuit Breaker FECHADO (${reason}) - operação normal`);
+      this.scheduleProcessing();
     }
   }
   
   /**
    * Atualiza métricas
    */
-  updateMetrics({ success, latency, error }) {
+  updateMetrics({ success, latency, error, request, queueWait }) {
     const metrics = this.state.metrics;
     
+    if (request) {
+      const kind = request.metadata.kind || this.config.DEFAULT_KIND;
+      this.histograms.queueWaitMs[kind].observe(queueWait);
+      this.histograms.executionMs[kind].observe(latency);
+      this.histograms.attempts[kind].observe(request.attempts);
+    }
+    
     if (success) {
       metrics.successfulRequests++;
     } else {
@@ -398,13 +1633,77 @@ class GoogleSheetsRateLimiter {
   getMetrics() {
     return {
       ...this.state.metrics,
+      status: this.state.status,
       currentQueueSize: this.state.requestQueue.length,
-      availableTokens: Math.floor(this.state.tokens),
-      circuitBreakerState: this.state.circuitState,
+      activeRequests: this.state.activeRequests.size,
+      availableTokens: this.getAvailableTokens(),
+      quotas: this.getQuotaStatus(),
+      circuitBreakerState: this.circuitBreaker.getState(),
+      circuitBreaker: this.circuitBreaker.getSnapshot(),
+      effectiveRatePerMinute: this.getEffectiveRate(),
+      adaptiveRate: this.adaptiveRate ? this.adaptiveRate.getSnapshot() : null,
+      sharedState: this.stateStore
+        ? { key: this.config.SHARED_STATE_KEY, store: this.stateStore.constructor.name }
+        : null,
+      histograms: this.getHistogramSnapshots(),
+      readCache: this.readCache ? this.readCache.getMetrics() : null,
       requestsPerMinuteNow: this.state.metrics.requestsPerMinute.length
     };
   }
   
+  /**
+   * Um histograma por kind para espera na fila, execução (com retries) e tentativas
+   */
+  createHistograms() {
+    const bounds = { ...DEFAULT_HISTOGRAM_BUCKETS, ...this.config.HISTOGRAM_BUCKETS };
+    const histograms = {};
+    
+    for (const name of Object.keys(DEFAULT_HISTOGRAM_BUCKETS)) {
+      histograms[name] = Object.fromEntries(REQUEST_KINDS.map(kind => [kind, new Histogram(bounds[name])]));
+    }
+    return histograms;
+  }
+  
+  getHistogramSnapshots() {
+    const snapshots = {};
+    
+    for (const [name, byKind] of Object.entries(this.histograms)) {
+      snapshots[name] = {};
+      for (const [kind, histogram] of Object.entries(byKind)) {
+        snapshots[name][kind] = histogram.snapshot();
+      }
+    }
+    return snapshots;
+  }
+  
+  /**
+   * Taxa máxima atual (requests/minuto): o menor entre a quota por minuto e o intervalo entre requests
+   */
+  getEffectiveRate() {
+    const rates = this.quotaWindows
+      .filter(window => window.scope === 'project')
+      .map(window => (window.limit * 60000) / window.intervalMs);
+    
+    const interval = this.getRequestInterval();
+    if (interval > 0) rates.push(60000 / interval);
+    
+    return Math.round(Math.min(...rates) * 100) / 100;
+  }
+  
+  /**
+   * Requests que ainda cabem agora no bucket mais restritivo (de qualquer kind)
+   */
+  getAvailableTokens() {
+    const available = this.quotaWindows
+      .filter(window => window.scope === 'project')
+      .map(window => {
+        const bucket = this.buckets.get(window.name);
+        return bucket ? Math.floor(bucket.available()) : window.limit;
+      });
+    
+    return available.length > 0 ? Math.min(...available) : null;
+  }
+  
   /**
    * Reset de métricas
    */
@@ -414,10 +1713,20 @@ class GoogleSheetsRateLimiter {
       successfulRequests: 0,
       failedRequests: 0,
       retriedRequests: 0,
+      retryAttempts: 0,
+      expiredRequests: 0,
+      abortedRequests: 0,
       circuitBreakerTrips: 0,
+      stateStoreErrors: 0,
+      deadLettered: 0,
+      errorsByType: Object.fromEntries(ERROR_TYPES.map(type => [type, 0])),
       averageLatency: 0,
       requestsPerMinute: []
     };
+    
+    for (const byKind of Object.values(this.histograms)) {
+      Object.values(byKind).forEach(histogram => histogram.reset());
+    }
   }
   
   /**
@@ -465,32 +1774,81 @@ class GoogleSheetsRateLimiter {
 // Singleton para uso global
 let rateLimiterInstance = null;
 
-function getRateLimiter(config) {
-  if (!rateLimiterInstance) {
+/**
+ * Limiter único do processo
+ * Com instância viva, config diferente da dela é erro (seria ignorada em silêncio):
+ * quem precisa de outra configuração cria o próprio limiter com new GoogleSheetsRateLimiter
+ */
+function getRateLimiter(config = {}) {
+  if (!rateLimiterInstance || rateLimiterInstance.state.status === 'disposed') {
     rateLimiterInstance = new GoogleSheetsRateLimiter(config);
+    return rateLimiterInstance;
+  }
+  
+  const conflicts = findConfigConflicts(rateLimiterInstance, config);
+  if (conflicts.length > 0) {
+    throw new Error(
+      `getRateLimiter: limiter já criado com outra configuração (${conflicts.join(', ')}) - ` +
+      'use new GoogleSheetsRateLimiter(config) ou dispose() na instância atual'
+    );
   }
+  
   return rateLimiterInstance;
 }
 
+/**
+ * Chaves do config que a instância não tem com o mesmo valor (componentes injetados por identidade)
+ */
+function findConfigConflicts(limiter, config) {
+  const { circuitBreaker, stateStore, deadLetterQueue, readCache, ...settings } = config;
+  const injected = { circuitBreaker, stateStore, deadLetterQueue, readCache };
+  
+  const conflicts = Object.entries(injected)
+    .filter(([key, value]) => value !== undefined && limiter[key] !== value)
+    .map(([key]) => key);
+  
+  for (const [key, value] of Object.entries(settings)) {
+    if (JSON.stringify(limiter.config[key]) !== JSON.stringify(value)) conflicts.push(key);
+  }
+  
+  return conflicts;
+}
+
 // Export para n8n
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { GoogleSheetsRateLimiter, getRateLimiter };
+  module.exports = {
+    GoogleSheetsRateLimiter,
+    TokenBucket,
+    AdaptiveRate,
+    RateLimiterDisposedError,
+    CircuitOpenError,
+    RequestTimeoutError,
+    RequestAbortedError,
+    getRateLimiter,
+    REQUEST_KINDS,
+    PRIORITIES,
+    ERROR_TYPES,
+    ERROR_REASONS,
+    RETRYABLE_NETWORK_CODES
+  };
 }
 
-// Exemplo de uso no n8n
-const rateLimiter = getRateLimiter({
-  MAX_REQUESTS_PER_MINUTE: 180,
-  BATCH_SIZE: 25,
-  LOG_LEVEL: 'info'
-});
-
-// Wrap das operações do Google Sheets
-const executeGoogleSheetsOperation = async (operation) => {
-  return await rateLimiter.executeRequest(async () => {
-    // Sua operação do Google Sheets aqui
-    return operation();
+// Exemplo de uso no n8n - só no Code node ($input); require('./rate-limiter') não cria o singleton
+if (typeof $input !== 'undefined') {
+  const rateLimiter = getRateLimiter({
+    MAX_REQUESTS_PER_MINUTE: 180,
+    BATCH_SIZE: 25,
+    LOG_LEVEL: 'info'
   });
-};
-
-// Retorna instância para uso
-return rateLimiter;
\ No newline at end of file
+  
+  // Wrap das operações do Google Sheets (kind: 'read' ou 'write')
+  const executeGoogleSheetsOperation = async (operation, kind = 'write') => {
+    return await rateLimiter.executeRequest(async () => {
+      // Sua operação do Google Sheets aqui
+      return operation();
+    }, { kind });
+  };
+  
+  // Retorna instância para uso
+  return rateLimiter;
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * BIPRE Read Cache V3.0
+ * Cache read-through das leituras da planilha na frente do rate limiter
+ * Chave por planilha/operação/range, TTL, leituras iguais simultâneas viram uma só
+ * e escritas na mesma aba invalidam o que foi lido dela
+ */
+
+/**
+ * Tag de invalidação de uma aba (planilha + aba)
+ */
+function tabTag(scope, tabName) {
+  return `${scope}|${tabName}`;
+}
+
+class ReadCache {
+  constructor(config = {}) {
+    this.config = {
+      TTL_MS: 30000,                  // Validade de uma leitura
+      MAX_ENTRIES: 500,               // Acima disso sai a entrada usada há mais tempo
+      CLONE_VALUES: true,             // Cópia a cada leitura: quem recebe pode alterar as linhas à vontade
+      ...config
+    };
+    
+    // Chave → { value, expiresAt, tags }; ordem do Map = uso mais recente por último
+    this.entries = new Map();
+    
+    // Chave → { promise, tags, generations } das leituras em andamento
+    this.inflight = new Map();
+    
+    // Tag → contador de invalidações (leitura iniciada antes de uma escrita não é guardada)
+    this.generations = new Map();
+    
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      deduplicated: 0,
+      invalidations: 0,
+      evictions: 0
+    };
+  }
+  
+  /**
+   * Valor em cache ou resultado de load(), que só roda se não houver leitura igual em andamento
+   * options: { tags, ttlMs }
+   */
+  async wrap(key, { tags = [], ttlMs = this.config.TTL_MS } = {}, load) {
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      this.metrics.hits++;
+      return this.copy(cached.value);
+    }
+    if (cached) this.entries.delete(key);
+    
+    const pending = this.inflight.get(key);
+    if (pending) {
+      this.metrics.deduplicated++;
+      return this.copy(await pending.promise);
+    }
+    
+    this.metrics.misses++;
+    
+    const generations = tags.map(tag => this.generations.get(tag) || 0);
+    const promise = Promise.resolve().then(load);
+    const flight = { promise, tags, generations };
+    this.inflight.set(key, flight);
+    
+    try {
+      const value = await promise;
+      
+      // Escrita na aba durante a leitura: o valor pode estar desatualizado
+      const stale = tags.some((tag, i) => (this.generations.get(tag) || 0) !== generations[i]);
+      if (!stale && ttlMs > 0) {
+        this.store(key, { value: this.copy(value), expiresAt: Date.now() + ttlMs, tags });
+      }
+      
+      return this.copy(value);
+    } finally {
+      if (this.inflight.get(key) === flight) this.inflight.delete(key);
+    }
+  }
+  
+  store(key, entry) {
+    this.entries.set(key, entry);
+    
+    while (this.entries.size > this.config.MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.metrics.evictions++;
+    }
+  }
+  
+  copy(value) {
+    return this.config.CLONE_VALUES && value !== null && typeof value === 'object'
+      ? structuredClone(value)
+      : value;
+  }
+  
+  /**
+   * Descarta as leituras com alguma das tags (inclusive as em andamento)
+   */
+  invalidate(tags) {
+    const list = Array.isArray(tags) ? tags : [tags];
+    if (list.length === 0) return;
+    
+    for (const tag of list) {
+      this.generations.set(tag, (this.generations.get(tag) || 0) + 1);
+    }
+    
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.some(tag => list.includes(tag))) this.entries.delete(key);
+    }
+    
+    // Leitura nova depois da escrita não pega carona numa leitura anterior a ela
+    for (const [key, flight] of this.inflight) {
+      if (flight.tags.some(tag => list.includes(tag))) this.inflight.delete(key);
+    }
+    
+    this.metrics.invalidations++;
+  }
+  
+  clear() {
+    for (const tag of this.generations.keys()) {
+      this.generations.set(tag, this.generations.get(tag) + 1);
+    }
+    this.entries.clear();
+    this.inflight.clear();
+  }
+  
+  getMetrics() {
+    const lookups = this.metrics.hits + this.metrics.misses + this.metrics.deduplicated;
+    
+    return {
+      ...this.metrics,
+      size: this.entries.size,
+      inflight: this.inflight.size,
+      hitRate: lookups > 0 ? (this.metrics.hits + this.metrics.deduplicated) / lookups : null
+    };
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ReadCache,
+    tabTag
+  };
+}
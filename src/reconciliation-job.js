@@ -0,0 +1,349 @@
+/**
+ * BIPRE Reconciliation Job V3.0
+ * Detecta leads duplicados entre abas e remove/mescla as cópias antigas
+ * Executa em modo dry-run (apenas plano) ou apply
+ */
+
+const { normalizeCpf } = require('./storage-adapters');
+const { TabRegistry } = require('./tab-registry');
+const { parseSheetDate } = require('./date-parser');
+const { normalizePhone } = require('./lead-schema');
+
+// Momento (ms) de uma data da planilha; vazia ou ilegível conta como a mais antiga
+const toTime = (value) => {
+  const parsed = parseSheetDate(value);
+  return parsed.valid ? parsed.date.getTime() : 0;
+};
+
+class LeadReconciliationJob {
+  constructor(config = {}) {
+    const { storage, ...settings } = config;
+    
+    this.config = {
+      TABS: new TabRegistry().names(), // Ordem = avanço no funil (último é o mais avançado)
+      AUTHORITY_ORDER: null,          // Abas da mais para a menos autoritativa; padrão: TABS do fim para o início
+      MATCH_BY_PHONE: false,
+      PHONE_FIELDS: ['Telefone', 'TELEFONE', 'Celular', 'WHATSAPP'],
+      MERGE_FIELDS: true,             // Preenche campos vazios da cópia mantida
+      ...settings
+    };
+    
+    if (!storage) {
+      throw new Error('LeadReconciliationJob requer config.storage');
+    }
+    
+    this.storage = storage;
+  }
+  
+  /**
+   * Executa reconciliação
+   * mode: 'dry-run' (padrão) ou 'apply'
+   */
+  async run({ mode = 'dry-run' } = {}) {
+    if (!['dry-run', 'apply'].includes(mode)) {
+      throw new Error(`Modo de reconciliação inválido: ${mode}`);
+    }
+    
+    console.log(`🔍 Reconciliação iniciada (${mode})`);
+    
+    const rows = await this.loadAllRows();
+    const groups = this.groupDuplicates(rows);
+    const plan = this.buildPlan(groups);
+    
+    console.log(`📋 ${groups.length} leads duplicados, ${plan.deletes.length} cópias a remover, ${plan.updates.length} mesclagens`);
+    
+    const result = {
+      mode,
+      summary: {
+        rows_scanned: rows.length,
+        duplicated_leads: groups.length,
+        planned_deletes: plan.deletes.length,
+        planned_merges: plan.updates.length,
+        applied_deletes: 0,
+        applied_merges: 0,
+        conflicts: 0
+      },
+      plan,
+      conflicts: [],
+      timestamp: new Date().toISOString()
+    };
+    
+    if (mode === 'apply') {
+      await this.applyPlan(plan, result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Carrega todas as abas configuradas
+   */
+  async loadAllRows() {
+    const rows = [];
+    
+    for (const tab of this.config.TABS) {
+      const tabRows = await this.storage.readTab(tab);
+      tabRows.forEach((row, rowIndex) => rows.push({ tab, rowIndex, row }));
+    }
+    
+    return rows;
+  }
+  
+  /**
+   * Agrupa linhas do mesmo lead (CPF e, opcionalmente, telefone)
+   * Union-find: primeiro por CPF; depois o telefone só junta grupos com o mesmo CPF ou sem CPF
+   * Telefone presente em grupos de CPFs diferentes (ex.: número da família) não junta nenhum deles
+   */
+  groupDuplicates(rows) {
+    const parent = rows.map((_, index) => index);
+    const cpfOf = rows.map(entry => normalizeCpf(entry.row.CPF) || null);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA === rootB) return;
+      parent[rootA] = rootB;
+      cpfOf[rootB] = cpfOf[rootB] || cpfOf[rootA];
+    };
+    
+    const indexesByKey = new Map();
+    rows.forEach((entry, index) => {
+      for (const key of this.getMatchKeys(entry.row)) {
+        if (!indexesByKey.has(key)) indexesByKey.set(key, []);
+        indexesByKey.get(key).push(index);
+      }
+    });
+    
+    const keys = [...indexesByKey.keys()];
+    for (const key of keys.filter(key => key.startsWith('cpf:'))) {
+      const [first, ...others] = indexesByKey.get(key);
+      others.forEach(index => union(first, index));
+    }
+    
+    for (const key of keys.filter(key => key.startsWith('phone:'))) {
+      const roots = [...new Set(indexesByKey.get(key).map(find))];
+      const cpfs = new Set(roots.map(root => cpfOf[root]).filter(Boolean));
+      
+      if (cpfs.size > 1) {
+        console.warn(`⚠️ Telefone ${key.slice('phone:'.length)} em ${cpfs.size} CPFs diferentes - não agrupado`);
+        continue;
+      }
+      roots.slice(1).forEach(root => union(roots[0], root));
+    }
+    
+    const groups = new Map();
+    rows.forEach((entry, index) => {
+      if (this.getMatchKeys(entry.row).length === 0) return;
+      
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(entry);
+    });
+    
+    return [...groups.values()].filter(group => group.length > 1);
+  }
+  
+  getMatchKeys(row) {
+    const keys = [];
+    
+    const cpf = normalizeCpf(row.CPF);
+    if (cpf) keys.push(`cpf:${cpf}`);
+    
+    if (this.config.MATCH_BY_PHONE) {
+      for (const field of this.config.PHONE_FIELDS) {
+        // Compara em E.164; telefones sem DDD ou inválidos não agrupam
+        const phone = normalizePhone(row[field]);
+        if (phone) keys.push(`phone:${phone}`);
+      }
+    }
+    
+    return keys;
+  }
+  
+  /**
+   * Abas da mais para a menos autoritativa
+   * Padrão: etapa mais avançada primeiro (último de TABS; com as abas padrão, Lead Morto vence)
+   */
+  getAuthorityOrder() {
+    return this.config.AUTHORITY_ORDER || [...this.config.TABS].reverse();
+  }
+  
+  /**
+   * Escolhe a cópia autoritativa: primeira aba em AUTHORITY_ORDER, depois ULTIMA_MOVIMENTACAO mais recente
+   * Aba fora de AUTHORITY_ORDER perde para todas as listadas
+   */
+  pickAuthoritative(group) {
+    const order = this.getAuthorityOrder();
+    const authorityRank = (entry) => {
+      const index = order.indexOf(entry.tab);
+      return index === -1 ? order.length : index;
+    };
+    const movedAt = (entry) => toTime(entry.row.ULTIMA_MOVIMENTACAO || entry.row.MOVIDO_EM);
+    
+    return [...group].sort((a, b) =>
+      authorityRank(a) - authorityRank(b) ||
+      movedAt(b) - movedAt(a) ||
+      a.rowIndex - b.rowIndex
+    )[0];
+  }
+  
+  /**
+   * Monta plano de remoção/mesclagem
+   */
+  buildPlan(groups) {
+    const deletes = [];
+    const updates = [];
+    
+    for (const group of groups) {
+      const keep = this.pickAuthoritative(group);
+      const stale = group.filter(entry => entry !== keep);
+      
+      for (const entry of stale) {
+        deletes.push({
+          action: 'DELETE',
+          tab: entry.tab,
+          rowIndex: entry.rowIndex,
+          cpf: entry.row.CPF,
+          lead: entry.row.Nome,
+          kept_in: keep.tab,
+          reason: `cópia antiga - lead mantido em ${keep.tab}`,
+          fingerprint: JSON.stringify(entry.row)
+        });
+      }
+      
+      if (this.config.MERGE_FIELDS) {
+        const merged = this.mergeRows(keep.row, stale.map(entry => entry.row));
+        const filled = Object.keys(merged).filter(key => merged[key] !== keep.row[key]);
+        
+        if (filled.length > 0) {
+          updates.push({
+            action: 'MERGE',
+            tab: keep.tab,
+            rowIndex: keep.rowIndex,
+            cpf: keep.row.CPF,
+            lead: keep.row.Nome,
+            fields: filled,
+            row: merged,
+            fingerprint: JSON.stringify(keep.row)
+          });
+        }
+      }
+    }
+    
+    // Remoção de baixo para cima mantém índices válidos
+    deletes.sort((a, b) => a.tab.localeCompare(b.tab) || b.rowIndex - a.rowIndex);
+    
+    return { deletes, updates };
+  }
+  
+  /**
+   * Preenche campos vazios da linha mantida com valores das cópias antigas
+   * Cópias mais recentes têm precedência
+   */
+  mergeRows(keepRow, staleRows) {
+    const merged = { ...keepRow };
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+    
+    const ordered = [...staleRows].sort((a, b) =>
+      toTime(b.ULTIMA_MOVIMENTACAO) - toTime(a.ULTIMA_MOVIMENTACAO)
+    );
+    
+    for (const row of ordered) {
+      for (const [key, value] of Object.entries(row)) {
+        if (isEmpty(merged[key]) && !isEmpty(value)) {
+          merged[key] = value;
+        }
+      }
+    }
+    
+    return merged;
+  }
+  
+  /**
+   * Aplica plano - confere cada linha antes de alterar (leitura fora do read cache: os índices são os de agora)
+   */
+  async applyPlan(plan, result) {
+    const tabsCache = new Map();
+    const readTab = async (tab) => {
+      if (!tabsCache.has(tab)) tabsCache.set(tab, await this.storage.readTab(tab, { fresh: true }));
+      return tabsCache.get(tab);
+    };
+    
+    const conflict = (item, reason) => {
+      console.warn(`⚠️ Conflito em ${item.tab} linha ${item.rowIndex}: ${reason}`);
+      const { fingerprint, row, ...details } = item;
+      result.conflicts.push({ ...details, conflict: reason });
+      result.summary.conflicts++;
+    };
+    
+    // Mesclagens antes das remoções (índices ainda intactos)
+    for (const update of plan.updates) {
+      const current = (await readTab(update.tab))[update.rowIndex];
+      if (!current || JSON.stringify(current) !== update.fingerprint) {
+        conflict(update, 'linha alterada desde o plano');
+        continue;
+      }
+      
+      await this.storage.updateRow(update.tab, update.rowIndex, update.row);
+      result.summary.applied_merges++;
+    }
+    
+    tabsCache.clear();
+    
+    for (const item of plan.deletes) {
+      const current = (await readTab(item.tab))[item.rowIndex];
+      if (!current || JSON.stringify(current) !== item.fingerprint) {
+        conflict(item, 'linha alterada desde o plano');
+        continue;
+      }
+      
+      await this.storage.deleteRow(item.tab, item.rowIndex);
+      result.summary.applied_deletes++;
+    }
+    
+    console.log(`✅ Reconciliação aplicada: ${result.summary.applied_deletes} remoções, ${result.summary.applied_merges} mesclagens`);
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeadReconciliationJob;
+}
+
+// Uso via linha de comando:
+//   node src/reconciliation-job.js [--apply] [--match-phone] [--authority "Lead Morto,4ª Mensagem,..."] [--data-dir ./data --format csv]
+// Sem --data-dir usa Google Sheets (BIPRE_SPREADSHEET_ID, GOOGLE_SHEETS_ACCESS_TOKEN)
+if (typeof require !== 'undefined' && require.main === module) {
+  const { FileStorageAdapter, GoogleSheetsStorageAdapter } = require('./storage-adapters');
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+  };
+  
+  const storage = option('--data-dir')
+    ? new FileStorageAdapter({ directory: option('--data-dir'), format: option('--format') || 'json' })
+    : new GoogleSheetsStorageAdapter({
+      spreadsheetId: process.env.BIPRE_SPREADSHEET_ID,
+      accessToken: process.env.GOOGLE_SHEETS_ACCESS_TOKEN
+    });
+  
+  const job = new LeadReconciliationJob({
+    storage,
+    MATCH_BY_PHONE: args.includes('--match-phone'),
+    AUTHORITY_ORDER: option('--authority') ? option('--authority').split(',').map(tab => tab.trim()) : null
+  });
+  
+  job.run({ mode: args.includes('--apply') ? 'apply' : 'dry-run' })
+    .then(result => console.log(JSON.stringify(result, null, 2)))
+    .catch(error => {
+      console.error('❌ Erro na reconciliação:', error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,765 @@
+/**
+ * BIPRE Storage Adapters V3.0
+ * Camada de armazenamento plugável usada pelo Movement Engine
+ * Interface comum: readTab, appendRow, updateRow, findRowByCpf, deleteRow
+ * Em lote: appendRows, deleteRows, deleteRowByCpf (implementação padrão linha a linha)
+ * Último argumento opcional { signal, fresh }: adapters com I/O cancelável (Google Sheets) repassam signal para o fetch;
+ * fresh: true ignora o read cache (leitura que decide uma escrita, ex.: índice da linha a remover)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tabTag } = require('./read-cache');
+
+/**
+ * Normaliza CPF para comparação (apenas dígitos)
+ */
+function normalizeCpf(cpf) {
+  return String(cpf || '').replace(/\D/g, '');
+}
+
+/**
+ * Serializa valor para célula (planilha/CSV)
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Interface base - todos os adapters devem implementar estes métodos
+ *
+ * rowIndex é sempre o índice (0-based) da linha de dados, sem contar o cabeçalho
+ */
+class StorageAdapter {
+  /**
+   * Lê todas as linhas de uma aba como objetos
+   */
+  async readTab(tabName) {
+    throw new Error(`${this.constructor.name}.readTab não implementado`);
+  }
+  
+  /**
+   * Adiciona uma linha ao final da aba
+   */
+  async appendRow(tabName, row) {
+    throw new Error(`${this.constructor.name}.appendRow não implementado`);
+  }
+  
+  /**
+   * Substitui o conteúdo da linha de dados informada
+   */
+  async updateRow(tabName, rowIndex, row) {
+    throw new Error(`${this.constructor.name}.updateRow não implementado`);
+  }
+  
+  /**
+   * Remove a linha de dados informada
+   */
+  async deleteRow(tabName, rowIndex) {
+    throw new Error(`${this.constructor.name}.deleteRow não implementado`);
+  }
+  
+  /**
+   * Localiza linha pelo CPF
+   * Retorna { rowIndex, row } ou null
+   */
+  async findRowByCpf(tabName, cpf, options = {}) {
+    const target = normalizeCpf(cpf);
+    if (!target) return null;
+    
+    const rows = await this.readTab(tabName, options);
+    const rowIndex = rows.findIndex(row => normalizeCpf(row.CPF) === target);
+    
+    return rowIndex === -1 ? null : { rowIndex, row: rows[rowIndex] };
+  }
+  
+  /**
+   * Adiciona várias linhas ao final da aba, na ordem
+   * Retorna um resultado de appendRow por linha
+   */
+  async appendRows(tabName, rows, options = {}) {
+    const results = [];
+    for (const row of rows) {
+      results.push(await this.appendRow(tabName, row, options));
+    }
+    return results;
+  }
+  
+  /**
+   * Remove várias linhas de dados (índices da leitura atual)
+   * De baixo para cima, para os índices restantes continuarem válidos
+   * Retorna quantas linhas foram removidas
+   */
+  async deleteRows(tabName, rowIndexes, options = {}) {
+    const sorted = [...new Set(rowIndexes)]
+      .filter(rowIndex => rowIndex >= 0)
+      .sort((a, b) => b - a);
+    
+    let deleted = 0;
+    for (const rowIndex of sorted) {
+      if (await this.deleteRow(tabName, rowIndex, options)) deleted++;
+    }
+    return deleted;
+  }
+  
+  /**
+   * Remove a linha do CPF
+   * Localizar + remover é serializado por aba: rowIndex só vale até a próxima remoção
+   */
+  async deleteRowByCpf(tabName, cpf) {
+    if (!this.tabLocks) this.tabLocks = new Map();
+    
+    const previous = this.tabLocks.get(tabName) || Promise.resolve();
+    const run = previous.then(async () => {
+      const found = await this.findRowByCpf(tabName, cpf, { fresh: true });
+      if (!found) return false;
+      
+      return this.deleteRow(tabName, found.rowIndex);
+    });
+    
+    this.tabLocks.set(tabName, run.catch(() => {}));
+    return run;
+  }
+}
+
+/**
+ * Adapter em memória - testes locais e simulações
+ */
+class InMemoryStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super();
+    
+    this.tabs = new Map();
+    
+    for (const [tabName, rows] of Object.entries(config.tabs || {})) {
+      this.tabs.set(tabName, rows.map(row => ({ ...row })));
+    }
+  }
+  
+  getRows(tabName) {
+    if (!this.tabs.has(tabName)) {
+      this.tabs.set(tabName, []);
+    }
+    return this.tabs.get(tabName);
+  }
+  
+  async readTab(tabName) {
+    return this.getRows(tabName).map(row => ({ ...row }));
+  }
+  
+  async appendRow(tabName, row) {
+    const rows = this.getRows(tabName);
+    rows.push({ ...row });
+    
+    return { tab: tabName, rowIndex: rows.length - 1 };
+  }
+  
+  async updateRow(tabName, rowIndex, row) {
+    const rows = this.getRows(tabName);
+    if (rowIndex < 0 || rowIndex >= rows.length) return false;
+    
+    rows[rowIndex] = { ...row };
+    return true;
+  }
+  
+  async deleteRow(tabName, rowIndex) {
+    const rows = this.getRows(tabName);
+    if (rowIndex < 0 || rowIndex >= rows.length) return false;
+    
+    rows.splice(rowIndex, 1);
+    return true;
+  }
+}
+
+/**
+ * Adapter de arquivos - um arquivo por aba (JSON ou CSV)
+ */
+class FileStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      directory: './data',
+      format: 'json', // json, csv
+      ...config
+    };
+    
+    if (!['json', 'csv'].includes(this.config.format)) {
+      throw new Error(`Formato de arquivo não suportado: ${this.config.format}`);
+    }
+    
+    // Escritas em andamento por aba (ver withFileLock)
+    this.fileLocks = new Map();
+  }
+  
+  /**
+   * Serializa leitura + escrita do arquivo da aba
+   * Escritas concorrentes (CONCURRENCY do engine) leriam a mesma versão e uma apagaria a outra
+   */
+  withFileLock(tabName, fn) {
+    const previous = this.fileLocks.get(tabName) || Promise.resolve();
+    const run = previous.then(fn);
+    
+    this.fileLocks.set(tabName, run.catch(() => {}));
+    return run;
+  }
+  
+  /**
+   * Caminho do arquivo de uma aba
+   */
+  getFilePath(tabName) {
+    const safeName = tabName.replace(/[\\/:*?"<>|]/g, '_');
+    return path.join(this.config.directory, `${safeName}.${this.config.format}`);
+  }
+  
+  async readTab(tabName) {
+    let content;
+    
+    try {
+      content = await fs.promises.readFile(this.getFilePath(tabName), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    if (!content.trim()) return [];
+    
+    return this.config.format === 'json'
+      ? JSON.parse(content)
+      : this.parseCsv(content);
+  }
+  
+  async writeTab(tabName, rows) {
+    const filePath = this.getFilePath(tabName);
+    const content = this.config.format === 'json'
+      ? JSON.stringify(rows, null, 2)
+      : this.serializeCsv(rows);
+    
+    // Escrita atômica: arquivo temporário + rename
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Math.random().toString(36).substr(2, 9)}.tmp`;
+    await fs.promises.writeFile(tmpPath, content, 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+  }
+  
+  async appendRow(tabName, row) {
+    return this.withFileLock(tabName, async () => {
+      const rows = await this.readTab(tabName);
+      rows.push(this.config.format === 'csv' ? this.toCsvRow(row) : { ...row });
+      await this.writeTab(tabName, rows);
+      
+      return { tab: tabName, rowIndex: rows.length - 1 };
+    });
+  }
+  
+  async updateRow(tabName, rowIndex, row) {
+    return this.withFileLock(tabName, async () => {
+      const rows = await this.readTab(tabName);
+      if (rowIndex < 0 || rowIndex >= rows.length) return false;
+      
+      rows[rowIndex] = this.config.format === 'csv' ? this.toCsvRow(row) : { ...row };
+      await this.writeTab(tabName, rows);
+      return true;
+    });
+  }
+  
+  async deleteRow(tabName, rowIndex) {
+    return this.withFileLock(tabName, async () => {
+      const rows = await this.readTab(tabName);
+      if (rowIndex < 0 || rowIndex >= rows.length) return false;
+      
+      rows.splice(rowIndex, 1);
+      await this.writeTab(tabName, rows);
+      return true;
+    });
+  }
+  
+  toCsvRow(row) {
+    const result = {};
+    for (const [key, value] of Object.entries(row)) {
+      result[key] = String(toCellValue(value));
+    }
+    return result;
+  }
+  
+  /**
+   * Parse CSV (RFC 4180) - primeira linha é o cabeçalho
+   */
+  parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+    
+    const [headers = [], ...dataRows] = records;
+    
+    return dataRows.map(values => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] !== undefined ? values[index] : '';
+      });
+      return row;
+    });
+  }
+  
+  /**
+   * Serializa linhas em CSV - cabeçalho é a união das colunas
+   */
+  serializeCsv(rows) {
+    const headers = [];
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!headers.includes(key)) headers.push(key);
+      }
+    }
+    
+    const escape = (value) => {
+      const text = String(toCellValue(value));
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [headers.map(escape).join(',')];
+    for (const row of rows) {
+      lines.push(headers.map(header => escape(row[header])).join(','));
+    }
+    
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Erro HTTP retornado pela API do Google Sheets
+ */
+class SheetsApiError extends Error {
+  constructor(message, { status, headers, body } = {}) {
+    super(message);
+    this.name = 'SheetsApiError';
+    this.status = status;
+    this.headers = headers || {};
+    this.body = body;
+  }
+}
+
+/**
+ * Adapter Google Sheets via REST (v4)
+ * - values.get / values.append para leitura e inserção
+ * - spreadsheets.batchUpdate (deleteDimension) para remoção de linhas
+ * - appendRows / deleteRows fazem uma única chamada por aba
+ *
+ * baseUrl pode apontar para um servidor fake local em testes
+ */
+class GoogleSheetsStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super();
+    
+    this.config = {
+      baseUrl: 'https://sheets.googleapis.com/v4',
+      spreadsheetId: null,
+      accessToken: null,
+      getAccessToken: null,       // async () => token (tem precedência)
+      valueInputOption: 'USER_ENTERED',
+      fetch: null,
+      ...config
+    };
+    
+    if (!this.config.spreadsheetId) {
+      throw new Error('GoogleSheetsStorageAdapter requer spreadsheetId');
+    }
+    
+    this.fetch = this.config.fetch || globalThis.fetch;
+    this.headersCache = new Map();
+    this.sheetIdCache = null;
+  }
+  
+  /**
+   * Executa chamada HTTP autenticada
+   * signal cancela o fetch (timeout de tentativa ou cancelamento no rate limiter)
+   */
+  async request(method, urlPath, body, { signal } = {}) {
+    const token = this.config.getAccessToken
+      ? await this.config.getAccessToken()
+      : this.config.accessToken;
+    
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    
+    const response = await this.fetch(`${this.config.baseUrl}${urlPath}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal
+    });
+    
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = text;
+    }
+    
+    if (!response.ok) {
+      const message = (data && data.error && data.error.message) || response.statusText;
+      throw new SheetsApiError(`Google Sheets API ${response.status}: ${message}`, {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: data
+      });
+    }
+    
+    return data;
+  }
+  
+  spreadsheetPath() {
+    return `/spreadsheets/${encodeURIComponent(this.config.spreadsheetId)}`;
+  }
+  
+  /**
+   * Range A1 com nome da aba escapado
+   */
+  tabRange(tabName, range = '') {
+    const quoted = `'${tabName.replace(/'/g, "''")}'`;
+    return encodeURIComponent(range ? `${quoted}!${range}` : quoted);
+  }
+  
+  /**
+   * Lê valores brutos da aba (cabeçalho + linhas)
+   */
+  async readValues(tabName, options = {}) {
+    const data = await this.request(
+      'GET',
+      `${this.spreadsheetPath()}/values/${this.tabRange(tabName)}`,
+      undefined,
+      options
+    );
+    const [headers = [], ...rows] = (data && data.values) || [];
+    
+    this.headersCache.set(tabName, headers);
+    return { headers, rows };
+  }
+  
+  async readTab(tabName, options = {}) {
+    const { headers, rows } = await this.readValues(tabName, options);
+    
+    return rows.map(values => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] !== undefined ? values[index] : '';
+      });
+      return row;
+    });
+  }
+  
+  /**
+   * Garante que o cabeçalho contém todas as colunas da linha
+   */
+  async ensureHeaders(tabName, row, options = {}) {
+    let headers = this.headersCache.get(tabName);
+    if (!headers) {
+      headers = (await this.readValues(tabName, options)).headers;
+    }
+    
+    const missing = Object.keys(row).filter(key => !headers.includes(key));
+    if (missing.length === 0) return headers;
+    
+    const updated = [...headers, ...missing];
+    await this.request(
+      'PUT',
+      `${this.spreadsheetPath()}/values/${this.tabRange(tabName, '1:1')}?valueInputOption=RAW`,
+      { values: [updated] },
+      options
+    );
+    
+    this.headersCache.set(tabName, updated);
+    return updated;
+  }
+  
+  /**
+   * Próxima chamada auxiliar (cabeçalho, sheetId) que a operação faria antes da principal, ou null
+   * O RateLimitedStorageAdapter passa cada uma pelo limiter: toda chamada HTTP consome quota
+   */
+  pendingLookup(operation, args) {
+    const [tabName] = args;
+    
+    const rowsByOperation = {
+      appendRow: () => [args[1]],
+      appendRows: () => args[1],
+      updateRow: () => (args[1] >= 0 ? [args[2]] : [])
+    };
+    
+    if (rowsByOperation[operation]) {
+      const rows = rowsByOperation[operation]();
+      if (rows.length === 0) return null;
+      
+      const headers = this.headersCache.get(tabName);
+      if (!headers) return { operation: 'readValues', args: [tabName], kind: 'read' };
+      
+      const row = Object.assign({}, ...rows);
+      if (Object.keys(row).some(key => !headers.includes(key))) {
+        return { operation: 'ensureHeaders', args: [tabName, row], kind: 'write' };
+      }
+      return null;
+    }
+    
+    if (operation === 'deleteRow' || operation === 'deleteRows') {
+      const indexes = operation === 'deleteRow' ? [args[1]] : args[1];
+      if (!indexes.some(rowIndex => rowIndex >= 0)) return null;
+      
+      if (!this.sheetIdCache || !this.sheetIdCache.has(tabName)) {
+        return { operation: 'getSheetId', args: [tabName], kind: 'read' };
+      }
+    }
+    
+    return null;
+  }
+  
+  async appendRow(tabName, row, options = {}) {
+    const [result] = await this.appendRows(tabName, [row], options);
+    return result;
+  }
+  
+  /**
+   * Várias linhas num único values.append (posição das linhas decidida pela API)
+   */
+  async appendRows(tabName, rows, options = {}) {
+    if (rows.length === 0) return [];
+    
+    const headers = await this.ensureHeaders(tabName, Object.assign({}, ...rows), options);
+    const values = rows.map(row => headers.map(header => toCellValue(row[header])));
+    
+    const data = await this.request(
+      'POST',
+      `${this.spreadsheetPath()}/values/${this.tabRange(tabName, 'A1')}:append` +
+        `?valueInputOption=${this.config.valueInputOption}&insertDataOption=INSERT_ROWS`,
+      { values },
+      options
+    );
+    
+    // updatedRange ex: 'Aba'!A12:K14 -> linha 12 da planilha = índice 10 de dados
+    const updatedRange = (data && data.updates && data.updates.updatedRange) || '';
+    const match = updatedRange.match(/!\D*(\d+)/);
+    const firstIndex = match ? Number(match[1]) - 2 : null;
+    
+    return rows.map((row, offset) => ({
+      tab: tabName,
+      rowIndex: firstIndex === null ? null : firstIndex + offset
+    }));
+  }
+  
+  async updateRow(tabName, rowIndex, row, options = {}) {
+    if (rowIndex < 0) return false;
+    
+    const headers = await this.ensureHeaders(tabName, row, options);
+    const values = headers.map(header => toCellValue(row[header]));
+    
+    // +2: cabeçalho e numeração 1-based da planilha
+    await this.request(
+      'PUT',
+      `${this.spreadsheetPath()}/values/${this.tabRange(tabName, `A${rowIndex + 2}`)}` +
+        `?valueInputOption=${this.config.valueInputOption}`,
+      { values: [values] },
+      options
+    );
+    
+    return true;
+  }
+  
+  /**
+   * Obtém sheetId numérico da aba (necessário para deleteDimension)
+   */
+  async getSheetId(tabName, options = {}) {
+    if (!this.sheetIdCache || !this.sheetIdCache.has(tabName)) {
+      const data = await this.request(
+        'GET',
+        `${this.spreadsheetPath()}?fields=sheets.properties`,
+        undefined,
+        options
+      );
+      
+      this.sheetIdCache = new Map(
+        ((data && data.sheets) || []).map(sheet => [sheet.properties.title, sheet.properties.sheetId])
+      );
+    }
+    
+    if (!this.sheetIdCache.has(tabName)) {
+      throw new Error(`Aba não encontrada na planilha: ${tabName}`);
+    }
+    
+    return this.sheetIdCache.get(tabName);
+  }
+  
+  async deleteRow(tabName, rowIndex, options = {}) {
+    return (await this.deleteRows(tabName, [rowIndex], options)) > 0;
+  }
+  
+  /**
+   * Várias remoções num único spreadsheets.batchUpdate
+   * Os requests são aplicados em sequência, por isso vão de baixo para cima
+   */
+  async deleteRows(tabName, rowIndexes, options = {}) {
+    const sorted = [...new Set(rowIndexes)]
+      .filter(rowIndex => rowIndex >= 0)
+      .sort((a, b) => b - a);
+    
+    if (sorted.length === 0) return 0;
+    
+    const sheetId = await this.getSheetId(tabName, options);
+    
+    // +1 para pular o cabeçalho
+    await this.request('POST', `${this.spreadsheetPath()}:batchUpdate`, {
+      requests: sorted.map(rowIndex => ({
+        deleteDimension: {
+          range: {
+            sheetId,
+            dimension: 'ROWS',
+            startIndex: rowIndex + 1,
+            endIndex: rowIndex + 2
+          }
+        }
+      }))
+    }, options);
+    
+    return sorted.length;
+  }
+}
+
+/**
+ * Encaminha as operações de outro adapter pelo GoogleSheetsRateLimiter (ver rate-limiter.js)
+ * config.metadata vai em todo request (ex.: { priority: 'high' } para movimentos disparados pelo usuário)
+ */
+class RateLimitedStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super();
+    
+    const { storage, limiter, metadata, cacheScope } = config;
+    if (!storage || !limiter) {
+      throw new Error('RateLimitedStorageAdapter requer config.storage e config.limiter');
+    }
+    
+    this.storage = storage;
+    this.limiter = limiter;
+    this.metadata = metadata || {};
+    
+    // Planilha das chaves do read cache do limiter (padrão: spreadsheetId ou diretório do storage)
+    const storageConfig = storage.config || {};
+    this.cacheScope = cacheScope || storageConfig.spreadsheetId || storageConfig.directory || 'default';
+  }
+  
+  /**
+   * kind separa as quotas de leitura e escrita da Sheets API
+   * payload ({ operation, args, replayable }) permite refazer o request a partir da dead-letter queue;
+   * operações por índice de linha não são replayable (o índice pode ter mudado até o replay)
+   * Leituras levam cacheKey (planilha + operação + argumentos) e toda operação leva a tag da aba,
+   * então escritas invalidam as leituras da mesma aba no read cache do limiter
+   * Antes de uma escrita, as chamadas auxiliares do storage (storage.pendingLookup) viram requests próprios
+   * O { signal } de cada tentativa vai como último argumento da operação (cancela o fetch no timeout);
+   * idempotent libera nova tentativa de escrita depois de um timeout (ver GoogleSheetsRateLimiter)
+   * fresh: leitura sem cacheKey, direto na planilha (quem vai escrever com base nela)
+   */
+  async limit(operation, args, { kind = 'write', replayable = false, idempotent, fresh = false } = {}) {
+    if (kind === 'write' && typeof this.storage.pendingLookup === 'function') {
+      let lookup;
+      while ((lookup = this.storage.pendingLookup(operation, args))) {
+        const { operation: lookupOperation, args: lookupArgs } = lookup;
+        
+        // Leituras e a regravação do cabeçalho inteiro podem ser repetidas
+        await this.limiter.executeRequest(({ signal }) => this.storage[lookupOperation](...lookupArgs, { signal }), {
+          ...this.metadata,
+          operation: lookupOperation,
+          tab: args[0],
+          kind: lookup.kind,
+          idempotent: true,
+          cacheTags: [tabTag(this.cacheScope, args[0])],
+          payload: { operation: lookupOperation, args: lookupArgs, replayable: false }
+        });
+      }
+    }
+    
+    return this.limiter.executeRequest(({ signal }) => this.storage[operation](...args, { signal }), {
+      ...this.metadata,
+      operation,
+      tab: args[0],
+      kind,
+      idempotent,
+      cacheKey: kind === 'read' && !fresh ? `${this.cacheScope}|${operation}|${JSON.stringify(args)}` : undefined,
+      cacheTags: [tabTag(this.cacheScope, args[0])],
+      payload: { operation, args, replayable }
+    });
+  }
+  
+  async readTab(tabName, { fresh = false } = {}) {
+    return this.limit('readTab', [tabName], { kind: 'read', fresh });
+  }
+  
+  async appendRow(tabName, row) {
+    return this.limit('appendRow', [tabName, row], { replayable: true });
+  }
+  
+  async updateRow(tabName, rowIndex, row) {
+    return this.limit('updateRow', [tabName, rowIndex, row], { idempotent: true });
+  }
+  
+  async deleteRow(tabName, rowIndex) {
+    return this.limit('deleteRow', [tabName, rowIndex]);
+  }
+  
+  async findRowByCpf(tabName, cpf, { fresh = false } = {}) {
+    return this.limit('findRowByCpf', [tabName, cpf], { kind: 'read', fresh });
+  }
+  
+  async appendRows(tabName, rows) {
+    return this.limit('appendRows', [tabName, rows], { replayable: true });
+  }
+  
+  async deleteRows(tabName, rowIndexes) {
+    return this.limit('deleteRows', [tabName, rowIndexes]);
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StorageAdapter,
+    InMemoryStorageAdapter,
+    FileStorageAdapter,
+    GoogleSheetsStorageAdapter,
+    RateLimitedStorageAdapter,
+    SheetsApiError,
+    normalizeCpf
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * BIPRE Tab Registry V3.0
+ * Fonte única das abas do funil: ID canônico, nome na planilha, aliases e ordem
+ * Usado pelo Classifier, Movement Engine, regras e máquina de estados
+ */
+
+const DEFAULT_TAB_DEFINITIONS = [
+  { id: 'MSG_1', name: '1ª Mensagem', kind: 'message', aliases: ['1ª Msg', 'Mensagem 1'] },
+  { id: 'MSG_2', name: '2ª Mensagem', kind: 'message', aliases: ['2ª Msg', 'Mensagem 2'] },
+  { id: 'MSG_3', name: '3ª Mensagem', kind: 'message', aliases: ['3ª Msg', 'Mensagem 3'] },
+  { id: 'MSG_4', name: '4ª Mensagem', kind: 'message', aliases: ['4ª Msg', 'Mensagem 4'] },
+  { id: 'MSG_5', name: '5ª Mensagem', kind: 'message', aliases: ['5ª Msg', 'Mensagem 5'] },
+  { id: 'LEAD_ATIVO', name: 'Lead Ativo', kind: 'active', aliases: ['Ativo'] },
+  { id: 'LEAD_MORTO', name: 'Lead Morto', kind: 'dead', aliases: ['Morto'], terminal: true }
+];
+
+/**
+ * Chave de comparação: sem acento, caixa ou pontuação ('1ª Msg' = '1a msg')
+ */
+function tabKey(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+class TabRegistry {
+  constructor(definitions = DEFAULT_TAB_DEFINITIONS) {
+    this.tabs = definitions.map((tab, order) => ({
+      aliases: [],
+      terminal: false,
+      ...tab,
+      order
+    }));
+    
+    this.byKey = new Map();
+    for (const tab of this.tabs) {
+      for (const name of [tab.id, tab.name, ...tab.aliases]) {
+        const key = tabKey(name);
+        const existing = this.byKey.get(key);
+        
+        if (existing && existing !== tab) {
+          throw new Error(`Registro de abas inválido: '${name}' usado por ${existing.id} e ${tab.id}`);
+        }
+        
+        this.byKey.set(key, tab);
+      }
+    }
+  }
+  
+  /**
+   * Definição da aba por ID, nome ou alias (ou null)
+   */
+  resolve(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return this.byKey.get(tabKey(value)) || null;
+  }
+  
+  /**
+   * Nome da aba na planilha (ou null se desconhecida)
+   */
+  toName(value) {
+    const tab = this.resolve(value);
+    return tab ? tab.name : null;
+  }
+  
+  /**
+   * ID canônico da aba (ou null se desconhecida)
+   */
+  toId(value) {
+    const tab = this.resolve(value);
+    return tab ? tab.id : null;
+  }
+  
+  /**
+   * Nomes na ordem do funil
+   */
+  names() {
+    return this.tabs.map(tab => tab.name);
+  }
+  
+  /**
+   * Etapas de mensagem, em ordem
+   */
+  messageStages() {
+    return this.tabs.filter(tab => tab.kind === 'message').map(tab => tab.name);
+  }
+  
+  terminalNames() {
+    return this.tabs.filter(tab => tab.terminal).map(tab => tab.name);
+  }
+  
+  /**
+   * Posição no funil (-1 se desconhecida)
+   */
+  indexOf(value) {
+    const tab = this.resolve(value);
+    return tab ? tab.order : -1;
+  }
+}
+
+const defaultTabRegistry = new TabRegistry();
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TabRegistry,
+    DEFAULT_TAB_DEFINITIONS,
+    defaultTabRegistry,
+    tabKey
+  };
+}
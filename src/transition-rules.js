@@ -0,0 +1,377 @@
+/**
+ * BIPRE Transition Rules V3.0
+ * Regras de transição declarativas (JSON/YAML) para o Movement Engine
+ * Carrega, valida (abas, alcançabilidade, ciclos) e compila as regras
+ */
+
+const fs = require('fs');
+const { DAY_COUNT_MODES } = require('./business-calendar');
+const { TabRegistry } = require('./tab-registry');
+const { parseYaml } = require('./yaml-parser');
+
+const ANY_TAB = 'ANY';
+
+// Vazio não é zero: campo sem valor (ex.: data ilegível) não satisfaz comparações numéricas
+const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+const OPERATORS = {
+  '==': (actual, expected) => actual == expected,
+  '!=': (actual, expected) => actual != expected,
+  '>': (actual, expected) => toNumber(actual) > toNumber(expected),
+  '>=': (actual, expected) => toNumber(actual) >= toNumber(expected),
+  '<': (actual, expected) => toNumber(actual) < toNumber(expected),
+  '<=': (actual, expected) => toNumber(actual) <= toNumber(expected),
+  contains: (actual, expected) => String(actual || '').toLowerCase().includes(String(expected).toLowerCase()),
+  not_contains: (actual, expected) => !String(actual || '').toLowerCase().includes(String(expected).toLowerCase()),
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  matches: (actual, expected) => new RegExp(expected, 'i').test(String(actual || '')),
+  exists: (actual) => actual !== undefined && actual !== null && actual !== '',
+  truthy: (actual) => Boolean(actual)
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Erro de validação - agrega todos os problemas encontrados
+ */
+class TransitionRulesError extends Error {
+  constructor(errors) {
+    super(`Regras de transição inválidas:\n- ${errors.join('\n- ')}`);
+    this.name = 'TransitionRulesError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Regras padrão - escada 1ª → 5ª Mensagem → Lead Morto
+ * Cada etapa avança após DAYS_THRESHOLD dias na etapa atual
+ * tabs: registro de abas do engine (ver tab-registry.js)
+ */
+function buildDefaultTransitionRules(config = {}, tabs = new TabRegistry()) {
+  const days = config.DAYS_THRESHOLD || 7;
+  const ladder = tabs.messageStages().concat(tabs.toName('LEAD_MORTO'));
+  
+  const stageRules = ladder.slice(0, -1).map((from, index) => ({
+    id: `etapa-${index + 1}`,
+    from,
+    to: ladder[index + 1],
+    when: `dias_na_etapa >= ${days}`,
+    priority: index + 1
+  }));
+  
+  return {
+    tabs: tabs.names(),
+    entryTabs: [ladder[0]],
+    rules: [
+      {
+        id: 'interesse',
+        from: ANY_TAB,
+        to: tabs.toName('LEAD_ATIVO'),
+        when: 'interacao_ativa',
+        priority: 0,
+        reason: 'Lead demonstrou interesse - cotação solicitada'
+      },
+      {
+        id: 'sem-interesse',
+        from: ANY_TAB,
+        to: tabs.toName('LEAD_MORTO'),
+        when: 'sem_interesse',
+        priority: 0,
+        reason: 'Lead marcou sem interesse'
+      },
+      ...stageRules
+    ]
+  };
+}
+
+/**
+ * Carrega documento de regras
+ * Aceita objeto, string JSON/YAML ou caminho de arquivo (.json, .yaml, .yml)
+ * String que não começa com { ou [ é lida como YAML (ver yaml-parser.js); JSON também é YAML válido
+ */
+function loadTransitionRules(source) {
+  if (source && typeof source === 'object') return source;
+  
+  if (typeof source !== 'string') {
+    throw new Error('Fonte de regras de transição inválida');
+  }
+  
+  const filePath = source.trim();
+  if (/\.json$/i.test(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (/\.ya?ml$/i.test(filePath)) return parseYaml(fs.readFileSync(filePath, 'utf8'));
+  
+  if (/^\s*[{[]/.test(source)) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      // Mapa/lista inline em YAML ({ tabs: [...] }) não é JSON
+    }
+  }
+  
+  return parseYaml(source);
+}
+
+/**
+ * Converte expressão textual em condição estruturada
+ * Ex: 'dias_sem_resposta >= 7', '"ÚLTIMA INTERAÇÃO" contains respondeu', 'sem_interesse'
+ */
+function parseConditionExpression(expression) {
+  const text = expression.trim();
+  const match = text.match(/^("[^"]+"|\S+)\s+(==|!=|>=|<=|>|<|contains|not_contains|in|matches|exists|truthy)(?:\s+(.+))?$/);
+  
+  if (!match) {
+    // Apenas um campo (booleano) - com espaços somente entre aspas
+    if (/\s/.test(text) && !/^"[^"]+"$/.test(text)) {
+      return { invalid: text };
+    }
+    return { fact: text.replace(/^"|"$/g, ''), op: 'truthy' };
+  }
+  
+  const [, fact, op, rawValue] = match;
+  let value = rawValue;
+  
+  if (rawValue !== undefined) {
+    try {
+      value = JSON.parse(rawValue);
+    } catch (error) {
+      value = rawValue.trim();
+    }
+  }
+  
+  return { fact: fact.replace(/^"|"$/g, ''), op, value };
+}
+
+/**
+ * Normaliza condição (string, objeto, all/any/not) para forma estruturada
+ */
+function normalizeCondition(condition) {
+  if (condition === undefined || condition === null || condition === true) {
+    return { always: true };
+  }
+  
+  if (typeof condition === 'string') {
+    return parseConditionExpression(condition);
+  }
+  
+  if (Array.isArray(condition)) {
+    return { all: condition.map(normalizeCondition) };
+  }
+  
+  if (condition.all) return { all: condition.all.map(normalizeCondition) };
+  if (condition.any) return { any: condition.any.map(normalizeCondition) };
+  if (condition.not) return { not: normalizeCondition(condition.not) };
+  
+  return {
+    fact: condition.fact,
+    op: condition.op || condition.operator || '==',
+    value: condition.value
+  };
+}
+
+/**
+ * Coleta problemas de uma condição normalizada
+ */
+function validateCondition(condition, ruleLabel, errors) {
+  if (condition.always) return;
+  
+  if (condition.all || condition.any) {
+    (condition.all || condition.any).forEach(child => validateCondition(child, ruleLabel, errors));
+    return;
+  }
+  
+  if (condition.not) {
+    validateCondition(condition.not, ruleLabel, errors);
+    return;
+  }
+  
+  if (condition.invalid) {
+    errors.push(`${ruleLabel}: expressão inválida '${condition.invalid}'`);
+    return;
+  }
+  
+  if (!condition.fact) {
+    errors.push(`${ruleLabel}: condição sem campo (fact)`);
+  }
+  
+  if (!hasOwn(OPERATORS, condition.op)) {
+    errors.push(`${ruleLabel}: operador desconhecido '${condition.op}'`);
+  }
+  
+  if (condition.op === 'matches') {
+    try {
+      new RegExp(condition.value);
+    } catch (error) {
+      errors.push(`${ruleLabel}: expressão regular inválida '${condition.value}'`);
+    }
+  }
+}
+
+/**
+ * Valida documento de regras contra o registro de abas
+ * "tabs" do documento restringe as abas usadas, mas todas precisam existir no registro
+ * Retorna lista de erros (vazia se válido)
+ */
+function validateTransitionRules(document, { tabs: registry = new TabRegistry() } = {}) {
+  const errors = [];
+  
+  if (!document || !Array.isArray(document.rules)) {
+    return ['documento deve conter a lista "rules"'];
+  }
+  
+  const tabs = document.tabs || registry.names();
+  const entryTabs = document.entryTabs || [tabs[0]];
+  const ids = new Set();
+  
+  for (const tab of tabs) {
+    if (registry.toName(tab) !== tab) errors.push(`aba fora do registro de abas: '${tab}'`);
+  }
+  
+  for (const tab of entryTabs) {
+    if (!tabs.includes(tab)) errors.push(`aba inicial desconhecida: '${tab}'`);
+  }
+  
+  document.rules.forEach((rule, index) => {
+    const label = `regra '${rule.id || `#${index + 1}`}'`;
+    
+    if (rule.id) {
+      if (ids.has(rule.id)) errors.push(`${label}: id duplicado`);
+      ids.add(rule.id);
+    }
+    
+    if (rule.from !== ANY_TAB && !tabs.includes(rule.from)) {
+      errors.push(`${label}: aba de origem desconhecida '${rule.from}'`);
+    }
+    
+    if (!tabs.includes(rule.to)) {
+      errors.push(`${label}: aba de destino desconhecida '${rule.to}'`);
+    }
+    
+    if (rule.from === rule.to) {
+      errors.push(`${label}: origem e destino iguais`);
+    }
+    
+    if (rule.priority !== undefined && !Number.isFinite(Number(rule.priority))) {
+      errors.push(`${label}: prioridade inválida '${rule.priority}'`);
+    }
+    
+    if (rule.dayCount !== undefined && !DAY_COUNT_MODES.includes(rule.dayCount)) {
+      errors.push(`${label}: contagem de dias inválida '${rule.dayCount}' (use ${DAY_COUNT_MODES.join(' ou ')})`);
+    }
+    
+    validateCondition(normalizeCondition(rule.when !== undefined ? rule.when : rule.condition), label, errors);
+  });
+  
+  if (errors.length > 0) return errors;
+  
+  const enabledRules = document.rules.filter(rule => rule.enabled !== false);
+  
+  // Alcançabilidade a partir das abas iniciais
+  const reachable = new Set(entryTabs);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const rule of enabledRules) {
+      const fromReachable = rule.from === ANY_TAB ? reachable.size > 0 : reachable.has(rule.from);
+      if (fromReachable && !reachable.has(rule.to)) {
+        reachable.add(rule.to);
+        changed = true;
+      }
+    }
+  }
+  
+  for (const tab of tabs) {
+    if (!reachable.has(tab)) errors.push(`aba inalcançável: '${tab}'`);
+  }
+  
+  // Ciclos entre regras com origem explícita
+  const edges = new Map();
+  for (const rule of enabledRules) {
+    if (rule.from === ANY_TAB) continue;
+    if (!edges.has(rule.from)) edges.set(rule.from, []);
+    edges.get(rule.from).push(rule.to);
+  }
+  
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (tab, trail) => {
+    if (visiting.has(tab)) {
+      errors.push(`ciclo de transições: ${[...trail.slice(trail.indexOf(tab)), tab].join(' → ')}`);
+      return;
+    }
+    if (visited.has(tab)) return;
+    
+    visiting.add(tab);
+    for (const next of edges.get(tab) || []) {
+      visit(next, [...trail, tab]);
+    }
+    visiting.delete(tab);
+    visited.add(tab);
+  };
+  
+  for (const tab of edges.keys()) visit(tab, []);
+  
+  return errors;
+}
+
+/**
+ * Avalia condição estruturada contra um lead
+ * A regra é repassada aos fatos calculados (ex.: dayCount)
+ */
+function evaluateCondition(condition, lead, facts, rule) {
+  if (condition.always) return true;
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, lead, facts, rule));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, lead, facts, rule));
+  if (condition.not) return !evaluateCondition(condition.not, lead, facts, rule);
+  
+  // Só campos próprios: 'constructor', 'toString' etc. não são fatos nem colunas
+  const actual = hasOwn(facts, condition.fact)
+    ? facts[condition.fact](lead, rule)
+    : hasOwn(lead, condition.fact) ? lead[condition.fact] : undefined;
+  
+  return OPERATORS[condition.op](actual, condition.value);
+}
+
+/**
+ * Valida e compila regras em funções de condição, ordenadas por prioridade
+ * facts: mapa nome → (lead, rule) => valor (campos calculados pelo engine)
+ * tabs: registro de abas do engine
+ */
+function compileTransitionRules(document, { facts = {}, tabs } = {}) {
+  const errors = validateTransitionRules(document, { tabs });
+  if (errors.length > 0) {
+    throw new TransitionRulesError(errors);
+  }
+  
+  return document.rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule.enabled !== false)
+    .sort((a, b) => (Number(a.rule.priority) || 0) - (Number(b.rule.priority) || 0) || a.index - b.index)
+    .map(({ rule, index }) => {
+      const condition = normalizeCondition(rule.when !== undefined ? rule.when : rule.condition);
+      const compiled = {
+        id: rule.id || `regra-${index + 1}`,
+        from: rule.from,
+        to: rule.to,
+        priority: Number(rule.priority) || 0,
+        reason: rule.reason || null,
+        dayCount: rule.dayCount || null
+      };
+      
+      compiled.condition = (lead) => evaluateCondition(condition, lead, facts, compiled);
+      return compiled;
+    });
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANY_TAB,
+    OPERATORS,
+    TransitionRulesError,
+    buildDefaultTransitionRules,
+    loadTransitionRules,
+    validateTransitionRules,
+    compileTransitionRules,
+    parseConditionExpression
+  };
+}
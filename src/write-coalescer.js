@@ -0,0 +1,206 @@
+/**
+ * BIPRE Write Coalescer V3.0
+ * Agrupa escritas no Google Sheets entre o Movement Engine e o rate limiter
+ * Inserções por aba de destino e remoções por aba de origem viram uma chamada por aba a cada janela
+ */
+
+const { StorageAdapter, normalizeCpf } = require('./storage-adapters');
+
+/**
+ * Adapter que acumula appendRow / deleteRowByCpf e grava em lote
+ *
+ * - appendRow: linhas da mesma aba vão num único values.append (appendRows)
+ * - deleteRowByCpf: CPFs da mesma aba são localizados numa leitura no momento do flush
+ *   e removidos de baixo para cima num único spreadsheets.batchUpdate (deleteRows)
+ * - Cada chamada recebe o próprio resultado (ou o erro do lote em que entrou)
+ * - Leituras, updateRow e deleteRow por índice gravam antes o que está pendente na aba
+ */
+class WriteCoalescer extends StorageAdapter {
+  constructor(config = {}) {
+    super();
+    
+    const { storage, ...settings } = config;
+    if (!storage) {
+      throw new Error('WriteCoalescer requer config.storage');
+    }
+    
+    this.storage = storage;
+    this.config = {
+      WINDOW_MS: 50,                  // Espera por outras escritas antes de gravar
+      MAX_BATCH_SIZE: 100,            // Operações pendentes por aba que forçam a gravação
+      ...settings
+    };
+    
+    // Aba → { appends: [], deletes: [] }
+    this.pending = new Map();
+    this.timer = null;
+    
+    // Gravações da mesma aba não se sobrepõem
+    this.flushLocks = new Map();
+    
+    this.metrics = {
+      appendCalls: 0,
+      rowsAppended: 0,
+      deleteCalls: 0,
+      rowsDeleted: 0,
+      coalescedOperations: 0
+    };
+  }
+  
+  async appendRow(tabName, row) {
+    return this.enqueue(tabName, 'appends', { row });
+  }
+  
+  /**
+   * Remove a linha do CPF no próximo flush da aba
+   * Resolve com true se a linha foi encontrada e removida
+   */
+  async deleteRowByCpf(tabName, cpf) {
+    return this.enqueue(tabName, 'deletes', { cpf: normalizeCpf(cpf) });
+  }
+  
+  async readTab(tabName, options = {}) {
+    await this.flushTab(tabName);
+    return this.storage.readTab(tabName, options);
+  }
+  
+  async findRowByCpf(tabName, cpf, options = {}) {
+    await this.flushTab(tabName);
+    return this.storage.findRowByCpf(tabName, cpf, options);
+  }
+  
+  async updateRow(tabName, rowIndex, row) {
+    await this.flushTab(tabName);
+    return this.storage.updateRow(tabName, rowIndex, row);
+  }
+  
+  /**
+   * Remoção por índice não é agrupada: o índice pode não valer mais depois de outro lote
+   */
+  async deleteRow(tabName, rowIndex) {
+    await this.flushTab(tabName);
+    return this.storage.deleteRow(tabName, rowIndex);
+  }
+  
+  enqueue(tabName, kind, operation) {
+    return new Promise((resolve, reject) => {
+      if (!this.pending.has(tabName)) {
+        this.pending.set(tabName, { appends: [], deletes: [] });
+      }
+      
+      const pending = this.pending.get(tabName);
+      pending[kind].push({ ...operation, resolve, reject });
+      
+      if (pending.appends.length + pending.deletes.length >= this.config.MAX_BATCH_SIZE) {
+        this.flushTab(tabName).catch(() => {});
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.flush().catch(() => {});
+        }, this.config.WINDOW_MS);
+      }
+    });
+  }
+  
+  /**
+   * Grava tudo o que está pendente
+   */
+  async flush() {
+    await Promise.all([...this.pending.keys()].map(tabName => this.flushTab(tabName)));
+  }
+  
+  /**
+   * Grava o que está pendente na aba e aguarda gravações em andamento dela
+   */
+  flushTab(tabName) {
+    const pending = this.pending.get(tabName);
+    this.pending.delete(tabName);
+    
+    const previous = this.flushLocks.get(tabName) || Promise.resolve();
+    const run = previous.then(() => pending && this.writeBatch(tabName, pending));
+    
+    this.flushLocks.set(tabName, run.catch(() => {}));
+    return run;
+  }
+  
+  /**
+   * Inserções antes das remoções, na ordem em que chegaram
+   */
+  async writeBatch(tabName, { appends, deletes }) {
+    this.metrics.coalescedOperations += appends.length + deletes.length;
+    
+    if (appends.length > 0) {
+      await this.settle(appends, async () => {
+        const results = await this.storage.appendRows(tabName, appends.map(operation => operation.row));
+        
+        this.metrics.appendCalls++;
+        this.metrics.rowsAppended += appends.length;
+        return results;
+      });
+    }
+    
+    if (deletes.length > 0) {
+      await this.settle(deletes, () => this.deleteByCpf(tabName, deletes));
+    }
+  }
+  
+  /**
+   * Localiza os CPFs numa única leitura e remove as linhas numa única chamada
+   * CPF repetido no lote remove as ocorrências seguintes, como remoções sucessivas fariam
+   * A leitura ignora o read cache: os índices precisam ser os da planilha agora
+   */
+  async deleteByCpf(tabName, deletes) {
+    const rows = await this.storage.readTab(tabName, { fresh: true });
+    
+    const rowIndexesByCpf = new Map();
+    rows.forEach((row, rowIndex) => {
+      const cpf = normalizeCpf(row.CPF);
+      if (!cpf) return;
+      
+      if (!rowIndexesByCpf.has(cpf)) rowIndexesByCpf.set(cpf, []);
+      rowIndexesByCpf.get(cpf).push(rowIndex);
+    });
+    
+    const targets = deletes.map(({ cpf }) => {
+      const candidates = rowIndexesByCpf.get(cpf);
+      return candidates && candidates.length > 0 ? candidates.shift() : null;
+    });
+    
+    const rowIndexes = targets.filter(rowIndex => rowIndex !== null);
+    if (rowIndexes.length > 0) {
+      await this.storage.deleteRows(tabName, rowIndexes);
+      
+      this.metrics.deleteCalls++;
+      this.metrics.rowsDeleted += rowIndexes.length;
+    }
+    
+    return targets.map(rowIndex => rowIndex !== null);
+  }
+  
+  /**
+   * Entrega a cada operação o resultado da sua posição no lote
+   */
+  async settle(operations, fn) {
+    try {
+      const results = await fn();
+      operations.forEach((operation, index) => operation.resolve(results[index]));
+    } catch (error) {
+      operations.forEach(operation => operation.reject(error));
+    }
+  }
+  
+  getMetrics() {
+    return {
+      ...this.metrics,
+      pendingOperations: [...this.pending.values()]
+        .reduce((total, pending) => total + pending.appends.length + pending.deletes.length, 0)
+    };
+  }
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WriteCoalescer
+  };
+}
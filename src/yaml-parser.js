@@ -0,0 +1,348 @@
+/**
+ * BIPRE YAML Parser V3.0
+ * Leitura de documentos YAML de configuração (ex.: regras de transição) sem dependências
+ * Subconjunto suportado: mapas e listas em bloco, listas/mapas inline ([a, b], { a: 1 }),
+ * escalares simples ou entre aspas, números, true/false, null e comentários
+ * Âncoras, aliases, tags, blocos literais (| >) e múltiplos documentos geram erro em vez de leitura parcial
+ */
+
+class YamlParseError extends Error {
+  constructor(message, line = null) {
+    super(line === null ? `YAML inválido: ${message}` : `YAML inválido (linha ${line}): ${message}`);
+    this.name = 'YamlParseError';
+    this.line = line;
+  }
+}
+
+const NUMBER = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const UNSUPPORTED = /^[&*!|>%@`]/;
+
+/**
+ * Remove comentário do fim da linha (# no início ou após espaço, fora de aspas)
+ */
+function stripComment(text) {
+  let quote = null;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  
+  return text.trimEnd();
+}
+
+/**
+ * Linhas com conteúdo: { indent, content, line }
+ */
+function tokenize(text) {
+  const lines = [];
+  
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = stripComment(raw);
+    if (content.trim() === '') return;
+    
+    const indentation = content.match(/^[ \t]*/)[0];
+    if (indentation.includes('\t')) throw new YamlParseError('tabulação na indentação', line);
+    
+    const trimmed = content.trim();
+    if (trimmed === '---' || trimmed === '...') {
+      if (lines.length > 0) throw new YamlParseError('múltiplos documentos não são suportados', line);
+      return;
+    }
+    
+    lines.push({ indent: indentation.length, content: trimmed, line });
+  });
+  
+  return lines;
+}
+
+/**
+ * Escalar simples: número, booleano, null ou texto
+ */
+function resolvePlain(text) {
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^true$/i.test(text)) return true;
+  if (/^false$/i.test(text)) return false;
+  if (NUMBER.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Lê um valor a partir de text[start] (inline); retorna { value, end }
+ * flow: dentro de [ ] ou { } - vírgula, ] e } encerram o escalar simples
+ */
+function readValue(text, start, line, flow) {
+  let i = start;
+  while (text[i] === ' ') i++;
+  
+  const char = text[i];
+  
+  if (char === '"') {
+    let end = i + 1;
+    while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+    if (end >= text.length) throw new YamlParseError('aspas duplas sem fechamento', line);
+    
+    try {
+      return { value: JSON.parse(text.slice(i, end + 1)), end: end + 1 };
+    } catch (error) {
+      throw new YamlParseError(`escape inválido em ${text.slice(i, end + 1)}`, line);
+    }
+  }
+  
+  if (char === "'") {
+    let end = i + 1;
+    let value = '';
+    while (true) {
+      if (end >= text.length) throw new YamlParseError('aspas simples sem fechamento', line);
+      if (text[end] === "'") {
+        if (text[end + 1] !== "'") break;
+        value += "'";
+        end += 2;
+        continue;
+      }
+      value += text[end++];
+    }
+    return { value, end: end + 1 };
+  }
+  
+  if (char === '[') return readFlowSequence(text, i, line);
+  if (char === '{') return readFlowMapping(text, i, line);
+  
+  if (char !== undefined && UNSUPPORTED.test(char)) {
+    throw new YamlParseError(`recurso não suportado '${char}'`, line);
+  }
+  
+  let end = i;
+  if (flow) {
+    while (end < text.length && !',]}'.includes(text[end])) end++;
+  } else {
+    end = text.length;
+  }
+  
+  const raw = text.slice(i, end).trim();
+  if (!flow && /:\s/.test(raw)) {
+    throw new YamlParseError(`': ' dentro de valor simples - use aspas: ${raw}`, line);
+  }
+  
+  return { value: resolvePlain(raw), end };
+}
+
+function skipSpaces(text, index) {
+  while (text[index] === ' ') index++;
+  return index;
+}
+
+function readFlowSequence(text, start, line) {
+  const items = [];
+  let i = skipSpaces(text, start + 1);
+  
+  if (text[i] === ']') return { value: items, end: i + 1 };
+  
+  while (true) {
+    const item = readValue(text, i, line, true);
+    items.push(item.value);
+    i = skipSpaces(text, item.end);
+    
+    if (text[i] === ',') {
+      i = skipSpaces(text, i + 1);
+      continue;
+    }
+    if (text[i] === ']') return { value: items, end: i + 1 };
+    throw new YamlParseError('lista inline sem fechamento', line);
+  }
+}
+
+function readFlowMapping(text, start, line) {
+  const mapping = {};
+  let i = skipSpaces(text, start + 1);
+  
+  if (text[i] === '}') return { value: mapping, end: i + 1 };
+  
+  while (true) {
+    let key;
+    if (text[i] === '"' || text[i] === "'") {
+      const quoted = readValue(text, i, line, true);
+      key = String(quoted.value);
+      i = skipSpaces(text, quoted.end);
+    } else {
+      const colon = text.indexOf(':', i);
+      if (colon === -1) throw new YamlParseError('mapa inline sem ":"', line);
+      key = text.slice(i, colon).trim();
+      i = colon;
+    }
+    
+    if (text[i] !== ':') throw new YamlParseError(`chave '${key}' sem ":"`, line);
+    
+    const item = readValue(text, i + 1, line, true);
+    setKey(mapping, key, item.value, line);
+    i = skipSpaces(text, item.end);
+    
+    if (text[i] === ',') {
+      i = skipSpaces(text, i + 1);
+      continue;
+    }
+    if (text[i] === '}') return { value: mapping, end: i + 1 };
+    throw new YamlParseError('mapa inline sem fechamento', line);
+  }
+}
+
+function setKey(mapping, key, value, line) {
+  if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+    throw new YamlParseError(`chave duplicada '${key}'`, line);
+  }
+  mapping[key] = value;
+}
+
+/**
+ * Valor inline completo da linha (nada pode sobrar depois de aspas, [ ] ou { })
+ */
+function readInline(text, line) {
+  const { value, end } = readValue(text, 0, line, false);
+  if (text.slice(end).trim() !== '') {
+    throw new YamlParseError(`conteúdo inesperado após o valor: ${text.slice(end).trim()}`, line);
+  }
+  return value;
+}
+
+/**
+ * Separa "chave: valor" (chave simples ou entre aspas); null se a linha não é entrada de mapa
+ */
+function splitKey(content) {
+  const quoted = content.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+(.*))?$/);
+  if (quoted) {
+    const key = quoted[1].startsWith('"')
+      ? JSON.parse(quoted[1])
+      : quoted[1].slice(1, -1).replace(/''/g, "'");
+    return { key, rest: quoted[2] || '' };
+  }
+  
+  if (/^["'[{]/.test(content)) return null;
+  
+  const plain = content.match(/^([^#]+?)\s*:(?:\s+(.*))?$/);
+  if (!plain || /:\s/.test(plain[1])) return null;
+  return { key: plain[1], rest: plain[2] || '' };
+}
+
+const isSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+class YamlBlockParser {
+  constructor(lines) {
+    this.lines = lines;
+    this.pos = 0;
+  }
+  
+  parseDocument() {
+    if (this.lines.length === 0) return null;
+    
+    const value = this.parseBlock(this.lines[0].indent);
+    if (this.pos < this.lines.length) {
+      throw new YamlParseError('indentação inconsistente', this.lines[this.pos].line);
+    }
+    return value;
+  }
+  
+  parseBlock(indent) {
+    const { content, line } = this.lines[this.pos];
+    
+    if (isSequenceItem(content)) return this.parseSequence(indent);
+    if (splitKey(content)) return this.parseMapping(indent);
+    
+    this.pos++;
+    return readInline(content, line);
+  }
+  
+  /**
+   * Valor aninhado após "chave:" ou "-" sem valor na mesma linha
+   * Lista pode ficar na mesma coluna da chave do mapa (estilo comum em YAML)
+   */
+  parseNested(parentIndent, allowSameIndentSequence) {
+    const next = this.lines[this.pos];
+    if (!next) return null;
+    
+    if (next.indent > parentIndent) return this.parseBlock(next.indent);
+    if (allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next.content)) {
+      return this.parseSequence(parentIndent);
+    }
+    return null;
+  }
+  
+  parseSequence(indent) {
+    const items = [];
+    
+    while (this.pos < this.lines.length) {
+      const current = this.lines[this.pos];
+      if (current.indent < indent) break;
+      if (current.indent > indent) throw new YamlParseError('indentação inesperada', current.line);
+      if (!isSequenceItem(current.content)) break;
+      
+      const rest = current.content.slice(1).trimStart();
+      
+      if (rest === '') {
+        this.pos++;
+        items.push(this.parseNested(indent, false));
+        continue;
+      }
+      
+      // "- chave: valor" abre um mapa alinhado ao primeiro caractere após o "- "
+      if (isSequenceItem(rest) || splitKey(rest)) {
+        const itemIndent = indent + current.content.length - rest.length;
+        this.lines[this.pos] = { indent: itemIndent, content: rest, line: current.line };
+        items.push(this.parseBlock(itemIndent));
+        continue;
+      }
+      
+      this.pos++;
+      items.push(readInline(rest, current.line));
+    }
+    
+    return items;
+  }
+  
+  parseMapping(indent) {
+    const mapping = {};
+    
+    while (this.pos < this.lines.length) {
+      const current = this.lines[this.pos];
+      if (current.indent < indent) break;
+      if (current.indent > indent) throw new YamlParseError('indentação inesperada', current.line);
+      if (isSequenceItem(current.content)) break;
+      
+      const entry = splitKey(current.content);
+      if (!entry) throw new YamlParseError(`esperado "chave: valor": ${current.content}`, current.line);
+      
+      this.pos++;
+      const value = entry.rest === ''
+        ? this.parseNested(indent, true)
+        : readInline(entry.rest, current.line);
+      
+      setKey(mapping, entry.key, value, current.line);
+    }
+    
+    return mapping;
+  }
+}
+
+/**
+ * Converte texto YAML em objeto
+ * Lança YamlParseError (com a linha) para sintaxe inválida ou recurso não suportado
+ */
+function parseYaml(text) {
+  return new YamlBlockParser(tokenize(text)).parseDocument();
+}
+
+// Export para n8n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseYaml,
+    YamlParseError
+  };
+}
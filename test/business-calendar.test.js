@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BusinessCalendar } = require('../src/business-calendar');
+
+test('feriados móveis calculados a partir da Páscoa', () => {
+  const holidays = new BusinessCalendar().getHolidays(2024);
+  
+  assert.equal(holidays.get('2024-03-29'), 'Sexta-feira Santa');
+  assert.equal(holidays.get('2024-02-12'), 'Carnaval (segunda-feira)');
+  assert.equal(holidays.get('2024-02-13'), 'Carnaval (terça-feira)');
+  assert.equal(holidays.get('2024-05-30'), 'Corpus Christi');
+  assert.equal(holidays.get('2024-11-20'), 'Dia Nacional de Zumbi e da Consciência Negra');
+});
+
+test('pontos facultativos podem ser desligados e feriados da empresa somados', () => {
+  const calendar = new BusinessCalendar({
+    INCLUDE_CARNAVAL: false,
+    HOLIDAYS: ['12-24', { date: '2024-07-09', name: 'Aniversário da empresa' }]
+  });
+  
+  assert.equal(calendar.isHoliday('2024-02-12'), false);
+  assert.equal(calendar.isHoliday('2024-12-24'), true);
+  assert.equal(calendar.isHoliday('2025-12-24'), true);
+  assert.equal(calendar.getHolidays(2024).get('2024-07-09'), 'Aniversário da empresa');
+  assert.equal(calendar.isHoliday('2025-07-09'), false);
+});
+
+test('businessDaysBetween ignora fins de semana e feriados, intervalo (from, to]', () => {
+  const calendar = new BusinessCalendar();
+  
+  // Sexta 29/03 (Sexta-feira Santa) até segunda 01/04
+  assert.equal(calendar.businessDaysBetween('2024-03-28', '2024-04-01'), 1);
+  // Semana do Carnaval: só quarta a sexta
+  assert.equal(calendar.businessDaysBetween('2024-02-09', '2024-02-16'), 3);
+  assert.equal(calendar.businessDaysBetween('2024-02-16', '2024-02-09'), -3);
+  assert.equal(calendar.calendarDaysBetween('2024-02-09', '2024-02-16'), 7);
+});
+
+test('dia civil é lido no fuso configurado', () => {
+  const instant = new Date('2024-03-16T01:00:00Z');
+  
+  assert.equal(new BusinessCalendar().formatDayNumber(new BusinessCalendar().toDayNumber(instant)), '2024-03-15');
+  assert.equal(new BusinessCalendar({ TIMEZONE: 'UTC' }).isBusinessDay(instant), false);
+  assert.equal(new BusinessCalendar().isBusinessDay(instant), true);
+});
+
+test('daysSince conta datas futuras como 0 e rejeita modo desconhecido', () => {
+  const calendar = new BusinessCalendar();
+  const now = new Date('2024-04-01T15:00:00Z');
+  
+  assert.equal(calendar.daysSince('2024-03-28', 'calendar', now), 4);
+  assert.equal(calendar.daysSince('2024-03-28', 'business', now), 1);
+  assert.equal(calendar.daysSince('2024-04-10', 'calendar', now), 0);
+  assert.throws(() => calendar.daysSince('2024-03-28', 'uteis', now), /Modo de contagem de dias inválido/);
+});
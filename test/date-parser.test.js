@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSheetDate, zonedTimeToDate } = require('../src/date-parser');
+
+const now = new Date('2024-06-10T12:00:00Z');
+
+test('formatos brasileiros ficam ao meio-dia de São Paulo quando não têm hora', () => {
+  const result = parseSheetDate('15/03/2024', { now });
+  
+  assert.equal(result.valid, true);
+  assert.equal(result.format, 'DD/MM/YYYY');
+  assert.equal(result.hasTime, false);
+  assert.equal(result.date.toISOString(), '2024-03-15T15:00:00.000Z');
+});
+
+test('hora informada é horário de São Paulo', () => {
+  const result = parseSheetDate('5/3/2024 08:30', { now });
+  
+  assert.equal(result.format, 'DD/MM/YYYY HH:mm');
+  assert.equal(result.hasTime, true);
+  assert.equal(result.date.toISOString(), '2024-03-05T11:30:00.000Z');
+});
+
+test('DD/MM sem ano usa o ano anterior se a data ainda não chegou', () => {
+  assert.equal(parseSheetDate('01/06', { now }).date.getUTCFullYear(), 2024);
+  assert.equal(parseSheetDate('15/12', { now }).date.getUTCFullYear(), 2023);
+});
+
+test('DD/MM/YY usa o século anterior para anos muito à frente', () => {
+  assert.equal(parseSheetDate('15/03/25', { now }).date.getUTCFullYear(), 2025);
+  assert.equal(parseSheetDate('15/03/99', { now }).date.getUTCFullYear(), 1999);
+});
+
+test('ISO 8601 com e sem offset', () => {
+  assert.equal(parseSheetDate('2024-03-15', { now }).date.toISOString(), '2024-03-15T15:00:00.000Z');
+  assert.equal(parseSheetDate('2024-03-15T10:00:00', { now }).date.toISOString(), '2024-03-15T13:00:00.000Z');
+  assert.equal(parseSheetDate('2024-03-15T10:00:00Z', { now }).date.toISOString(), '2024-03-15T10:00:00.000Z');
+  assert.equal(parseSheetDate('2024-03-15T10:00:00+02:00', { now }).format, 'ISO 8601');
+});
+
+test('seriais do Google Sheets (número ou texto na faixa aceita)', () => {
+  const serial = parseSheetDate(45366, { now });
+  assert.equal(serial.format, 'SHEETS_SERIAL');
+  assert.equal(serial.date.toISOString(), '2024-03-15T15:00:00.000Z');
+  
+  const withTime = parseSheetDate(45366.375, { now });
+  assert.equal(withTime.hasTime, true);
+  assert.equal(withTime.date.toISOString(), '2024-03-15T12:00:00.000Z');
+  
+  assert.equal(parseSheetDate('45366', { now }).date.toISOString(), '2024-03-15T15:00:00.000Z');
+});
+
+test('entradas inválidas retornam o motivo em vez de uma data', () => {
+  assert.deepEqual(parseSheetDate('31/02/2024', { now }), { valid: false, input: '31/02/2024', reason: 'data inexistente' });
+  assert.equal(parseSheetDate('2024-13-01', { now }).reason, 'data inexistente');
+  assert.equal(parseSheetDate('25/12/2024 24:00', { now }).reason, 'data inexistente');
+  assert.equal(parseSheetDate('amanhã', { now }).reason, 'formato desconhecido');
+  assert.equal(parseSheetDate('12345678909', { now }).reason, 'formato desconhecido');
+  assert.equal(parseSheetDate('2024', { now }).reason, 'formato desconhecido');
+  assert.equal(parseSheetDate('', { now }).reason, 'vazio');
+  assert.equal(parseSheetDate(null, { now }).reason, 'vazio');
+  assert.equal(parseSheetDate(-1, { now }).reason, 'serial inválido');
+  assert.equal(parseSheetDate(new Date('x'), { now }).reason, 'data inválida');
+});
+
+test('timeZone muda o instante das datas civis', () => {
+  const tokyo = parseSheetDate('15/03/2024', { timeZone: 'Asia/Tokyo', now });
+  assert.equal(tokyo.date.toISOString(), '2024-03-15T03:00:00.000Z');
+});
+
+test('zonedTimeToDate respeita a mudança de horário de verão', () => {
+  const before = zonedTimeToDate({ year: 2024, month: 3, day: 9, hour: 12 }, 'America/New_York');
+  const after = zonedTimeToDate({ year: 2024, month: 3, day: 10, hour: 12 }, 'America/New_York');
+  
+  assert.equal(before.toISOString(), '2024-03-09T17:00:00.000Z');
+  assert.equal(after.toISOString(), '2024-03-10T16:00:00.000Z');
+});
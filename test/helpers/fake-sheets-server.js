@@ -0,0 +1,105 @@
+/**
+ * Servidor HTTP local que imita a API do Google Sheets v4 usada pelo GoogleSheetsStorageAdapter
+ * values.get, values.update (cabeçalho/linha), values.append, spreadsheets.get (sheetId) e batchUpdate deleteDimension
+ */
+
+const http = require('http');
+
+/**
+ * tabs: { 'Aba': [[cabeçalho...], [valores...], ...] }
+ * failures: respostas de erro consumidas em ordem antes das normais ({ status, headers, body })
+ */
+async function startFakeSheetsServer({ tabs = {}, spreadsheetId = 'planilha-teste' } = {}) {
+  const sheets = new Map(Object.entries(tabs).map(([title, values], index) => [
+    title,
+    { sheetId: 100 + index, values: values.map(row => [...row]) }
+  ]));
+  const requests = [];
+  const failures = [];
+  
+  const sheetFor = (title) => {
+    if (!sheets.has(title)) sheets.set(title, { sheetId: 100 + sheets.size, values: [] });
+    return sheets.get(title);
+  };
+  
+  // "'Aba ''X'''!A1:B2" → { title: "Aba 'X'", row: 1 }
+  const parseRange = (range) => {
+    const match = range.match(/^'((?:[^']|'')*)'(?:!\D*(\d+))?/);
+    return { title: match[1].replace(/''/g, "'"), row: match[2] ? Number(match[2]) : null };
+  };
+  
+  const handle = (method, url, body) => {
+    const prefix = `/v4/spreadsheets/${spreadsheetId}`;
+    if (!url.pathname.startsWith(prefix)) return [404, { error: { message: 'planilha não encontrada' } }];
+    
+    const rest = decodeURIComponent(url.pathname.slice(prefix.length));
+    
+    if (method === 'GET' && rest === '') {
+      return [200, {
+        sheets: [...sheets].map(([title, sheet]) => ({ properties: { title, sheetId: sheet.sheetId } }))
+      }];
+    }
+    
+    if (method === 'POST' && rest === ':batchUpdate') {
+      for (const { deleteDimension } of body.requests) {
+        const { sheetId, startIndex, endIndex } = deleteDimension.range;
+        const sheet = [...sheets.values()].find(candidate => candidate.sheetId === sheetId);
+        if (!sheet) return [400, { error: { message: `sheetId ${sheetId} inexistente` } }];
+        sheet.values.splice(startIndex, endIndex - startIndex);
+      }
+      return [200, { replies: body.requests.map(() => ({})) }];
+    }
+    
+    const values = rest.match(/^\/values\/(.+?)(:append)?$/);
+    if (!values) return [404, { error: { message: `rota desconhecida ${rest}` } }];
+    
+    const { title, row } = parseRange(values[1]);
+    const sheet = sheetFor(title);
+    
+    if (method === 'GET') return [200, { range: values[1], values: sheet.values }];
+    
+    if (method === 'PUT') {
+      sheet.values[row - 1] = body.values[0];
+      return [200, { updatedRange: values[1] }];
+    }
+    
+    if (method === 'POST' && values[2]) {
+      const first = sheet.values.length + 1;
+      sheet.values.push(...body.values);
+      return [200, { updates: { updatedRange: `'${title}'!A${first}:Z${sheet.values.length}` } }];
+    }
+    
+    return [405, { error: { message: `${method} não suportado` } }];
+  };
+  
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = text ? JSON.parse(text) : undefined;
+      requests.push({ method: req.method, path: decodeURIComponent(url.pathname), query: url.search, body, headers: req.headers });
+      
+      const failure = failures.shift();
+      const [status, payload, headers = {}] = failure
+        ? [failure.status, failure.body || { error: { message: failure.message || 'erro simulado' } }, failure.headers]
+        : handle(req.method, url, body);
+      
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v4`,
+    spreadsheetId,
+    requests,
+    values: (title) => sheetFor(title).values,
+    failNext: (failure) => failures.push(failure),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startFakeSheetsServer };
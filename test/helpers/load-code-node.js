@@ -0,0 +1,34 @@
+/**
+ * Carrega um arquivo de Code node do n8n (await e return no nível do módulo) como o n8n executa
+ * Retorna o module.exports do arquivo; o exemplo do final roda com $input vazio e $env de teste
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+async function loadCodeNode(relativePath, { items = [], env = {} } = {}) {
+  const filePath = path.resolve(__dirname, '../..', relativePath);
+  const source = fs.readFileSync(filePath, 'utf8');
+  const mod = { exports: {} };
+  
+  const localRequire = (request) => require(
+    request.startsWith('.') ? path.resolve(path.dirname(filePath), request) : request
+  );
+  
+  const run = new AsyncFunction('module', 'exports', 'require', '__dirname', '$input', '$env', '$execution', source);
+  await run(
+    mod,
+    mod.exports,
+    localRequire,
+    path.dirname(filePath),
+    { all: () => items.map(json => ({ json })) },
+    env,
+    { id: 'test' }
+  );
+  
+  return mod.exports;
+}
+
+module.exports = { loadCodeNode };
@@ -0,0 +1,18 @@
+/**
+ * Silencia os logs dos módulos (emoji no console) durante os testes do arquivo
+ * A saída do processo de teste é o canal do runner do node:test; logs soltos nela atrapalham o relatório
+ */
+
+const { before, after, mock } = require('node:test');
+
+function quietConsole() {
+  before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, () => {});
+    }
+  });
+  
+  after(() => mock.restoreAll());
+}
+
+module.exports = { quietConsole };
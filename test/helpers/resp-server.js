@@ -0,0 +1,103 @@
+/**
+ * Servidor local do protocolo Redis (RESP) com os comandos usados pelo RedisLimiterStateStore
+ * GET, SET (NX, PX), DEL, AUTH, SELECT, PING e QUIT; mute: true aceita conexões e nunca responde
+ */
+
+const net = require('net');
+const { parseReply } = require('../../src/limiter-state-store');
+
+async function startRespServer({ password = null, mute = false } = {}) {
+  const data = new Map();
+  const commands = [];
+  const sockets = new Set();
+  
+  const get = (key) => {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+  
+  const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  
+  const execute = (args, state) => {
+    const [name, ...params] = args.map(String);
+    const command = name.toUpperCase();
+    
+    if (password && !state.authenticated && command !== 'AUTH') return '-NOAUTH Authentication required.\r\n';
+    
+    switch (command) {
+      case 'AUTH':
+        state.authenticated = params[0] === password;
+        return state.authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      case 'SELECT':
+      case 'QUIT':
+        return '+OK\r\n';
+      case 'PING':
+        return '+PONG\r\n';
+      case 'GET':
+        return bulk(get(params[0]));
+      case 'DEL': {
+        const existed = get(params[0]) !== null;
+        data.delete(params[0]);
+        return `:${existed ? 1 : 0}\r\n`;
+      }
+      case 'SET': {
+        const [key, value, ...options] = params;
+        const upper = options.map(option => option.toUpperCase());
+        if (upper.includes('NX') && get(key) !== null) return '$-1\r\n';
+        
+        const px = upper.indexOf('PX');
+        data.set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+        return '+OK\r\n';
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+  
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    if (mute) return;
+    
+    const state = { authenticated: false };
+    let buffer = Buffer.alloc(0);
+    
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      
+      let request;
+      while (buffer.length > 0 && (request = parseReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        commands.push(request.value.map(String));
+        
+        const reply = execute(request.value, state);
+        if (String(request.value[0]).toUpperCase() === 'QUIT') {
+          socket.end(reply);
+        } else {
+          socket.write(reply);
+        }
+      }
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    port: server.address().port,
+    url: `redis://127.0.0.1:${server.address().port}`,
+    data,
+    commands,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startRespServer };
@@ -0,0 +1,197 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FileLimiterStateStore,
+  RedisLimiterStateStore,
+  StateStoreLockError
+} = require('../src/limiter-state-store');
+const { GoogleSheetsRateLimiter } = require('../src/rate-limiter');
+const { startRespServer } = require('./helpers/resp-server');
+const { quietConsole } = require('./helpers/quiet-console');
+
+quietConsole();
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'bipre-state-'));
+
+describe('RedisLimiterStateStore contra servidor RESP local', () => {
+  test('transações de stores diferentes na mesma chave não perdem incrementos', async () => {
+    const server = await startRespServer();
+    const stores = [0, 1].map(() => new RedisLimiterStateStore({ url: server.url }));
+    
+    try {
+      await Promise.all(Array.from({ length: 20 }, (_, index) => stores[index % 2].update('planilha', state => {
+        state.count = (state.count || 0) + 1;
+      })));
+      
+      assert.deepEqual(await stores[0].read('planilha'), { count: 20 });
+      assert.ok(server.data.has('bipre:limiter:planilha'));
+      assert.ok(!server.data.has('bipre:limiter:planilha:lock'));
+    } finally {
+      await Promise.all(stores.map(store => store.close()));
+      await server.close();
+    }
+  });
+  
+  test('autentica com a senha da URL e falha com senha errada', async () => {
+    const server = await startRespServer({ password: 's3nh@' });
+    const store = new RedisLimiterStateStore({ url: `redis://:${encodeURIComponent('s3nh@')}@127.0.0.1:${server.port}/2` });
+    const wrong = new RedisLimiterStateStore({ url: `redis://:errada@127.0.0.1:${server.port}` });
+    
+    try {
+      await store.update('planilha', state => { state.ok = true; });
+      assert.deepEqual(await store.read('planilha'), { ok: true });
+      assert.deepEqual(server.commands.slice(0, 2), [['AUTH', 's3nh@'], ['SELECT', '2']]);
+      
+      await assert.rejects(wrong.read('planilha'), /WRONGPASS/);
+    } finally {
+      await store.close();
+      await wrong.close();
+      await server.close();
+    }
+  });
+  
+  test('lock ocupado por outro processo gera StateStoreLockError', async () => {
+    const server = await startRespServer();
+    const store = new RedisLimiterStateStore({ url: server.url, lockTimeoutMs: 50 });
+    
+    try {
+      server.data.set('bipre:limiter:planilha:lock', { value: 'outro', expiresAt: null });
+      await assert.rejects(store.update('planilha', () => {}), StateStoreLockError);
+      assert.equal(server.data.get('bipre:limiter:planilha:lock').value, 'outro');
+    } finally {
+      await store.close();
+      await server.close();
+    }
+  });
+  
+  test('servidor que não responde estoura commandTimeoutMs', async () => {
+    const server = await startRespServer({ mute: true });
+    const store = new RedisLimiterStateStore({ url: server.url, commandTimeoutMs: 100 });
+    
+    try {
+      const startedAt = Date.now();
+      await assert.rejects(store.read('planilha'), /sem resposta em 100ms/);
+      assert.ok(Date.now() - startedAt < 1000);
+    } finally {
+      await store.close();
+      await server.close();
+    }
+  });
+  
+  test('limiters com o mesmo store dividem a quota', async () => {
+    const server = await startRespServer();
+    const config = {
+      MIN_INTERVAL_MS: 0,
+      LOG_LEVEL: 'error',
+      SHARED_STATE_KEY: 'planilha',
+      QUOTA_WINDOWS: [{ name: 'teste', limit: 2, intervalMs: 60000 }]
+    };
+    const first = new GoogleSheetsRateLimiter({ ...config, stateStore: new RedisLimiterStateStore({ url: server.url }) });
+    const second = new GoogleSheetsRateLimiter({ ...config, stateStore: new RedisLimiterStateStore({ url: server.url }) });
+    
+    try {
+      await first.executeRequest(async () => 'a');
+      await second.executeRequest(async () => 'b');
+      
+      let ran = false;
+      second.executeRequest(async () => { ran = true; }).catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 150));
+      
+      assert.equal(ran, false);
+      assert.equal(first.getMetrics().stateStoreErrors, 0);
+    } finally {
+      await first.dispose();
+      await second.dispose();
+      await first.stateStore.close();
+      await second.stateStore.close();
+      await server.close();
+    }
+  });
+  
+  test('store indisponível: o limiter segue com a quota local', async () => {
+    const server = await startRespServer({ mute: true });
+    const stateStore = new RedisLimiterStateStore({ url: server.url, commandTimeoutMs: 50 });
+    const limiter = new GoogleSheetsRateLimiter({ MIN_INTERVAL_MS: 0, LOG_LEVEL: 'error', stateStore });
+    
+    try {
+      assert.equal(await limiter.executeRequest(async () => 'ok'), 'ok');
+      assert.ok(limiter.getMetrics().stateStoreErrors >= 1);
+    } finally {
+      await limiter.dispose();
+      await stateStore.close();
+      await server.close();
+    }
+  });
+});
+
+describe('FileLimiterStateStore', () => {
+  test('transações concorrentes de stores diferentes não perdem incrementos', async () => {
+    const directory = tmpDir();
+    const stores = [0, 1].map(() => new FileLimiterStateStore({ directory }));
+    
+    try {
+      await Promise.all(Array.from({ length: 20 }, (_, index) => stores[index % 2].update('planilha', state => {
+        state.count = (state.count || 0) + 1;
+      })));
+      
+      assert.deepEqual(await stores[1].read('planilha'), { count: 20 });
+      assert.deepEqual(fs.readdirSync(directory), ['planilha.json']);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+  
+  test('lock abandonado é removido e a transação segue', async () => {
+    const directory = tmpDir();
+    const store = new FileLimiterStateStore({ directory, staleLockMs: 50 });
+    const lockPath = `${store.getFilePath('planilha')}.lock`;
+    
+    try {
+      fs.writeFileSync(lockPath, 'morto 1 2024-01-01T00:00:00.000Z');
+      const old = new Date(Date.now() - 1000);
+      fs.utimesSync(lockPath, old, old);
+      
+      await store.update('planilha', state => { state.ok = true; });
+      
+      assert.deepEqual(await store.read('planilha'), { ok: true });
+      assert.equal(fs.existsSync(lockPath), false);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+  
+  test('lock recente de outro dono não é removido', async () => {
+    const directory = tmpDir();
+    const store = new FileLimiterStateStore({ directory, lockTimeoutMs: 50 });
+    const lockPath = `${store.getFilePath('planilha')}.lock`;
+    
+    try {
+      fs.writeFileSync(lockPath, 'outro 1 2024-01-01T00:00:00.000Z');
+      
+      await assert.rejects(store.update('planilha', () => {}), StateStoreLockError);
+      assert.equal(fs.readFileSync(lockPath, 'utf8').split(' ')[0], 'outro');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+  
+  test('release não apaga lock que passou a ser de outra transação', async () => {
+    const directory = tmpDir();
+    const store = new FileLimiterStateStore({ directory });
+    const lockPath = `${store.getFilePath('planilha')}.lock`;
+    
+    try {
+      await store.update('planilha', () => {
+        fs.writeFileSync(lockPath, 'outro 1 2024-01-01T00:00:00.000Z');
+      });
+      
+      assert.equal(fs.readFileSync(lockPath, 'utf8').split(' ')[0], 'outro');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
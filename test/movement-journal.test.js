@@ -0,0 +1,161 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileMovementJournal, JOURNAL_STATES } = require('../src/movement-journal');
+const { InMemoryStorageAdapter } = require('../src/storage-adapters');
+const { loadCodeNode } = require('./helpers/load-code-node');
+const { quietConsole } = require('./helpers/quiet-console');
+
+quietConsole();
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'bipre-journal-'));
+
+const LEAD = { CPF: '111.444.777-35', Nome: 'Ana', DATA_ENVIO: '01/01/2024', Etapa: '1ª Mensagem' };
+const MOVEMENT = { from: '1ª Mensagem', to: '2ª Mensagem', reason: 'teste' };
+
+describe('FileMovementJournal', () => {
+  test('entrada aberta sobrevive a um novo processo e é retomada pela mesma chave', async () => {
+    const directory = tmpDir();
+    const filePath = path.join(directory, 'journal.jsonl');
+    
+    try {
+      const journal = new FileMovementJournal({ filePath });
+      const { entry } = await journal.begin(LEAD, MOVEMENT);
+      await journal.transition(entry, JOURNAL_STATES.ADDED);
+      
+      // Queda no meio da escrita da linha seguinte
+      fs.appendFileSync(filePath, '{"id":"mov_trunc');
+      
+      const reloaded = new FileMovementJournal({ filePath });
+      const [open] = await reloaded.listOpen();
+      assert.equal(open.id, entry.id);
+      assert.equal(open.state, JOURNAL_STATES.ADDED);
+      assert.deepEqual(open.lead, LEAD);
+      
+      const again = await reloaded.begin({ ...LEAD, CPF: '11144477735' }, MOVEMENT);
+      assert.equal(again.resumed, true);
+      assert.equal(again.entry.id, entry.id);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+  
+  test('compact reescreve o arquivo só com as entradas abertas', async () => {
+    const directory = tmpDir();
+    const filePath = path.join(directory, 'journal.jsonl');
+    
+    try {
+      const journal = new FileMovementJournal({ filePath });
+      const done = await journal.begin(LEAD, MOVEMENT);
+      await journal.transition(done.entry, JOURNAL_STATES.COMMITTED);
+      const open = await journal.begin({ ...LEAD, CPF: '529.982.247-25' }, MOVEMENT);
+      
+      const next = await journal.begin(LEAD, MOVEMENT);
+      assert.equal(next.resumed, false);
+      assert.equal(next.previous.id, done.entry.id);
+      
+      await journal.compact();
+      
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines.map(line => line.id).sort(), [open.entry.id, next.entry.id].sort());
+      await assert.rejects(journal.transition(open.entry, 'FEITO'), /Estado de journal inválido/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+/**
+ * Storage que cai na remoção da origem (depois do append no destino)
+ */
+class CrashOnDeleteStorage extends InMemoryStorageAdapter {
+  async deleteRow() {
+    throw new Error('processo encerrado');
+  }
+}
+
+describe('Movement Engine - recuperação após queda', () => {
+  let Engine;
+  let envDirectory;
+  
+  before(async () => {
+    envDirectory = tmpDir();
+    Engine = await loadCodeNode('src/movement-engine.js', {
+      env: {
+        BIPRE_SPREADSHEET_ID: 'planilha-teste',
+        BIPRE_LIMITER_STATE_DIR: path.join(envDirectory, 'limiter-state'),
+        BIPRE_JOURNAL_PATH: path.join(envDirectory, 'journal.jsonl'),
+        BIPRE_DEAD_LETTER_PATH: path.join(envDirectory, 'dead-letters.jsonl')
+      }
+    });
+  });
+  
+  after(() => fs.rmSync(envDirectory, { recursive: true, force: true }));
+  
+  /**
+   * Primeira execução cai entre o append no destino e a remoção da origem
+   * Retorna as abas como ficaram e o caminho do journal
+   */
+  async function crashMidMovement(directory) {
+    const filePath = path.join(directory, 'journal.jsonl');
+    const crashed = new CrashOnDeleteStorage({ tabs: { '1ª Mensagem': [{ ...LEAD }] } });
+    const engine = new Engine({ storage: crashed, journal: new FileMovementJournal({ filePath }), AUDIT_LOG: false });
+    
+    await engine.processMovements(await crashed.readTab('1ª Mensagem'));
+    
+    const [open] = await new FileMovementJournal({ filePath }).listOpen();
+    assert.equal(open.state, JOURNAL_STATES.ADDED);
+    
+    return {
+      filePath,
+      tabs: {
+        '1ª Mensagem': await crashed.readTab('1ª Mensagem'),
+        '2ª Mensagem': await crashed.readTab('2ª Mensagem')
+      }
+    };
+  }
+  
+  test('COMPLETE conclui o movimento sem duplicar o lead no destino', async () => {
+    const directory = tmpDir();
+    
+    try {
+      const { filePath, tabs } = await crashMidMovement(directory);
+      const storage = new InMemoryStorageAdapter({ tabs });
+      const engine = new Engine({ storage, journal: new FileMovementJournal({ filePath }), AUDIT_LOG: false });
+      
+      assert.equal(await engine.recoverPendingMovements('COMPLETE'), 1);
+      
+      assert.equal((await storage.readTab('1ª Mensagem')).length, 0);
+      assert.equal((await storage.readTab('2ª Mensagem')).length, 1);
+      assert.deepEqual(await new FileMovementJournal({ filePath }).listOpen(), []);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+  
+  test('COMPENSATE desfaz o append e mantém o lead só na origem', async () => {
+    const directory = tmpDir();
+    
+    try {
+      const { filePath, tabs } = await crashMidMovement(directory);
+      const storage = new InMemoryStorageAdapter({ tabs });
+      const engine = new Engine({ storage, journal: new FileMovementJournal({ filePath }), AUDIT_LOG: false });
+      
+      assert.equal(await engine.recoverPendingMovements('COMPENSATE'), 1);
+      
+      const source = await storage.readTab('1ª Mensagem');
+      assert.equal(source.length, 1);
+      assert.equal(source[0].Etapa, '1ª Mensagem');
+      assert.equal((await storage.readTab('2ª Mensagem')).length, 0);
+      
+      const journal = new FileMovementJournal({ filePath });
+      await journal.load();
+      assert.deepEqual([...journal.entries.values()].map(entry => entry.state), [JOURNAL_STATES.COMPENSATED]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,165 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GoogleSheetsRateLimiter, RateLimiterDisposedError, RequestTimeoutError } = require('../src/rate-limiter');
+const { DeadLetterQueue } = require('../src/dead-letter-queue');
+const { quietConsole } = require('./helpers/quiet-console');
+
+quietConsole();
+
+const apiError = (status, retryAfter) => Object.assign(new Error(`HTTP ${status}`), {
+  status,
+  headers: retryAfter === undefined ? {} : { 'Retry-After': retryAfter }
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createLimiter = (config = {}) => new GoogleSheetsRateLimiter({ MIN_INTERVAL_MS: 0, LOG_LEVEL: 'error', ...config });
+
+test('retry esperando o backoff não segura os requests seguintes', async () => {
+  const limiter = createLimiter();
+  const order = [];
+  let attempts = 0;
+  
+  try {
+    const slow = limiter.executeRequest(async () => {
+      if (attempts++ === 0) throw apiError(429, '0.3');
+      order.push('retry');
+    }, { kind: 'read' });
+    
+    await sleep(20);
+    await limiter.executeRequest(async () => order.push('alta'), { kind: 'read', priority: 'high' });
+    await slow;
+    
+    assert.deepEqual(order, ['alta', 'retry']);
+    assert.equal(limiter.getMetrics().retryAttempts, 1);
+  } finally {
+    await limiter.dispose();
+  }
+});
+
+test('MAX_CONCURRENT_REQUESTS limita as tentativas em execução', async () => {
+  const limiter = createLimiter({ MAX_CONCURRENT_REQUESTS: 2 });
+  let active = 0;
+  let peak = 0;
+  
+  try {
+    await Promise.all(Array.from({ length: 6 }, () => limiter.executeRequest(async () => {
+      peak = Math.max(peak, ++active);
+      await sleep(20);
+      active--;
+    })));
+    
+    assert.equal(peak, 2);
+  } finally {
+    await limiter.dispose();
+  }
+});
+
+test('prioridade maior sai da fila antes', async () => {
+  const limiter = createLimiter({ MAX_CONCURRENT_REQUESTS: 1 });
+  const order = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  
+  try {
+    const first = limiter.executeRequest(() => gate);
+    await sleep(10);
+    
+    const rest = [
+      limiter.executeRequest(async () => order.push('baixa'), { priority: 'low' }),
+      limiter.executeRequest(async () => order.push('normal')),
+      limiter.executeRequest(async () => order.push('alta'), { priority: 'high' })
+    ];
+    release();
+    await Promise.all([first, ...rest]);
+    
+    assert.deepEqual(order, ['alta', 'normal', 'baixa']);
+  } finally {
+    await limiter.dispose();
+  }
+});
+
+test("dispose({ pending: 'return' }) devolve a fila sem disparar prazos", async () => {
+  const limiter = createLimiter({ MAX_CONCURRENT_REQUESTS: 1 });
+  let release;
+  const running = limiter.executeRequest(() => new Promise(resolve => { release = resolve; }));
+  await sleep(10);
+  
+  const queued = limiter.executeRequest(async () => 'não executa', { timeout: 50 });
+  const disposing = limiter.dispose({ pending: 'return' });
+  release('ok');
+  
+  const returned = await disposing;
+  assert.equal(await running, 'ok');
+  assert.equal(returned.length, 1);
+  assert.equal(returned[0].metadata.timeout, 50);
+  
+  // O prazo não corre mais no limiter encerrado: quem recebeu decide o destino
+  await sleep(80);
+  returned[0].resolve('reexecutado');
+  assert.equal(await queued, 'reexecutado');
+  
+  await assert.rejects(limiter.executeRequest(async () => {}), RateLimiterDisposedError);
+});
+
+test('escrita com erro temporário não é repetida e vai para a dead-letter como unconfirmed_write', async () => {
+  const deadLetterQueue = new DeadLetterQueue();
+  const limiter = createLimiter({ deadLetterQueue });
+  let attempts = 0;
+  
+  try {
+    await assert.rejects(
+      limiter.executeRequest(async () => { attempts++; throw apiError(503, '0'); }, { kind: 'write' }),
+      /HTTP 503/
+    );
+    assert.equal(attempts, 1);
+    
+    const [entry] = await deadLetterQueue.list();
+    assert.equal(entry.reason, 'unconfirmed_write');
+    assert.equal(entry.errorType, 'RETRYABLE');
+    
+    // Escrita idempotente (ex.: updateRow) segue a política de retry
+    attempts = 0;
+    const result = await limiter.executeRequest(async () => {
+      if (attempts++ === 0) throw apiError(503, '0');
+      return 'gravado';
+    }, { kind: 'write', idempotent: true });
+    assert.equal(result, 'gravado');
+    assert.equal(attempts, 2);
+  } finally {
+    await limiter.dispose();
+  }
+});
+
+test('erro não recuperável falha sem retry e sem abrir o circuito', async () => {
+  const limiter = createLimiter({ ERROR_THRESHOLD: 1 });
+  let attempts = 0;
+  
+  try {
+    await assert.rejects(limiter.executeRequest(async () => { attempts++; throw apiError(404); }, { kind: 'read' }), /HTTP 404/);
+    assert.equal(attempts, 1);
+    assert.equal(limiter.circuitBreaker.getState(), 'CLOSED');
+  } finally {
+    await limiter.dispose();
+  }
+});
+
+test('prazo vencido na fila rejeita com RequestTimeoutError', async () => {
+  const limiter = createLimiter({ MAX_CONCURRENT_REQUESTS: 1 });
+  let release;
+  const running = limiter.executeRequest(() => new Promise(resolve => { release = resolve; }));
+  await sleep(10);
+  
+  try {
+    await assert.rejects(limiter.executeRequest(async () => {}, { timeout: 30 }), (error) => {
+      assert.ok(error instanceof RequestTimeoutError);
+      assert.equal(error.stage, 'queue');
+      return true;
+    });
+  } finally {
+    release();
+    await running;
+    await limiter.dispose();
+  }
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ReadCache, tabTag } = require('../src/read-cache');
+const { GoogleSheetsRateLimiter } = require('../src/rate-limiter');
+const { GoogleSheetsStorageAdapter, RateLimitedStorageAdapter } = require('../src/storage-adapters');
+const { startFakeSheetsServer } = require('./helpers/fake-sheets-server');
+const { quietConsole } = require('./helpers/quiet-console');
+
+quietConsole();
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+test('leitura repetida sai do cache e recebe uma cópia', async () => {
+  const cache = new ReadCache();
+  let loads = 0;
+  const load = async () => { loads++; return [{ CPF: '1' }]; };
+  
+  const first = await cache.wrap('k', {}, load);
+  first[0].CPF = 'alterado';
+  const second = await cache.wrap('k', {}, load);
+  
+  assert.equal(loads, 1);
+  assert.deepEqual(second, [{ CPF: '1' }]);
+  assert.equal(cache.getMetrics().hits, 1);
+});
+
+test('leituras iguais simultâneas viram uma só', async () => {
+  const cache = new ReadCache();
+  const gate = deferred();
+  let loads = 0;
+  const load = () => { loads++; return gate.promise; };
+  
+  const reads = [cache.wrap('k', {}, load), cache.wrap('k', {}, load)];
+  gate.resolve('valor');
+  
+  assert.deepEqual(await Promise.all(reads), ['valor', 'valor']);
+  assert.equal(loads, 1);
+  assert.equal(cache.getMetrics().deduplicated, 1);
+});
+
+test('TTL vencido e erro do load não ficam no cache', async () => {
+  const cache = new ReadCache();
+  let loads = 0;
+  
+  await cache.wrap('k', { ttlMs: 1 }, async () => ++loads);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal(await cache.wrap('k', { ttlMs: 1 }, async () => ++loads), 2);
+  
+  await assert.rejects(cache.wrap('erro', {}, async () => { throw new Error('falhou'); }), /falhou/);
+  assert.equal(await cache.wrap('erro', {}, async () => 'ok'), 'ok');
+});
+
+test('escrita na aba durante a leitura impede que o valor antigo seja guardado', async () => {
+  const cache = new ReadCache();
+  const tag = tabTag('planilha', 'Leads');
+  const gate = deferred();
+  
+  const read = cache.wrap('k', { tags: [tag] }, () => gate.promise);
+  cache.invalidate([tag]);
+  gate.resolve('antigo');
+  
+  assert.equal(await read, 'antigo');
+  assert.equal(await cache.wrap('k', { tags: [tag] }, async () => 'novo'), 'novo');
+});
+
+test('invalidate descarta só as leituras da aba e MAX_ENTRIES remove a menos usada', async () => {
+  const cache = new ReadCache({ MAX_ENTRIES: 2 });
+  
+  await cache.wrap('a', { tags: ['A'] }, async () => 1);
+  await cache.wrap('b', { tags: ['B'] }, async () => 2);
+  await cache.wrap('a', {}, async () => 0);
+  await cache.wrap('c', { tags: ['A'] }, async () => 3);
+  
+  assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+  assert.equal(cache.getMetrics().evictions, 1);
+  
+  cache.invalidate('A');
+  assert.equal(cache.getMetrics().size, 0);
+});
+
+test('no limiter: leituras em cache não gastam request e escrita na aba invalida', async () => {
+  const server = await startFakeSheetsServer({ tabs: { Leads: [['CPF'], ['1']] } });
+  const limiter = new GoogleSheetsRateLimiter({ MIN_INTERVAL_MS: 0, LOG_LEVEL: 'error', readCache: new ReadCache() });
+  const storage = new RateLimitedStorageAdapter({
+    storage: new GoogleSheetsStorageAdapter({ spreadsheetId: server.spreadsheetId, baseUrl: server.baseUrl }),
+    limiter
+  });
+  const reads = () => server.requests.filter(request => request.method === 'GET').length;
+  
+  try {
+    await storage.readTab('Leads');
+    await storage.readTab('Leads');
+    assert.equal(reads(), 1);
+    
+    await storage.appendRow('Leads', { CPF: '2' });
+    const before = reads();
+    assert.equal((await storage.readTab('Leads')).length, 2);
+    assert.equal(reads(), before + 1);
+    
+    await storage.readTab('Leads', { fresh: true });
+    assert.equal(reads(), before + 2);
+  } finally {
+    await limiter.dispose();
+    await server.close();
+  }
+});
@@ -0,0 +1,215 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  InMemoryStorageAdapter,
+  FileStorageAdapter,
+  GoogleSheetsStorageAdapter,
+  RateLimitedStorageAdapter,
+  SheetsApiError
+} = require('../src/storage-adapters');
+const { GoogleSheetsRateLimiter } = require('../src/rate-limiter');
+const { startFakeSheetsServer } = require('./helpers/fake-sheets-server');
+const { loadCodeNode } = require('./helpers/load-code-node');
+const { quietConsole } = require('./helpers/quiet-console');
+
+quietConsole();
+
+const TAB = "Aba 'Teste'";
+
+describe('GoogleSheetsStorageAdapter contra servidor fake', () => {
+  let server;
+  let storage;
+  
+  before(async () => {
+    server = await startFakeSheetsServer({
+      tabs: {
+        [TAB]: [['CPF', 'Nome'], ['111.444.777-35', 'Ana'], ['529.982.247-25', 'Bia'], ['123.456.789-09', 'Caio']]
+      }
+    });
+    storage = new GoogleSheetsStorageAdapter({
+      spreadsheetId: server.spreadsheetId,
+      baseUrl: server.baseUrl,
+      accessToken: 'token-teste'
+    });
+  });
+  
+  after(() => server.close());
+  
+  test('readTab converte valores em objetos pelo cabeçalho e envia o token', async () => {
+    const rows = await storage.readTab(TAB);
+    
+    assert.deepEqual(rows[0], { CPF: '111.444.777-35', Nome: 'Ana' });
+    assert.equal(rows.length, 3);
+    assert.equal(server.requests.at(-1).headers.authorization, 'Bearer token-teste');
+  });
+  
+  test('appendRow acrescenta colunas novas ao cabeçalho e retorna o índice da linha', async () => {
+    const result = await storage.appendRow(TAB, { CPF: '935.411.347-80', Nome: 'Duda', Extra: { a: 1 } });
+    
+    assert.deepEqual(result, { tab: TAB, rowIndex: 3 });
+    assert.deepEqual(server.values(TAB)[0], ['CPF', 'Nome', 'Extra']);
+    assert.deepEqual(server.values(TAB)[4], ['935.411.347-80', 'Duda', '{"a":1}']);
+    
+    const append = server.requests.find(request => request.path.endsWith(':append'));
+    assert.match(append.query, /valueInputOption=USER_ENTERED/);
+    assert.match(append.query, /insertDataOption=INSERT_ROWS/);
+  });
+  
+  test('findRowByCpf compara só os dígitos', async () => {
+    const found = await storage.findRowByCpf(TAB, '52998224725');
+    
+    assert.equal(found.rowIndex, 1);
+    assert.equal(found.row.Nome, 'Bia');
+  });
+  
+  test('deleteRows remove de baixo para cima num único batchUpdate (deleteDimension)', async () => {
+    const before = server.requests.length;
+    const deleted = await storage.deleteRows(TAB, [0, 2]);
+    
+    assert.equal(deleted, 2);
+    assert.deepEqual(server.values(TAB).slice(1).map(row => row[1]), ['Bia', 'Duda']);
+    
+    const batch = server.requests.slice(before).filter(request => request.path.endsWith(':batchUpdate'));
+    assert.equal(batch.length, 1);
+    assert.deepEqual(
+      batch[0].body.requests.map(request => request.deleteDimension.range.startIndex),
+      [3, 1]
+    );
+  });
+  
+  test('erro HTTP vira SheetsApiError com status, cabeçalhos e corpo', async () => {
+    server.failNext({ status: 429, headers: { 'Retry-After': '2' }, message: 'Quota exceeded' });
+    
+    await assert.rejects(storage.readTab(TAB), (error) => {
+      assert.ok(error instanceof SheetsApiError);
+      assert.equal(error.status, 429);
+      assert.equal(error.headers['retry-after'], '2');
+      assert.match(error.message, /Quota exceeded/);
+      return true;
+    });
+  });
+});
+
+describe('RateLimitedStorageAdapter contra servidor fake', () => {
+  test('429 com Retry-After é repetido pelo limiter e a leitura conclui', async () => {
+    const server = await startFakeSheetsServer({ tabs: { Leads: [['CPF', 'Nome'], ['111.444.777-35', 'Ana']] } });
+    const limiter = new GoogleSheetsRateLimiter({ MIN_INTERVAL_MS: 0, LOG_LEVEL: 'error' });
+    const storage = new RateLimitedStorageAdapter({
+      storage: new GoogleSheetsStorageAdapter({ spreadsheetId: server.spreadsheetId, baseUrl: server.baseUrl }),
+      limiter
+    });
+    
+    try {
+      server.failNext({ status: 429, headers: { 'Retry-After': '0' }, message: 'Rate Limit Exceeded' });
+      const rows = await storage.readTab('Leads');
+      
+      assert.equal(rows.length, 1);
+      assert.equal(limiter.getMetrics().retryAttempts, 1);
+    } finally {
+      await limiter.dispose();
+      await server.close();
+    }
+  });
+});
+
+describe('FileStorageAdapter', () => {
+  for (const format of ['json', 'csv']) {
+    test(`${format}: append, busca por CPF e remoção`, async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bipre-storage-'));
+      const storage = new FileStorageAdapter({ directory, format });
+      
+      try {
+        await storage.appendRow('Leads', { CPF: '111.444.777-35', Nome: 'Ana, "a primeira"\nlinha 2' });
+        await storage.appendRow('Leads', { CPF: '529.982.247-25', Nome: 'Bia' });
+        
+        const found = await storage.findRowByCpf('Leads', '52998224725');
+        assert.equal(found.rowIndex, 1);
+        assert.equal((await storage.readTab('Leads'))[0].Nome, 'Ana, "a primeira"\nlinha 2');
+        
+        assert.equal(await storage.deleteRowByCpf('Leads', '111.444.777-35'), true);
+        assert.deepEqual((await storage.readTab('Leads')).map(row => row.Nome), ['Bia']);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  }
+  
+  test('escritas concorrentes na mesma aba não se sobrescrevem', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bipre-storage-'));
+    const storage = new FileStorageAdapter({ directory });
+    
+    try {
+      await Promise.all(Array.from({ length: 10 }, (_, index) => storage.appendRow('Leads', { CPF: String(index) })));
+      assert.equal((await storage.readTab('Leads')).length, 10);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Movement Engine com storage adapter', () => {
+  let Engine;
+  let envDirectory;
+  
+  before(async () => {
+    envDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'bipre-engine-'));
+    Engine = await loadCodeNode('src/movement-engine.js', {
+      env: {
+        BIPRE_SPREADSHEET_ID: 'planilha-teste',
+        BIPRE_LIMITER_STATE_DIR: path.join(envDirectory, 'limiter-state'),
+        BIPRE_JOURNAL_PATH: path.join(envDirectory, 'journal.jsonl'),
+        BIPRE_DEAD_LETTER_PATH: path.join(envDirectory, 'dead-letters.jsonl')
+      }
+    });
+  });
+  
+  after(() => fs.rmSync(envDirectory, { recursive: true, force: true }));
+  
+  test('move o lead no servidor fake: adiciona no destino e remove da origem', async () => {
+    const server = await startFakeSheetsServer({
+      tabs: {
+        '1ª Mensagem': [['CPF', 'Nome', 'DATA_ENVIO', 'ABA_ATUAL'], ['111.444.777-35', 'Ana', '01/01/2024', '1ª Mensagem']],
+        '2ª Mensagem': [['CPF', 'Nome']]
+      }
+    });
+    const storage = new GoogleSheetsStorageAdapter({ spreadsheetId: server.spreadsheetId, baseUrl: server.baseUrl });
+    const engine = new Engine({ storage, AUDIT_LOG: false });
+    
+    try {
+      const report = await engine.processMovements(await storage.readTab('1ª Mensagem'));
+      
+      assert.equal(report.summary.successfully_moved, 1);
+      assert.equal(server.values('1ª Mensagem').length, 1);
+      
+      const [moved] = await storage.readTab('2ª Mensagem');
+      assert.equal(moved.CPF, '111.444.777-35');
+      assert.equal(moved.ABA_ATUAL, '2ª Mensagem');
+      assert.equal(moved.ORIGEM_TAB, '1ª Mensagem');
+    } finally {
+      await server.close();
+    }
+  });
+  
+  test('linha gravada no destino mantém os cabeçalhos da origem (aliases)', async () => {
+    const storage = new InMemoryStorageAdapter({
+      tabs: {
+        '1ª Mensagem': [{ CPF: '111.444.777-35', Nome: 'Ana', DATA_ENVIO: '01/01/2024', Etapa: '1ª Mensagem', Celular: '123' }]
+      }
+    });
+    const engine = new Engine({ storage, AUDIT_LOG: false });
+    
+    const report = await engine.processMovements(await storage.readTab('1ª Mensagem'));
+    const [moved] = await storage.readTab('2ª Mensagem');
+    
+    assert.equal(report.summary.quarantined_leads, 0);
+    assert.equal(report.summary.field_warnings, 1);
+    assert.equal(moved.Etapa, '2ª Mensagem');
+    assert.equal(moved.Celular, '123');
+    assert.ok(!('ABA_ATUAL' in moved));
+    assert.ok(!('Telefone' in moved));
+  });
+});
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  TransitionRulesError,
+  buildDefaultTransitionRules,
+  loadTransitionRules,
+  validateTransitionRules,
+  compileTransitionRules,
+  parseConditionExpression
+} = require('../src/transition-rules');
+
+const YAML_RULES = `
+tabs: [1ª Mensagem, 2ª Mensagem, Lead Morto]
+rules:
+  - id: sem-interesse
+    from: ANY
+    to: Lead Morto
+    when: sem_interesse
+    priority: 0
+  - id: etapa-1
+    from: 1ª Mensagem
+    to: 2ª Mensagem
+    when:
+      all:
+        - dias_na_etapa >= 7
+        - { fact: STATUS, op: in, value: [novo, aguardando] }
+    priority: 1
+    dayCount: business
+  - id: etapa-2
+    from: 2ª Mensagem
+    to: Lead Morto
+    when: '"ÚLTIMA INTERAÇÃO" not_contains respondeu'
+    priority: 2
+`;
+
+test('regras padrão são válidas para o registro de abas padrão', () => {
+  assert.deepEqual(validateTransitionRules(buildDefaultTransitionRules()), []);
+});
+
+test('loadTransitionRules lê YAML e JSON de texto ou arquivo', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bipre-rules-'));
+  
+  try {
+    const fromText = loadTransitionRules(YAML_RULES);
+    assert.equal(fromText.rules[1].when.all[1].value[1], 'aguardando');
+    assert.equal(fromText.rules[1].dayCount, 'business');
+    
+    const yamlPath = path.join(directory, 'regras.yml');
+    fs.writeFileSync(yamlPath, YAML_RULES);
+    assert.deepEqual(loadTransitionRules(yamlPath), fromText);
+    
+    const jsonPath = path.join(directory, 'regras.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(fromText));
+    assert.deepEqual(loadTransitionRules(jsonPath), fromText);
+    assert.deepEqual(loadTransitionRules(JSON.stringify(fromText)), fromText);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('validação acumula abas desconhecidas, ids duplicados e condições inválidas', () => {
+  const errors = validateTransitionRules({
+    rules: [
+      { id: 'a', from: '1ª Mensagem', to: 'Aba Nova', when: 'dias >= 7' },
+      { id: 'a', from: '2ª Mensagem', to: '2ª Mensagem', when: 'campo com espaço' },
+      { id: 'b', from: '1ª Mensagem', to: '2ª Mensagem', when: { fact: 'x', op: 'parece' }, dayCount: 'uteis' }
+    ]
+  });
+  
+  assert.deepEqual(errors, [
+    "regra 'a': aba de destino desconhecida 'Aba Nova'",
+    "regra 'a': id duplicado",
+    "regra 'a': origem e destino iguais",
+    "regra 'a': expressão inválida 'campo com espaço'",
+    "regra 'b': contagem de dias inválida 'uteis' (use calendar ou business)",
+    "regra 'b': operador desconhecido 'parece'"
+  ]);
+});
+
+test('validação aponta abas inalcançáveis e ciclos', () => {
+  const document = {
+    tabs: ['1ª Mensagem', '2ª Mensagem', '3ª Mensagem', 'Lead Morto'],
+    rules: [
+      { from: '1ª Mensagem', to: '2ª Mensagem' },
+      { from: '2ª Mensagem', to: '1ª Mensagem' },
+      { from: '3ª Mensagem', to: 'Lead Morto', enabled: false }
+    ]
+  };
+  
+  assert.deepEqual(validateTransitionRules(document), [
+    "aba inalcançável: '3ª Mensagem'",
+    "aba inalcançável: 'Lead Morto'",
+    'ciclo de transições: 1ª Mensagem → 2ª Mensagem → 1ª Mensagem'
+  ]);
+  assert.throws(() => compileTransitionRules(document), TransitionRulesError);
+});
+
+test('regras compiladas saem por prioridade e avaliam fatos do engine e colunas do lead', () => {
+  const rules = compileTransitionRules(loadTransitionRules(YAML_RULES), {
+    facts: {
+      dias_na_etapa: (lead, rule) => (rule.dayCount === 'business' ? lead.uteis : lead.corridos),
+      sem_interesse: lead => lead.STATUS === 'sem interesse'
+    }
+  });
+  
+  assert.deepEqual(rules.map(rule => rule.id), ['sem-interesse', 'etapa-1', 'etapa-2']);
+  
+  const [semInteresse, etapa1, etapa2] = rules;
+  assert.equal(semInteresse.condition({ STATUS: 'sem interesse' }), true);
+  assert.equal(etapa1.condition({ STATUS: 'novo', uteis: 7, corridos: 3 }), true);
+  assert.equal(etapa1.condition({ STATUS: 'novo', uteis: 5, corridos: 9 }), false);
+  assert.equal(etapa1.condition({ STATUS: 'cotado', uteis: 9 }), false);
+  assert.equal(etapa2.condition({ 'ÚLTIMA INTERAÇÃO': 'Cliente RESPONDEU ontem' }), false);
+  assert.equal(etapa2.condition({}), true);
+});
+
+test('campo vazio não satisfaz comparação numérica e herança do objeto não é fato', () => {
+  const [rule] = compileTransitionRules({
+    tabs: ['1ª Mensagem', '2ª Mensagem'],
+    rules: [{ from: '1ª Mensagem', to: '2ª Mensagem', when: { any: ['DIAS <= 3', 'constructor'] } }]
+  });
+  
+  assert.equal(rule.condition({ DIAS: '' }), false);
+  assert.equal(rule.condition({ DIAS: '2' }), true);
+});
+
+test('parseConditionExpression lê valores JSON e campos entre aspas', () => {
+  assert.deepEqual(parseConditionExpression('STATUS in ["a", "b"]'), { fact: 'STATUS', op: 'in', value: ['a', 'b'] });
+  assert.deepEqual(parseConditionExpression('"DATA ENVIO" exists'), { fact: 'DATA ENVIO', op: 'exists', value: undefined });
+  assert.deepEqual(parseConditionExpression('OBS contains sem retorno'), { fact: 'OBS', op: 'contains', value: 'sem retorno' });
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WriteCoalescer } = require('../src/write-coalescer');
+const { GoogleSheetsStorageAdapter, InMemoryStorageAdapter } = require('../src/storage-adapters');
+const { startFakeSheetsServer } = require('./helpers/fake-sheets-server');
+
+const calls = (server, suffix) => server.requests.filter(request => request.method === 'POST' && request.path.endsWith(suffix));
+
+test('inserções simultâneas viram um values.append por aba', async () => {
+  const server = await startFakeSheetsServer({ tabs: { A: [['CPF', 'Nome']], B: [['CPF', 'Nome']] } });
+  const storage = new GoogleSheetsStorageAdapter({ spreadsheetId: server.spreadsheetId, baseUrl: server.baseUrl });
+  const coalescer = new WriteCoalescer({ storage, WINDOW_MS: 10 });
+  
+  try {
+    const results = await Promise.all([
+      coalescer.appendRow('A', { CPF: '1', Nome: 'Ana' }),
+      coalescer.appendRow('B', { CPF: '2', Nome: 'Bia' }),
+      coalescer.appendRow('A', { CPF: '3', Nome: 'Caio' })
+    ]);
+    
+    assert.deepEqual(results.map(result => result.rowIndex), [0, 0, 1]);
+    assert.equal(calls(server, ':append').length, 2);
+    assert.deepEqual(server.values('A').slice(1), [['1', 'Ana'], ['3', 'Caio']]);
+    assert.deepEqual(coalescer.getMetrics(), {
+      appendCalls: 2,
+      rowsAppended: 3,
+      deleteCalls: 0,
+      rowsDeleted: 0,
+      coalescedOperations: 3,
+      pendingOperations: 0
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('remoções por CPF viram uma leitura e um batchUpdate; CPF ausente resolve false', async () => {
+  const server = await startFakeSheetsServer({
+    tabs: { A: [['CPF', 'Nome'], ['111.444.777-35', 'Ana'], ['529.982.247-25', 'Bia'], ['111.444.777-35', 'Ana 2']] }
+  });
+  const storage = new GoogleSheetsStorageAdapter({ spreadsheetId: server.spreadsheetId, baseUrl: server.baseUrl });
+  const coalescer = new WriteCoalescer({ storage, WINDOW_MS: 10 });
+  
+  try {
+    const results = await Promise.all([
+      coalescer.deleteRowByCpf('A', '11144477735'),
+      coalescer.deleteRowByCpf('A', '529.982.247-25'),
+      coalescer.deleteRowByCpf('A', '935.411.347-80')
+    ]);
+    
+    assert.deepEqual(results, [true, true, false]);
+    assert.equal(calls(server, ':batchUpdate').length, 1);
+    assert.deepEqual(server.values('A').slice(1), [['111.444.777-35', 'Ana 2']]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('leitura da aba grava antes o que está pendente nela', async () => {
+  const storage = new InMemoryStorageAdapter();
+  const coalescer = new WriteCoalescer({ storage, WINDOW_MS: 500 });
+  
+  const appended = coalescer.appendRow('A', { CPF: '1' });
+  assert.equal(coalescer.getMetrics().pendingOperations, 1);
+  
+  assert.deepEqual(await coalescer.readTab('A'), [{ CPF: '1' }]);
+  await appended;
+  assert.equal(coalescer.getMetrics().pendingOperations, 0);
+});
+
+test('MAX_BATCH_SIZE grava sem esperar a janela', async () => {
+  const storage = new InMemoryStorageAdapter();
+  const coalescer = new WriteCoalescer({ storage, WINDOW_MS: 500, MAX_BATCH_SIZE: 2 });
+  
+  await Promise.all([coalescer.appendRow('A', { CPF: '1' }), coalescer.appendRow('A', { CPF: '2' })]);
+  assert.equal((await storage.readTab('A')).length, 2);
+});
+
+test('erro do lote é entregue a todas as operações dele', async () => {
+  const server = await startFakeSheetsServer({ tabs: { A: [['CPF']] } });
+  const storage = new GoogleSheetsStorageAdapter({ spreadsheetId: server.spreadsheetId, baseUrl: server.baseUrl });
+  const coalescer = new WriteCoalescer({ storage, WINDOW_MS: 10 });
+  
+  try {
+    server.failNext({ status: 500, message: 'backend error' });
+    
+    const results = await Promise.allSettled([
+      coalescer.appendRow('A', { CPF: '1' }),
+      coalescer.appendRow('A', { CPF: '2' })
+    ]);
+    
+    assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.equal(results[0].reason, results[1].reason);
+    assert.equal(results[0].reason.status, 500);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseYaml, YamlParseError } = require('../src/yaml-parser');
+
+test('mapas e listas em bloco, inclusive lista na coluna da chave', () => {
+  const document = parseYaml(`
+# regras
+nome: BIPRE
+etapas:
+- 1ª Mensagem
+- 2ª Mensagem
+limites:
+  dias: 7
+  ativo: true
+  vazio:
+  fuso: ~
+`);
+  
+  assert.deepEqual(document, {
+    nome: 'BIPRE',
+    etapas: ['1ª Mensagem', '2ª Mensagem'],
+    limites: { dias: 7, ativo: true, vazio: null, fuso: null }
+  });
+});
+
+test('itens de lista com mapas e listas aninhadas', () => {
+  assert.deepEqual(parseYaml(`
+- id: a
+  when:
+    - x >= 1
+    - - interno
+- -
+  - b
+`), [
+    { id: 'a', when: ['x >= 1', ['interno']] },
+    [null, 'b']
+  ]);
+});
+
+test('escalares entre aspas, inline e comentários', () => {
+  const document = parseYaml(`
+simples: 'it''s # não é comentário'
+duplas: "linha\\nnova"
+"chave: com dois pontos": 1
+numero_texto: "007"
+inline: [a, 'b, c', { x: 1, y: [2, 3] }]   # comentário
+mapa: {}
+lista: []
+hash: cor#azul
+`);
+  
+  assert.deepEqual(document, {
+    simples: "it's # não é comentário",
+    duplas: 'linha\nnova',
+    'chave: com dois pontos': 1,
+    numero_texto: '007',
+    inline: ['a', 'b, c', { x: 1, y: [2, 3] }],
+    mapa: {},
+    lista: [],
+    hash: 'cor#azul'
+  });
+});
+
+test('documento vazio é null e marcador de início é aceito', () => {
+  assert.equal(parseYaml('# nada'), null);
+  assert.deepEqual(parseYaml('---\na: 1\n'), { a: 1 });
+});
+
+test('recursos não suportados e erros de sintaxe informam a linha', () => {
+  const cases = [
+    ['a: &ancora 1', /linha 1\): recurso não suportado '&'/],
+    ['a: |\n  texto', /recurso não suportado '\|'/],
+    ['a: 1\n---\nb: 2', /linha 2\): múltiplos documentos/],
+    ['a:\n\tb: 1', /linha 2\): tabulação/],
+    ['a: 1\na: 2', /linha 2\): chave duplicada 'a'/],
+    ['a: [1, 2', /lista inline sem fechamento/],
+    ['a: x: y', /use aspas/],
+    ['a:\n  b: 1\n c: 2', /indentação/],
+    ['a: "sem fim', /aspas duplas sem fechamento/]
+  ];
+  
+  for (const [text, message] of cases) {
+    assert.throws(() => parseYaml(text), (error) => {
+      assert.ok(error instanceof YamlParseError, text);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});